@@ -0,0 +1,466 @@
+/**
+ * @fileoverview The AI provider layer.
+ * The candidate analysis prompt is built once and answered by the provider selected in the settings:
+ * Gemini, any OpenAI-compatible chat completions endpoint (which covers local servers such as
+ * llama.cpp and Ollama), or a deterministic rule-based analyst that needs no model at all.
+ * Other providers can be queried on the same candidates for comparison; their answers are only logged.
+ *
+ * Model providers are asked for JSON output matching `getRecommendationSchema`. Every answer is validated
+ * (the ticker must be the one requested, the decision one of the allowed values, the confidence an
+ * integer from 1 to 10 and the reasoning present); an invalid answer is sent back with a repair prompt
+ * up to `MAX_REPAIR_ATTEMPTS` times. Requests, validation failures, repairs and rejections are counted
+ * per provider in `state.aiMetrics`.
+ *
+ * The prompt is rendered from a versioned template kept in the settings. Editing the template saves
+ * a new version; a second version can be A/B tested against the active one, each candidate being
+ * asked with one of the two at random. Every call is written to the audit log (see audit.js), and
+ * the recommendation carries its provider, prompt version and audit id on to the watchlist and journal.
+ *
+ * Model requests go through the request scheduler's 'ai' bucket (see ratelimit.js) and can be cancelled.
+ */
+
+import { state, setState } from './state.js';
+import { logMessage, renderAiMetrics } from './ui.js';
+import { describeIndicators } from './utils.js';
+import { recordAiCall } from './audit.js';
+import { scheduleRequest, pauseBucket, isCancellation } from './ratelimit.js';
+
+const MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * The decisions a recommendation may contain.
+ * @param {boolean} allowShort - Whether shorts are enabled.
+ * @returns {string[]} 'BUY', 'SHORT' (only with shorts enabled) and 'HOLD'.
+ */
+function getAllowedDecisions(allowShort) {
+    return allowShort ? ['BUY', 'SHORT', 'HOLD'] : ['BUY', 'HOLD'];
+}
+
+/**
+ * The recommendation format, in the OpenAPI schema subset Gemini accepts for structured output.
+ * @param {boolean} allowShort - Whether SHORT decisions may be returned.
+ * @returns {object} The schema.
+ */
+function getRecommendationSchema(allowShort) {
+    return {
+        type: 'object',
+        properties: {
+            ticker: { type: 'string' },
+            decision: { type: 'string', enum: getAllowedDecisions(allowShort) },
+            confidence: { type: 'integer' },
+            reasoning: { type: 'string' },
+        },
+        required: ['ticker', 'decision', 'confidence', 'reasoning'],
+    };
+}
+
+/**
+ * @typedef {object} AiRequest
+ * @property {string} prompt - The prompt to send.
+ * @property {object} stockData - The indicator snapshot from `getIndicators`.
+ * @property {boolean} allowShort - Whether SHORT decisions may be returned.
+ * @property {string} [priority] - The request scheduler priority, e.g. 'low' for the candidate analysis.
+ * @property {AbortSignal} [signal] - Cancels the request.
+ */
+
+/**
+ * @typedef {object} AiProvider
+ * @property {string} id - Unique identifier stored in the settings.
+ * @property {string} name - Display name.
+ * @property {function(object, object): boolean} isConfigured - Whether the settings and API keys are enough to use it.
+ * @property {function(AiRequest): Promise<{answer: (string|object), model: string, usage: ?{promptTokens: number, outputTokens: number}}>} complete -
+ * Returns the answer (the model's text, or a recommendation object), the model that gave it and the
+ * token usage, if reported. Throws if the request itself fails.
+ */
+
+// Version 1 of the analysis prompt. Placeholders in double braces are filled in by `renderPrompt`.
+export const DEFAULT_PROMPT_TEMPLATE = `As a Tier-1 Hedge Fund Analyst, provide a {{decisionChoices}} or 'HOLD' decision for an intraday scalping strategy.
+Base your decision on a 50/50 weighting of general market news and the stock's specific quantitative data.
+A 'BUY' is warranted if the stock shows strong technicals (bullish MACD, high ATR for volatility) and the news is supportive.
+{{decisionRules}}
+
+Respond ONLY with the following JSON format:
+{
+    "ticker": "{{symbol}}",
+    "decision": {{decisionFormat}},
+    "confidence": A score from 1 (low) to 10 (high) on your conviction,
+    "reasoning": "Brief justification synthesizing all data points."
+}
+
+--- DATA ---
+**General Market News:** {{headlines}}
+**Stock Specifics for {{symbol}}:**
+{{indicators}}
+--- END DATA ---`;
+
+export const PROMPT_PLACEHOLDERS = ['symbol', 'decisionChoices', 'decisionRules', 'decisionFormat', 'headlines', 'indicators'];
+
+/**
+ * Parses an answer into a recommendation, tolerating a markdown code fence around the JSON.
+ * @param {string|object} answer - The provider's answer.
+ * @returns {object} The parsed answer.
+ * @throws {Error} If the text is not JSON.
+ */
+function parseAnswer(answer) {
+    if (typeof answer !== 'string') return answer;
+    try {
+        return JSON.parse(answer.replace(/```json|```/g, '').trim());
+    } catch (e) {
+        throw new Error(`the answer is not valid JSON (${e.message})`);
+    }
+}
+
+/**
+ * Validates a recommendation against the schema and the request.
+ * @param {object} recommendation - The parsed answer.
+ * @param {object} expected
+ * @param {string} expected.symbol - The symbol that was asked about.
+ * @param {boolean} expected.allowShort - Whether SHORT decisions are allowed.
+ * @returns {string[]} The validation errors; empty if the recommendation is valid.
+ */
+export function validateRecommendation(recommendation, { symbol, allowShort }) {
+    if (!recommendation || typeof recommendation !== 'object' || Array.isArray(recommendation)) {
+        return ['the answer must be a JSON object'];
+    }
+    const { ticker, decision, confidence, reasoning } = recommendation;
+    const decisions = getAllowedDecisions(allowShort);
+    const errors = [];
+    if (ticker !== symbol) errors.push(`"ticker" must be "${symbol}", got ${JSON.stringify(ticker)}`);
+    if (!decisions.includes(decision)) errors.push(`"decision" must be one of ${decisions.join(', ')}, got ${JSON.stringify(decision)}`);
+    if (!Number.isInteger(confidence) || confidence < 1 || confidence > 10) {
+        errors.push(`"confidence" must be an integer from 1 to 10, got ${JSON.stringify(confidence)}`);
+    }
+    if (typeof reasoning !== 'string' || reasoning.trim() === '') errors.push('"reasoning" must be a non-empty string');
+    return errors;
+}
+
+/**
+ * Builds the prompt that asks a model to correct an invalid answer.
+ * @param {string} prompt - The original prompt.
+ * @param {string|object} answer - The invalid answer.
+ * @param {string[]} errors - What was wrong with it.
+ * @returns {string} The repair prompt.
+ */
+function buildRepairPrompt(prompt, answer, errors) {
+    const previous = typeof answer === 'string' ? answer : JSON.stringify(answer);
+    return `${prompt}
+
+        Your previous answer was:
+        ${previous}
+
+        It was rejected because:
+        ${errors.map(error => `- ${error}`).join('\n        ')}
+
+        Answer again with ONLY the corrected JSON object.
+    `;
+}
+
+/**
+ * Adds to a provider's counters in `state.aiMetrics`.
+ * @param {string} providerId - The provider.
+ * @param {object} increments - The amounts to add, e.g. `{ requests: 1 }`.
+ */
+function recordAiMetrics(providerId, increments) {
+    const current = state.aiMetrics[providerId] || { requests: 0, validationFailures: 0, repaired: 0, rejected: 0 };
+    const updated = { ...current };
+    Object.entries(increments).forEach(([key, amount]) => { updated[key] += amount; });
+    setState({ aiMetrics: { ...state.aiMetrics, [providerId]: updated } });
+    renderAiMetrics();
+}
+
+/**
+ * A deterministic rule-based analyst.
+ * Recommends a BUY when the 5-minute trend is bullish and RSI is neither oversold nor overbought,
+ * and, when shorts are allowed, a SHORT in the mirrored bearish case.
+ * @param {object} stockData - The indicator snapshot from `getIndicators`.
+ * @param {object} [options]
+ * @param {boolean} [options.allowShort=false] - Whether SHORT decisions may be returned.
+ * @returns {object} A recommendation in the same format the AI returns.
+ */
+export function ruleBasedRecommendation(stockData, { allowShort = false } = {}) {
+    const isBullish = stockData.macd.histogram > 0;
+    const isShortSetup = allowShort && !isBullish;
+    const rsiInRange = isShortSetup
+        ? stockData.rsi5m >= 30 && stockData.rsi5m <= 60
+        : stockData.rsi5m >= 40 && stockData.rsi5m <= 70;
+    const volatility = stockData.currentPrice > 0 ? stockData.atr / stockData.currentPrice * 100 : 0;
+    let confidence = 4;
+    if (isBullish || isShortSetup) confidence += 3;
+    if (rsiInRange) confidence += 1;
+    if (volatility >= 0.1) confidence += 1;
+    let decision = 'HOLD';
+    if (rsiInRange && isBullish) decision = 'BUY';
+    if (rsiInRange && isShortSetup) decision = 'SHORT';
+    return {
+        ticker: stockData.symbol,
+        decision,
+        confidence: Math.min(confidence, 10),
+        reasoning: `Rule-based analyst: 5m MACD ${isBullish ? 'bullish' : 'bearish'}, 5m RSI ${stockData.rsi5m.toFixed(1)}, ATR ${volatility.toFixed(2)}% of price.`,
+    };
+}
+
+/**
+ * Sends a model request through the scheduler's 'ai' bucket. A 429 pauses the bucket for the
+ * server's Retry-After delay (a minute if it gives none); the request itself then fails.
+ * @param {string} url - The URL to fetch.
+ * @param {object} options - The fetch options.
+ * @param {AiRequest} request - The request, for its priority and cancellation signal.
+ * @returns {Promise<Response>} The response.
+ */
+async function aiFetch(url, options, { priority = 'normal', signal } = {}) {
+    const response = await scheduleRequest('ai', () => fetch(url, { ...options, signal }), { priority, signal });
+    if (response.status === 429) {
+        const retryAfter = parseFloat(response.headers.get('Retry-After'));
+        pauseBucket('ai', Number.isFinite(retryAfter) ? retryAfter * 1000 : 60000);
+    }
+    return response;
+}
+
+/** @type {AiProvider[]} */
+export const AI_PROVIDERS = [
+    {
+        id: 'gemini',
+        name: 'Google Gemini',
+        isConfigured: (settings, apiKeys) => Boolean(apiKeys.geminiKey),
+        async complete(request) {
+            const model = state.settings.geminiModel || 'gemini-1.5-flash-latest';
+            const response = await aiFetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': state.apiKeys.geminiKey },
+                body: JSON.stringify({
+                    contents: [{ parts: [{ text: request.prompt }] }],
+                    generationConfig: { responseMimeType: 'application/json', responseSchema: getRecommendationSchema(request.allowShort) },
+                })
+            }, request);
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(`Gemini API Error: ${(error.error && error.error.message) || response.status}`);
+            }
+            const data = await response.json();
+            const usage = data.usageMetadata
+                ? { promptTokens: data.usageMetadata.promptTokenCount, outputTokens: data.usageMetadata.candidatesTokenCount }
+                : null;
+            return { answer: data.candidates[0].content.parts[0].text, model, usage };
+        },
+    },
+    {
+        id: 'openai',
+        name: 'OpenAI-compatible (OpenAI, llama.cpp, Ollama, ...)',
+        isConfigured: settings => Boolean(settings.openAiBaseUrl && settings.openAiModel),
+        async complete(request) {
+            const { openAiBaseUrl, openAiModel } = state.settings;
+            const headers = { 'Content-Type': 'application/json' };
+            // Local servers usually need no key.
+            if (state.apiKeys.openAiKey) headers.Authorization = `Bearer ${state.apiKeys.openAiKey}`;
+            const response = await aiFetch(`${openAiBaseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: openAiModel,
+                    temperature: 0,
+                    response_format: { type: 'json_object' }, // JSON mode; widely supported, unlike full JSON schemas
+                    messages: [
+                        { role: 'system', content: 'You are a trading analyst. Answer with JSON only.' },
+                        { role: 'user', content: request.prompt },
+                    ],
+                })
+            }, request);
+            if (!response.ok) {
+                throw new Error(`Chat completions API Error (${response.status}): ${await response.text()}`);
+            }
+            const data = await response.json();
+            const usage = data.usage ? { promptTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : null;
+            return { answer: data.choices[0].message.content, model: data.model || openAiModel, usage };
+        },
+    },
+    {
+        id: 'rules',
+        name: 'Rule-based (no AI)',
+        isConfigured: () => true,
+        complete: async ({ stockData, allowShort }) => ({ answer: ruleBasedRecommendation(stockData, { allowShort }), model: 'rules', usage: null }),
+    },
+];
+
+/**
+ * Looks up a provider by id.
+ * @param {string} id - The provider id.
+ * @returns {AiProvider|undefined} The provider.
+ */
+export function getAiProvider(id) {
+    return AI_PROVIDERS.find(p => p.id === id);
+}
+
+/**
+ * Gets the provider that answers for the bot. On the local simulator an unconfigured provider is
+ * replaced by the rule-based one, so the simulator runs without any key.
+ * @returns {AiProvider} The provider.
+ */
+export function getActiveAiProvider() {
+    const provider = getAiProvider(state.settings.aiProvider) || AI_PROVIDERS[0];
+    if (state.settings.broker === 'simulator' && !provider.isConfigured(state.settings, state.apiKeys)) {
+        return getAiProvider('rules');
+    }
+    return provider;
+}
+
+/**
+ * Gets the saved prompt template versions, oldest first. Version 1 is the built-in template.
+ * @returns {{version: number, template: string, createdAt: ?string}[]} The versions.
+ */
+export function getPromptTemplates() {
+    const saved = state.settings.aiPromptTemplates || [];
+    return saved.length > 0 ? saved : [{ version: 1, template: DEFAULT_PROMPT_TEMPLATE, createdAt: null }];
+}
+
+/**
+ * Saves an edited prompt template as a new version, unless it is unchanged from the version it was edited from.
+ * @param {number} version - The version that was edited.
+ * @param {string} template - The edited template.
+ * @returns {{templates: object[], version: number}} The versions to store and the version to make active.
+ */
+export function savePromptTemplate(version, template) {
+    const templates = getPromptTemplates();
+    const edited = templates.find(t => t.version === version);
+    if (edited && edited.template.trim() === template.trim()) return { templates, version };
+    const newVersion = Math.max(...templates.map(t => t.version)) + 1;
+    return { templates: [...templates, { version: newVersion, template, createdAt: new Date().toISOString() }], version: newVersion };
+}
+
+/**
+ * Picks the prompt version for a request: the active version or, when an A/B version is set, either at random.
+ * @returns {{version: number, template: string}} The prompt version.
+ */
+function pickPromptTemplate() {
+    const templates = getPromptTemplates();
+    const { aiPromptVersion, aiPromptAbVersion } = state.settings;
+    const active = templates.find(t => t.version === aiPromptVersion) || templates[0];
+    const challenger = aiPromptAbVersion ? templates.find(t => t.version === aiPromptAbVersion) : null;
+    return challenger && Math.random() < 0.5 ? challenger : active;
+}
+
+/**
+ * Renders a prompt template for a candidate.
+ * @param {string} template - The template.
+ * @param {string} newsHeadlines - Recent news headlines, one per line.
+ * @param {object} stockData - The indicator snapshot.
+ * @param {boolean} allowShort - Whether SHORT decisions may be returned.
+ * @returns {string} The prompt.
+ */
+function renderPrompt(template, newsHeadlines, stockData, allowShort) {
+    const decisions = getAllowedDecisions(allowShort);
+    const entryDecisions = decisions.filter(d => d !== 'HOLD');
+    const values = {
+        symbol: stockData.symbol,
+        decisionChoices: entryDecisions.map(d => `'${d}'`).join(', '),
+        decisionRules: allowShort
+            ? `A 'SHORT' is warranted if the stock shows weak technicals (bearish MACD, high ATR for volatility) and the news is negative.
+A 'HOLD' is warranted if data is mixed or neutral. Do not recommend 'SELL'.`
+            : `A 'HOLD' is warranted if data is mixed, neutral, or negative. Do not recommend 'SELL'.`,
+        decisionFormat: `${decisions.slice(0, -1).map(d => `"${d}"`).join(', ')} or "${decisions[decisions.length - 1]}"`,
+        headlines: newsHeadlines,
+        indicators: [
+            `Price: ${stockData.currentPrice}, 5-min RSI: ${stockData.rsi5m.toFixed(2)}, 5-min ATR: ${stockData.atr.toFixed(4)}`,
+            `5-min MACD: ${stockData.macd.macd.toFixed(4)}, 5-min MACD Signal: ${stockData.macd.signal.toFixed(4)}`,
+            ...describeIndicators(stockData, state.settings.aiIndicators),
+        ].map(line => `- ${line}`).join('\n'),
+    };
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Asks a provider for a recommendation, validating the answer and asking again with a repair prompt
+ * while it is invalid, and writes the call to the audit log.
+ * @param {AiProvider} provider - The provider.
+ * @param {AiRequest} request - The request.
+ * @param {object} audit - Fields recorded with the call: `role`, `promptVersion` and `inputs`.
+ * @returns {Promise<{recommendation: ?object, auditId: string}>} The valid recommendation (null if the
+ * request failed or every answer was invalid) and the audit log id of the call.
+ */
+async function requestRecommendation(provider, request, audit) {
+    const { symbol } = request.stockData;
+    recordAiMetrics(provider.id, { requests: 1 });
+    const attempts = [];
+    let recommendation = null;
+    let model = null;
+    let error = null;
+    let prompt = request.prompt;
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const startedAt = performance.now();
+        let result;
+        try {
+            result = await provider.complete({ ...request, prompt });
+        } catch (e) {
+            if (isCancellation(e)) throw e;
+            logMessage(`${provider.name} analysis failed for ${symbol}: ${e.message}`, 'error');
+            error = e.message;
+            break;
+        }
+        model = result.model;
+        const record = { rawOutput: result.answer, latencyMs: Math.round(performance.now() - startedAt), usage: result.usage, errors: [] };
+        attempts.push(record);
+        try {
+            record.errors = validateRecommendation(parseAnswer(result.answer), { symbol, allowShort: request.allowShort });
+        } catch (e) {
+            record.errors = [e.message];
+        }
+        if (record.errors.length === 0) {
+            if (attempt > 0) recordAiMetrics(provider.id, { repaired: 1 });
+            recommendation = parseAnswer(result.answer);
+            break;
+        }
+        recordAiMetrics(provider.id, { validationFailures: 1 });
+        const retrying = attempt < MAX_REPAIR_ATTEMPTS;
+        logMessage(`${provider.name} answer for ${symbol} failed validation: ${record.errors.join('; ')}.${retrying ? ' Asking it to repair the answer.' : ''}`, 'error');
+        if (!retrying) recordAiMetrics(provider.id, { rejected: 1 });
+        prompt = buildRepairPrompt(request.prompt, result.answer, record.errors);
+    }
+
+    const sum = key => attempts.reduce((total, a) => total + ((a.usage && a.usage[key]) || 0), 0);
+    const auditId = await recordAiCall({
+        symbol,
+        provider: provider.id,
+        model,
+        ...audit,
+        prompt: request.prompt,
+        attempts,
+        error,
+        decision: recommendation,
+        latencyMs: attempts.reduce((total, a) => total + a.latencyMs, 0),
+        usage: attempts.some(a => a.usage) ? { promptTokens: sum('promptTokens'), outputTokens: sum('outputTokens') } : null,
+    });
+    return { recommendation, auditId };
+}
+
+/**
+ * Gets a recommendation for a candidate from the active provider, and logs the answers of the
+ * comparison providers selected in the settings for the same prompt.
+ * @param {string} newsHeadlines - Recent news headlines, one per line.
+ * @param {object} stockData - The indicator snapshot from `getIndicators`.
+ * @param {object} [options] - The scheduler priority and cancellation signal: `{ priority, signal }`.
+ * @returns {Promise<object|null>} The active provider's validated recommendation, with its `provider`,
+ * `promptVersion` and `auditId`, or null on failure.
+ * @throws {RequestCancelledError} If the request was cancelled.
+ */
+export async function getAiRecommendationForStock(newsHeadlines, stockData, { priority, signal } = {}) {
+    const allowShort = Boolean(state.settings.enableShorts);
+    const { version, template } = pickPromptTemplate();
+    const request = { prompt: renderPrompt(template, newsHeadlines, stockData, allowShort), stockData, allowShort, priority, signal };
+    const audit = { promptVersion: version, inputs: { headlines: newsHeadlines, indicators: stockData } };
+    const provider = getActiveAiProvider();
+    const { recommendation, auditId } = await requestRecommendation(provider, request, { ...audit, role: 'primary' });
+
+    const comparisons = (state.settings.aiCompareProviders || [])
+        .filter(id => id !== provider.id)
+        .map(getAiProvider)
+        .filter(p => p && p.isConfigured(state.settings, state.apiKeys));
+    if (comparisons.length > 0) {
+        const describe = r => (r ? `${r.decision} (${r.confidence})` : 'failed');
+        const answers = [`${provider.id} ${describe(recommendation)}`];
+        for (const other of comparisons) {
+            const answer = await requestRecommendation(other, request, { ...audit, role: 'comparison' });
+            answers.push(`${other.id} ${describe(answer.recommendation)}`);
+        }
+        logMessage(`AI comparison for ${stockData.symbol}: ${answers.join(', ')}.`, 'action');
+    }
+    return recommendation ? { ...recommendation, provider: provider.id, promptVersion: version, auditId } : null;
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Performance analytics.
+ * Derives per-trade statistics from the trade journal (win rate, average win/loss, profit factor,
+ * expectancy in R multiples), per-day P/L, and risk statistics from the equity series (drawdown,
+ * Sharpe and Sortino ratios), and applies the retention rules for intraday equity samples.
+ * These are pure functions that don't depend on the global state.
+ */
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Retention rules for intraday equity samples: points older than `age` are thinned to one per `bucket`.
+// The last sample in each bucket is kept, so each day's final point remains its close.
+const EQUITY_RETENTION = [
+    { age: 7 * 24 * 60 * 60 * 1000, bucket: 'day' },
+    { age: 24 * 60 * 60 * 1000, bucket: 15 * 60 * 1000 },
+    { age: 0, bucket: 60 * 1000 },
+];
+
+/**
+ * Computes statistics over the closed trades in the journal.
+ * A trade's R multiple is its P/L divided by the amount initially at risk (entry to stop).
+ * @param {object[]} journal - Journal entries; only those with status 'closed' are used.
+ * @returns {object} Trade count, wins, losses, win rate (%), average win/loss ($), profit factor,
+ * expectancy ($ and R). Ratios are null when they cannot be computed.
+ */
+export function computeTradeStats(journal) {
+    const closed = journal.filter(e => e.status === 'closed' && typeof e.pnl === 'number');
+    const wins = closed.filter(e => e.pnl > 0);
+    const losses = closed.filter(e => e.pnl < 0);
+    const grossWin = wins.reduce((sum, e) => sum + e.pnl, 0);
+    const grossLoss = losses.reduce((sum, e) => sum - e.pnl, 0);
+
+    const rMultiples = closed
+        .map(e => {
+            const risk = Math.abs(e.entryPrice - e.stopPrice) * e.qty;
+            return risk > 0 ? e.pnl / risk : null;
+        })
+        .filter(r => r !== null);
+
+    return {
+        totalTrades: closed.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: closed.length > 0 ? wins.length / closed.length * 100 : null,
+        avgWin: wins.length > 0 ? grossWin / wins.length : null,
+        avgLoss: losses.length > 0 ? -grossLoss / losses.length : null,
+        profitFactor: grossLoss > 0 ? grossWin / grossLoss : null,
+        expectancy: closed.length > 0 ? (grossWin - grossLoss) / closed.length : null,
+        expectancyR: rMultiples.length > 0 ? rMultiples.reduce((a, b) => a + b, 0) / rMultiples.length : null,
+    };
+}
+
+/**
+ * Groups closed trades by the local date they exited and sums their P/L.
+ * @param {object[]} journal - Journal entries.
+ * @returns {{days: {date: string, pnl: number, trades: number}[], greenDays: number, redDays: number,
+ * bestDay: object|null, worstDay: object|null}} Per-day P/L, oldest first, and its extremes.
+ */
+export function computeDailyStats(journal) {
+    const byDay = new Map();
+    for (const e of journal) {
+        if (e.status !== 'closed' || typeof e.pnl !== 'number' || !e.exitTime) continue;
+        const date = new Date(e.exitTime).toLocaleDateString('en-CA');
+        const day = byDay.get(date) || { date, pnl: 0, trades: 0 };
+        day.pnl += e.pnl;
+        day.trades++;
+        byDay.set(date, day);
+    }
+    const days = [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date));
+    const sorted = [...days].sort((a, b) => b.pnl - a.pnl);
+
+    return {
+        days,
+        greenDays: days.filter(d => d.pnl > 0).length,
+        redDays: days.filter(d => d.pnl < 0).length,
+        bestDay: sorted[0] || null,
+        worstDay: sorted[sorted.length - 1] || null,
+    };
+}
+
+/**
+ * Computes the drawdown series of an equity curve and its worst drawdown.
+ * Duration is measured from the peak to the recovery of that peak, or to the last point if never recovered.
+ * @param {{x: Date|string, y: number}[]} equity - Equity points, oldest first.
+ * @returns {{series: {x: Date, y: number}[], maxDrawdownPct: number, maxDrawdownDurationMs: number}}
+ * Drawdown in percent below the running peak (zero or negative), the maximum drawdown as a positive
+ * percentage, and the longest time spent below a previous peak.
+ */
+export function computeDrawdown(equity) {
+    const series = [];
+    let peak = -Infinity;
+    let peakTime = null;
+    let inDrawdown = false;
+    let maxDrawdownPct = 0;
+    let maxDrawdownDurationMs = 0;
+
+    for (const point of equity) {
+        const time = new Date(point.x);
+        if (point.y >= peak) {
+            if (inDrawdown) maxDrawdownDurationMs = Math.max(maxDrawdownDurationMs, time - peakTime);
+            peak = point.y;
+            peakTime = time;
+            inDrawdown = false;
+        } else {
+            inDrawdown = true;
+        }
+        const drawdownPct = peak > 0 ? (point.y - peak) / peak * 100 : 0;
+        maxDrawdownPct = Math.max(maxDrawdownPct, -drawdownPct);
+        series.push({ x: time, y: drawdownPct });
+    }
+    // A drawdown still in progress counts up to the last point.
+    if (inDrawdown) {
+        maxDrawdownDurationMs = Math.max(maxDrawdownDurationMs, series[series.length - 1].x - peakTime);
+    }
+
+    return { series, maxDrawdownPct, maxDrawdownDurationMs };
+}
+
+/**
+ * Computes annualized Sharpe and Sortino ratios from the daily returns of an equity curve.
+ * A day's close is its end-of-day snapshot (a point flagged `close`) if there is one, otherwise its last point;
+ * the risk-free rate is assumed to be zero.
+ * @param {{x: Date|string, y: number, close?: boolean}[]} equity - Equity points, oldest first.
+ * @returns {{sharpe: number|null, sortino: number|null, dailyReturns: number[]}} The ratios, or null
+ * when there are fewer than two daily returns (or no variation to measure).
+ */
+export function computeRiskRatios(equity) {
+    const closes = new Map();
+    const snapshotDays = new Set();
+    for (const point of equity) {
+        const day = new Date(point.x).toLocaleDateString('en-CA');
+        if (snapshotDays.has(day)) continue; // The session close snapshot is the day's close
+        closes.set(day, point.y);
+        if (point.close) snapshotDays.add(day);
+    }
+    const values = [...closes.values()];
+    const dailyReturns = [];
+    for (let i = 1; i < values.length; i++) {
+        if (values[i - 1] > 0) dailyReturns.push(values[i] / values[i - 1] - 1);
+    }
+    if (dailyReturns.length < 2) return { sharpe: null, sortino: null, dailyReturns };
+
+    const mean = dailyReturns.reduce((a, b) => a + b, 0) / dailyReturns.length;
+    const variance = dailyReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (dailyReturns.length - 1);
+    const downsideVariance = dailyReturns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / dailyReturns.length;
+    const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+    return {
+        sharpe: variance > 0 ? mean / Math.sqrt(variance) * annualize : null,
+        sortino: downsideVariance > 0 ? mean / Math.sqrt(downsideVariance) * annualize : null,
+        dailyReturns,
+    };
+}
+
+/**
+ * Downsamples an intraday equity series so it can be stored indefinitely:
+ * one point per minute for the last day, one per 15 minutes for the last week,
+ * and one per day (the day's close) beyond that. End-of-day snapshots (points flagged `close`) are kept
+ * over later samples in the same bucket.
+ * @param {{x: Date, y: number, close?: boolean}[]} equity - Equity points, oldest first.
+ * @param {number} [now=Date.now()] - The reference time for the retention ages.
+ * @returns {{x: Date, y: number}[]} The compacted series, oldest first.
+ */
+export function compactEquitySeries(equity, now = Date.now()) {
+    const result = [];
+    let lastKey = null;
+    for (const point of equity) {
+        const time = new Date(point.x).getTime();
+        const rule = EQUITY_RETENTION.find(r => now - time >= r.age) || EQUITY_RETENTION[EQUITY_RETENTION.length - 1];
+        const key = rule.bucket === 'day'
+            ? `day:${new Date(time).toLocaleDateString('en-CA')}`
+            : `${rule.bucket}:${Math.floor(time / rule.bucket)}`;
+        if (key === lastKey) {
+            // Keep the latest sample in each bucket, but never replace a session close snapshot with an after-hours one
+            if (!result[result.length - 1].close) result[result.length - 1] = point;
+        } else {
+            result.push(point);
+            lastKey = key;
+        }
+    }
+    return result;
+}
+
+/**
+ * Computes every statistic shown in the performance analytics panel.
+ * @param {object[]} journal - The trade journal.
+ * @param {{x: Date|string, y: number}[]} equity - The equity series.
+ * @returns {{trades: object, daily: object, drawdown: object, ratios: object}} All statistics.
+ */
+export function computePerformanceStats(journal, equity) {
+    return {
+        trades: computeTradeStats(journal),
+        daily: computeDailyStats(journal),
+        drawdown: computeDrawdown(equity),
+        ratios: computeRiskRatios(equity),
+    };
+}
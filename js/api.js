@@ -1,12 +1,17 @@
 /**
  * @fileoverview Handles all API communications for the trading bot.
- * This includes fetching data from Alpaca, sending orders, and getting AI analysis from Gemini.
- * It also includes robust error handling and rate-limit backoff logic.
+ * This includes fetching data from Alpaca and sending orders; AI analysis is handled in ai.js.
+ * Requests are throttled by the scheduler in ratelimit.js and retried with backoff on rate limits and network errors.
  */
 
 import { state, setState } from './state.js';
 import { logMessage, renderPositionsTable, updateDashboardUI, updatePerformanceChart, showToast } from './ui.js';
-import { calculateRSI, calculateATR, calculateMACD } from './utils.js';
+import { computeIndicators, aggregateBars } from './utils.js';
+import { simulatorFetch } from './simulator.js';
+import { compactEquitySeries } from './analytics.js';
+import { getStreamBars } from './stream.js';
+import { getCachedBars } from './barcache.js';
+import { scheduleRequest, pauseBucket, isCancellation, RequestCancelledError } from './ratelimit.js';
 
 // Custom Error for Authentication issues to be caught by the main app logic.
 export class AuthError extends Error {
@@ -16,29 +21,50 @@ export class AuthError extends Error {
     }
 }
 
+// Trading API base URLs for each Alpaca environment. Market data is served from the same host for both.
+const TRADING_BASE_URLS = {
+    paper: 'https://paper-api.alpaca.markets',
+    live: 'https://api.alpaca.markets',
+};
+
+/**
+ * Gets the Alpaca environment and key pair the bot is configured to trade with.
+ * @returns {{environment: string, alpacaKey: string, alpacaSecret: string}} The active environment and its keys.
+ */
+export function getActiveAlpacaCredentials() {
+    const environment = state.settings.environment === 'live' ? 'live' : 'paper';
+    const keys = state.apiKeys[environment] || {};
+    return { environment, alpacaKey: keys.alpacaKey || '', alpacaSecret: keys.alpacaSecret || '' };
+}
+
 /**
  * A wrapper for the fetch API that includes exponential backoff for retries.
- * This helps in gracefully handling rate limits (429) and transient network errors.
+ * Each attempt waits for a token from the request scheduler, so requests are throttled before they
+ * are sent; a 429 still pauses the request's bucket and is retried.
  * @param {string} url The URL to fetch.
- * @param {object} options The fetch options (method, headers, body).
+ * @param {object} options The fetch options (method, headers, body, signal).
+ * @param {object} schedule The scheduler bucket and priority: `{ bucket, priority }`.
  * @param {number} retries Number of retries left.
  * @param {number} delay The delay in ms before the next retry.
  * @returns {Promise<object|boolean>} The JSON response or true for 204 No Content.
  * @throws {AuthError} on 401 Unauthorized status.
+ * @throws {RequestCancelledError} if the request was cancelled by its signal.
  * @throws {Error} on other failed responses after all retries are exhausted.
  */
-async function fetchWithBackoff(url, options, retries = 3, delay = 2000) {
+async function fetchWithBackoff(url, options, schedule, retries = 3, delay = 2000) {
     try {
-        const response = await fetch(url, options);
+        const response = await scheduleRequest(schedule.bucket, () => fetch(url, options), { priority: schedule.priority, signal: options.signal });
         if (!response.ok) {
             if (response.status === 401) {
                 // Specific error for authentication failure.
                 throw new AuthError('Authentication Failed (401). Please check your API keys.');
             }
             if (response.status === 429 && retries > 0) {
-                logMessage(`Rate limit hit. Retrying in ${delay / 1000}s...`, 'error');
-                await new Promise(res => setTimeout(res, delay));
-                return fetchWithBackoff(url, options, retries - 1, delay * 2); // Exponential backoff
+                const retryAfter = parseFloat(response.headers && response.headers.get && response.headers.get('Retry-After'));
+                const wait = Number.isFinite(retryAfter) ? retryAfter * 1000 : delay;
+                logMessage(`Rate limit hit. Retrying in ${wait / 1000}s...`, 'error');
+                pauseBucket(schedule.bucket, wait);
+                return fetchWithBackoff(url, options, schedule, retries - 1, delay * 2); // Exponential backoff
             }
             const errorText = await response.text();
             throw new Error(`API Error (${response.status}): ${errorText}`);
@@ -48,14 +74,14 @@ async function fetchWithBackoff(url, options, retries = 3, delay = 2000) {
 
         return await response.json();
     } catch (error) {
-        // Rethrow AuthError immediately.
-        if (error instanceof AuthError) {
+        // Rethrow AuthError and cancellations immediately.
+        if (error instanceof AuthError || isCancellation(error)) {
             throw error;
         }
         // Retry for other network errors.
         if (retries > 0) {
             await new Promise(res => setTimeout(res, delay));
-            return fetchWithBackoff(url, options, retries - 1, delay * 2);
+            return fetchWithBackoff(url, options, schedule, retries - 1, delay * 2);
         }
         // If all retries fail, throw the last error.
         throw error;
@@ -64,131 +90,83 @@ async function fetchWithBackoff(url, options, retries = 3, delay = 2000) {
 
 /**
  * A specialized fetch function for the Alpaca API.
- * It determines the correct base URL (paper trading vs. market data) and sets auth headers.
+ * It determines the correct base URL (paper or live trading vs. market data) and sets the
+ * auth headers from the key pair saved for the selected environment.
+ * When the local simulator is the selected broker, the request is answered by it instead.
+ * Trading requests are scheduled at high priority and market data at normal priority, unless
+ * `options.priority` says otherwise (the candidate analysis uses 'low').
  * @param {string} endpoint The API endpoint to call (e.g., '/v2/account').
- * @param {object} options The fetch options.
+ * @param {object} options The fetch options, plus an optional `priority` for the request scheduler.
  * @returns {Promise<any>} The response from the Alpaca API.
  */
 export async function alpacaFetch(endpoint, options = {}) {
+    const { priority, ...fetchOptions } = options;
+    if (state.settings.broker === 'simulator') {
+        if (fetchOptions.signal && fetchOptions.signal.aborted) throw new RequestCancelledError();
+        return simulatorFetch(endpoint, fetchOptions);
+    }
+
+    const { environment, alpacaKey, alpacaSecret } = getActiveAlpacaCredentials();
     let url;
+    let defaultPriority;
     // Differentiate between data endpoints and trading endpoints.
     if (endpoint.startsWith('/v1beta1/') || endpoint.startsWith('/v2/stocks')) {
         url = `https://data.alpaca.markets${endpoint}`;
+        defaultPriority = 'normal';
     } else {
-        url = `https://paper-api.alpaca.markets${endpoint}`;
+        url = `${TRADING_BASE_URLS[environment]}${endpoint}`;
+        defaultPriority = 'high';
     }
 
     const headers = {
-        'APCA-API-KEY-ID': state.apiKeys.alpacaKey,
-        'APCA-API-SECRET-KEY': state.apiKeys.alpacaSecret,
+        'APCA-API-KEY-ID': alpacaKey,
+        'APCA-API-SECRET-KEY': alpacaSecret,
     };
 
-    if (options.body) {
+    if (fetchOptions.body) {
         headers['Content-Type'] = 'application/json';
     }
 
-    return fetchWithBackoff(url, { ...options, headers });
+    // Both hosts count against the account's one request limit, so they share a bucket.
+    return fetchWithBackoff(url, { ...fetchOptions, headers }, { bucket: 'alpaca', priority: priority || defaultPriority });
 }
 
 /**
  * Fetches market data and calculates technical indicators for a given symbol.
- * This is the 'getIndicators' function that was missing.
+ * Streamed bars are used when the symbol is streaming; otherwise the bars come from the bar cache.
  * @param {string} symbol The stock symbol.
+ * @param {object} [options] Extra indicators to compute, passed on to `computeIndicators`.
+ * @param {object} [request] The priority and cancellation signal of any bar download.
  * @returns {Promise<object|null>} An object with indicators, or null on failure.
+ * @throws {RequestCancelledError} if the request was cancelled.
  */
-export async function getIndicators(symbol) {
+export async function getIndicators(symbol, options, request) {
+    const streamedBars = getStreamBars(symbol);
+    if (streamedBars) {
+        const indicators = computeIndicators(symbol, streamedBars, aggregateBars(streamedBars, 5), options);
+        if (indicators) return indicators; // Otherwise the buffer is still filling up
+    }
     try {
-        const now = new Date();
+        const end = new Date();
         // Get data from up to 2 days ago to ensure enough bars for calculation
-        const start = new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000).toISOString();
-        const end = now.toISOString();
-
-        // Common URL parameters
-        const baseParams = { start, end, limit: 1000, adjustment: 'raw' };
-
-        // Fetch 1-minute bars
-        const params1m = new URLSearchParams({ ...baseParams, timeframe: '1Min' }).toString();
-        const bars1m = await alpacaFetch(`/v2/stocks/${symbol}/bars?${params1m}`);
-
-        // Fetch 5-minute bars
-        const params5m = new URLSearchParams({ ...baseParams, timeframe: '5Min' }).toString();
-        const bars5m = await alpacaFetch(`/v2/stocks/${symbol}/bars?${params5m}`);
+        const start = new Date(end.getTime() - 2 * 24 * 60 * 60 * 1000);
+        const bars1m = await getCachedBars(symbol, '1Min', { start, end, request });
+        const bars5m = await getCachedBars(symbol, '5Min', { start, end, request });
 
-        if (!bars1m.bars || bars1m.bars.length < 50 || !bars5m.bars || bars5m.bars.length < 50) {
+        const indicators = computeIndicators(symbol, bars1m, bars5m, options);
+        if (!indicators) {
             logMessage(`Insufficient bar data for ${symbol} to calculate indicators.`, "warning");
             return null;
         }
-
-        const prices1m = bars1m.bars.map(b => b.c);
-        const prices5m = bars5m.bars.map(b => b.c);
-
-        return {
-            symbol: symbol,
-            currentPrice: prices1m[prices1m.length - 1],
-            rsi1m: calculateRSI(prices1m),
-            rsi5m: calculateRSI(prices5m),
-            atr: calculateATR(bars5m.bars),
-            macd: calculateMACD(prices5m)
-        };
+        return indicators;
     } catch (e) {
+        if (isCancellation(e)) throw e;
         logMessage(`Failed to get indicators for ${symbol}: ${e.message}`, "error");
         return null;
     }
 }
 
 
-/**
- * Fetches an AI recommendation for a given stock using the Gemini API.
- * @param {string} newsHeadlines A string of recent news headlines.
- * @param {object} stockData An object containing technical indicators for the stock.
- * @returns {Promise<object|null>} The parsed JSON recommendation from the AI, or null on failure.
- */
-export async function getAiRecommendationForStock(newsHeadlines, stockData) {
-    const prompt = `As a Tier-1 Hedge Fund Analyst, provide a 'BUY' or 'HOLD' decision for an intraday scalping strategy.
-        Base your decision on a 50/50 weighting of general market news and the stock's specific quantitative data.
-        A 'BUY' is warranted if the stock shows strong technicals (bullish MACD, high ATR for volatility) and the news is supportive.
-        A 'HOLD' is warranted if data is mixed, neutral, or negative. Do not recommend 'SELL'.
-
-        Respond ONLY with the following JSON format:
-        {
-            "ticker": "${stockData.symbol}",
-            "decision": "BUY" or "HOLD",
-            "confidence": A score from 1 (low) to 10 (high) on your conviction,
-            "reasoning": "Brief justification synthesizing all data points."
-        }
-
-        --- DATA ---
-        **General Market News:** ${newsHeadlines}
-        **Stock Specifics for ${stockData.symbol}:**
-        - Price: ${stockData.currentPrice}, 5-min RSI: ${stockData.rsi5m.toFixed(2)}, 5-min ATR: ${stockData.atr.toFixed(4)}
-        - 5-min MACD: ${stockData.macd.macd.toFixed(4)}, 5-min MACD Signal: ${stockData.macd.signal.toFixed(4)}
-        --- END DATA ---
-    `;
-
-    try {
-        const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${state.apiKeys.geminiKey}`;
-        const response = await fetch(API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] })
-        });
-
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(`Gemini API Error: ${error.error.message}`);
-        }
-
-        const data = await response.json();
-        // Clean up potential markdown formatting from the response
-        const jsonString = data.candidates[0].content.parts[0].text.replace(/```json|```/g, '').trim();
-        return JSON.parse(jsonString);
-
-    } catch (e) {
-        logMessage(`Gemini parsing failed for ${stockData.symbol}: ${e.message}`, 'error');
-        return null;
-    }
-}
-
 /**
  * Places a bracket order (entry, stop loss, take profit) via the Alpaca API.
  * @param {string} symbol - The stock symbol.
@@ -197,6 +175,7 @@ export async function getAiRecommendationForStock(newsHeadlines, stockData) {
  * @param {string} limitPrice - The limit price for the entry order.
  * @param {string} stopPrice - The stop loss price.
  * @param {string} takeProfitPrice - The take profit price.
+ * @returns {Promise<object|null>} The order returned by Alpaca, or null if it was not placed.
  */
 export async function placeBracketOrder(symbol, quantity, side, limitPrice, stopPrice, takeProfitPrice) {
     const orderData = {
@@ -211,23 +190,42 @@ export async function placeBracketOrder(symbol, quantity, side, limitPrice, stop
             stop_price: stopPrice
         },
         take_profit: {
-            take_profit_price: takeProfitPrice
+            limit_price: takeProfitPrice
         }
     };
 
     try {
-        await alpacaFetch('/v2/orders', {
+        const order = await alpacaFetch('/v2/orders', {
             method: 'POST',
             body: JSON.stringify(orderData)
         });
-        logMessage(`[${side.toUpperCase()}] Placed bracket order for ${quantity} ${symbol} @ ${limitPrice}. SL: ${stopPrice}, TP: ${takeProfitPrice}`, side);
+        logMessage(`[${side === 'sell' ? 'SHORT' : 'BUY'}] Placed bracket order for ${quantity} ${symbol} @ ${limitPrice}. SL: ${stopPrice}, TP: ${takeProfitPrice}`, side);
         showToast(`Order placed for ${symbol}`, 'success');
+        return order;
     } catch (e) {
         logMessage(`Order for ${symbol} failed: ${e.message}`, 'error');
         showToast(`Order for ${symbol} failed`, 'error');
+        return null;
     }
 }
 
+/**
+ * Checks whether a symbol can be sold short right now: the account must allow shorting and
+ * the asset must be shortable and easy to borrow (Alpaca does not accept hard-to-borrow shorts).
+ * @param {string} symbol - The stock symbol.
+ * @returns {Promise<{shortable: boolean, reason: string}>} Whether a short can be placed, and why not.
+ */
+export async function checkShortable(symbol) {
+    const [account, asset] = await Promise.all([
+        alpacaFetch('/v2/account'),
+        alpacaFetch(`/v2/assets/${symbol}`)
+    ]);
+    if (!account.shorting_enabled) return { shortable: false, reason: 'shorting is not enabled on this account' };
+    if (!asset.shortable) return { shortable: false, reason: 'the asset is not shortable' };
+    if (!asset.easy_to_borrow) return { shortable: false, reason: 'the asset is hard to borrow' };
+    return { shortable: true, reason: '' };
+}
+
 /**
  * Fetches the latest account and position data from Alpaca and updates the global state.
  */
@@ -250,26 +248,23 @@ export async function updatePortfolioAndPositions() {
         if (state.portfolio.initial_equity === 0) {
             newState.portfolio.initial_equity = newEquity;
         }
-        if (state.portfolio.last_equity === 0) {
+        // The previous close comes from the account, so the day's P/L includes losses taken before
+        // the bot started and rolls over with the broker's trading day.
+        const lastEquity = parseFloat(account.last_equity);
+        if (lastEquity > 0) {
+            newState.portfolio.last_equity = lastEquity;
+        } else if (state.portfolio.last_equity === 0) {
             newState.portfolio.last_equity = newEquity;
         }
 
-        // Update performance data
-        const today = new Date().toISOString().split('T')[0];
-        let perfData = [...state.performanceData];
-        const todayEntry = perfData.find(d => d.x && d.x.toISOString().split('T')[0] === today);
-
-        if (todayEntry) {
-            todayEntry.y = newEquity;
-        } else {
-            perfData.push({ x: new Date(), y: newEquity });
-        }
-        newState.performanceData = perfData;
+        // Record an intraday equity sample, thinning older samples so the data file stays bounded
+        newState.performanceData = compactEquitySeries([...state.performanceData, { x: new Date(), y: newEquity }]);
 
         // Map positions to a simpler format and find stop-loss price
         newState.positions = positions.map(p => ({
             symbol: p.symbol,
             qty: p.qty,
+            side: p.side || (parseFloat(p.qty) < 0 ? 'short' : 'long'),
             avg_entry_price: p.avg_entry_price,
             current_price: p.current_price,
             unrealized_pl: p.unrealized_pl,
@@ -307,3 +302,45 @@ export async function closePositionFromApi(symbol) {
         throw e; // Re-throw to be handled by the UI
     }
 }
+
+/**
+ * Cancels every open order, including the stop and take-profit legs of bracket orders.
+ * @returns {Promise<number>} The number of orders cancelled.
+ */
+export async function cancelAllOrders() {
+    try {
+        const result = await alpacaFetch('/v2/orders', {
+            method: 'DELETE'
+        });
+        const count = Array.isArray(result) ? result.length : 0;
+        logMessage(`Cancel requested for ${count} open order(s).`, 'action');
+        return count;
+    } catch (e) {
+        logMessage(`Failed to cancel open orders: ${e.message}`, 'error');
+        throw e;
+    }
+}
+
+/**
+ * Closes every open position at market. The open orders are cancelled first,
+ * since bracket legs hold the shares a market close needs.
+ * @throws {Error} If the orders could not be cancelled or any position could not be closed.
+ */
+export async function flattenAllPositions() {
+    if (state.positions.length === 0) {
+        logMessage('No open positions to flatten.', 'action');
+        return;
+    }
+    logMessage(`Flattening ${state.positions.length} open position(s).`, 'sell');
+    await cancelAllOrders();
+    const failed = [];
+    for (const position of state.positions) {
+        try {
+            await closePositionFromApi(position.symbol);
+        } catch (e) {
+            failed.push(position.symbol); // Already logged; keep closing the rest
+        }
+    }
+    await updatePortfolioAndPositions(); // So the rest of the cycle does not act on closed positions
+    if (failed.length > 0) throw new Error(`could not close ${failed.join(', ')}`);
+}
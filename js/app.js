@@ -7,16 +7,32 @@
 // --- MODULE IMPORTS ---
 import { UI } from './config.js';
 import { state, setState } from './state.js';
-import { AuthError, closePositionFromApi, updatePortfolioAndPositions } from './api.js';
-import { logMessage, showToast, updateDashboardUI, initializeChart, updateStatus, setLoadingText } from './ui.js';
+import { AuthError, closePositionFromApi, updatePortfolioAndPositions, getActiveAlpacaCredentials, cancelAllOrders } from './api.js';
+import { logMessage, showToast, updateDashboardUI, initializeChart, updatePerformanceChart, updateStatus, setLoadingText, renderBacktestResults, updateEnvironmentBanner, renderJournal, renderPerformanceStats, setChartRange, renderStrategySettings, renderSizingSettings, renderSizingPreview, renderAiIndicatorSettings, renderAiProviderSettings, renderUniverseSettings, renderUniverse, renderAiWatchlist, renderPromptSettings, showPromptTemplate, renderAiAuditLog, renderOrders } from './ui.js';
 import { loadDataFromFile, saveDataAndSettings, saveSettingsFromUI, loadSettingsFromStorage, exportData, importData, clearData } from './data.js';
-import { isMarketOpen } from './utils.js';
-import { runAiDrivenAnalysis, runScalpingStrategy } from './strategy.js';
+import { parseBarFile } from './utils.js';
+import { getActiveAiProvider } from './ai.js';
+import { getAiCallsForSymbol } from './audit.js';
+import { runAiDrivenAnalysis, runScalpingStrategy, runStrategyOnBar, cancelAiAnalysis, addWatchlistSymbol, previewPositionSizes } from './strategy.js';
+import { runBacktest } from './backtest.js';
+import { resetSimulator } from './simulator.js';
+import { reconcileJournal } from './journal.js';
+import { syncMarketSession, getCurrentMarketPhase, MARKET_PHASES } from './market.js';
+import { runSessionActions } from './scheduler.js';
+import { checkRiskLimits, resetRiskHalt } from './risk.js';
+import { refreshOrders, cancelOrderById, modifyBracketOrder } from './orders.js';
+import { manageOpenPositions } from './positions.js';
+import { getCachedBars, logBarCacheStats, clearBarCache } from './barcache.js';
+import { startStreaming, stopStreaming, updateStreamSubscriptions, onStreamBar, onTradeUpdate } from './stream.js';
+import { buildUniverse } from './universe.js';
+import { expireWatchlist, setPinned, setBlocked, removeFromWatchlist } from './watchlist.js';
 
 
 // --- GLOBAL VARIABLES ---
 let tradeCycleInterval = null;
 let aiAnalysisInterval = null;
+let streamBarQueue = Promise.resolve(); // Serializes strategy runs triggered by streamed bars
+let backtestBarData = null; // Parsed bar file for the backtest tab. Kept out of state as it can be large.
 
 // --- CORE APPLICATION LOGIC ---
 
@@ -24,13 +40,43 @@ let aiAnalysisInterval = null;
  * Starts the trading bot and its cycles.
  */
 function startBot() {
-    if (!state.apiKeys.alpacaKey || !state.apiKeys.alpacaSecret || !state.apiKeys.geminiKey) {
-        showToast("Alpaca and Gemini API keys are required in Settings.", "error");
-        return;
+    const usingSimulator = state.settings.broker === 'simulator';
+    const { environment, alpacaKey, alpacaSecret } = getActiveAlpacaCredentials();
+    if (!usingSimulator) {
+        if (!alpacaKey || !alpacaSecret) {
+            showToast(`Alpaca ${environment} keys are required in Settings.`, "error");
+            return;
+        }
+        const aiProvider = getActiveAiProvider();
+        if (!aiProvider.isConfigured(state.settings, state.apiKeys)) {
+            showToast(`The ${aiProvider.name} AI provider is not configured in Settings.`, "error");
+            return;
+        }
+        // Alpaca paper key IDs start with 'PK'; refuse to send one to the live endpoint.
+        if (environment === 'live' && alpacaKey.startsWith('PK')) {
+            showToast("The live Key ID looks like a paper trading key.", "error");
+            return;
+        }
+        if (environment === 'live') {
+            const confirmation = window.prompt("You are about to start the bot on a LIVE account with real money.\nType LIVE to confirm.");
+            if (confirmation !== 'LIVE') {
+                showToast("Live start cancelled.", "info");
+                return;
+            }
+        }
     }
     setState({ isBotRunning: true });
-    updateStatus('Active', 'bg-green-500');
-    logMessage('Bot started. Initializing cycles.', 'signal');
+    if (state.riskHalt) {
+        updateStatus('Halted', 'bg-amber-500');
+    } else {
+        updateStatus('Active', 'bg-green-500');
+    }
+    const target = usingSimulator ? ' on the local simulator' : (environment === 'live' ? ' on the LIVE account' : '');
+    logMessage(`Bot started${target}. Initializing cycles.`, 'signal');
+
+    if (state.settings.enableStreaming && !usingSimulator) {
+        startStreaming();
+    }
 
     // Run cycles immediately on start, then set intervals
     tradeCycle();
@@ -48,6 +94,8 @@ async function stopBot() {
     setState({ isBotRunning: false });
     clearInterval(tradeCycleInterval);
     clearInterval(aiAnalysisInterval);
+    cancelAiAnalysis();
+    stopStreaming();
     await saveDataAndSettings(true); // Perform a final save
     updateStatus('Idle', 'bg-red-500');
     logMessage('Bot stopped by user.', 'action');
@@ -68,14 +116,48 @@ async function tradeCycle() {
 
         logMessage("Starting trade cycle...", "action");
         await updatePortfolioAndPositions();
+        await reconcileJournal();
 
-        if (isMarketOpen()) {
+        await syncMarketSession();
+        const current = getCurrentMarketPhase();
+        const { phase, session } = current;
+        const entryBlock = await checkRiskLimits();
+        if (state.riskHalt) {
+            updateStatus('Halted', 'bg-amber-500');
+        } else {
+            updateStatus(`Active (${MARKET_PHASES[phase]})`, 'bg-green-500');
+        }
+        await refreshOrders();
+        if (phase === 'open' || phase === 'closing') {
+            await manageOpenPositions();
+        }
+        await runSessionActions(current);
+        const expired = expireWatchlist();
+        if (expired.length > 0) {
+            logMessage(`Watchlist entries expired: ${expired.join(', ')}.`, "action");
+            renderAiWatchlist();
+        }
+        if (phase === 'open' && entryBlock) {
+            logMessage(`New entries blocked by the risk manager: ${entryBlock}. Managing exits only.`, "action");
+            await runScalpingStrategy({ allowEntries: false });
+        } else if (phase === 'open') {
             await runScalpingStrategy();
+        } else if (phase === 'closing') {
+            logMessage(`${current.minutesToClose} min to the close${session && session.earlyClose ? ' (early close)' : ''}. Managing exits only.`, "action");
+            await runScalpingStrategy({ allowEntries: false });
         } else {
-            logMessage("Market is closed. Skipping scalping.", "action");
+            logMessage(`Market is ${MARKET_PHASES[phase].toLowerCase()}. Skipping scalping.`, "action");
         }
 
+        renderOrders();
+        renderJournal();
+        renderPerformanceStats();
+        updatePerformanceChart();
         await saveDataAndSettings();
+        if (state.settings.enableStreaming && state.settings.broker !== 'simulator') {
+            await updateStreamSubscriptions([...state.aiWatchlist.map(s => s.ticker), ...state.positions.map(p => p.symbol)]);
+        }
+        logBarCacheStats('trade cycle');
         logMessage("Trade cycle finished.", "action");
 
     } catch (error) {
@@ -105,6 +187,325 @@ async function closePosition(symbol) {
     }
 }
 
+// --- ORDERS ---
+
+/**
+ * Reloads the orders from the broker and redraws the Orders tab.
+ */
+async function loadOrders() {
+    await refreshOrders();
+    renderOrders();
+}
+
+/**
+ * Cancels one order from the Orders tab.
+ * @param {string} id - The order id.
+ */
+async function cancelOrderFromUI(id) {
+    try {
+        await cancelOrderById(id);
+        showToast("Order cancel requested.", 'success');
+    } catch (e) {
+        showToast("Failed to cancel the order.", 'error');
+    } finally {
+        await loadOrders();
+    }
+}
+
+/**
+ * Cancels every open order after confirmation.
+ */
+async function cancelAllOrdersFromUI() {
+    if (!window.confirm("Cancel all open orders, including the stop loss and take profit legs of open positions?")) return;
+    try {
+        const count = await cancelAllOrders();
+        showToast(`Cancel requested for ${count} order(s).`, 'success');
+    } catch (e) {
+        showToast("Failed to cancel orders.", 'error');
+    } finally {
+        await loadOrders();
+    }
+}
+
+/**
+ * Saves the stop loss and take profit entered in a bracket's editor row.
+ * @param {string} id - The bracket entry order id.
+ * @param {HTMLElement} editor - The editor row.
+ */
+async function saveBracketFromUI(id, editor) {
+    const changes = {};
+    editor.querySelectorAll('input[data-field]:not(:disabled)').forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) changes[input.dataset.field] = value;
+    });
+    try {
+        await modifyBracketOrder(id, changes);
+        showToast("Bracket updated.", 'success');
+    } catch (e) {
+        showToast(`Could not modify the bracket: ${e.message}`, 'error');
+    } finally {
+        await loadOrders();
+    }
+}
+
+// --- BACKTESTING ---
+
+/**
+ * Reads a bar file selected by the user and keeps it ready for a backtest run.
+ * @param {Event} event - The file input change event.
+ */
+function loadBacktestFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            backtestBarData = parseBarFile(e.target.result);
+            const summary = Object.entries(backtestBarData)
+                .map(([symbol, { bars1m }]) => `${symbol} (${bars1m.length} bars)`).join(', ');
+            UI.backtest.status.textContent = `Loaded ${file.name}: ${summary}`;
+            UI.backtest.runBtn.disabled = false;
+            logMessage(`Backtest bar file loaded: ${summary}`, 'action');
+        } catch (err) {
+            backtestBarData = null;
+            UI.backtest.runBtn.disabled = true;
+            UI.backtest.status.textContent = `Could not load ${file.name}: ${err.message}`;
+            showToast("Invalid bar file.", "error");
+        }
+    };
+    reader.readAsText(file);
+    UI.backtest.fileInput.value = ''; // Reset input to allow reloading the same file
+}
+
+/**
+ * Applies a pin, unpin, block, unblock or remove button of the watchlist panel, and saves the pins and blocks.
+ * @param {MouseEvent} e - The click event.
+ */
+async function handleWatchlistAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const actions = {
+        pin: [symbol => setPinned(symbol, true), 'pinned'],
+        unpin: [symbol => setPinned(symbol, false), 'unpinned'],
+        block: [symbol => setBlocked(symbol, true), 'blocked'],
+        unblock: [symbol => setBlocked(symbol, false), 'unblocked'],
+        remove: [removeFromWatchlist, 'removed from the watchlist'],
+    };
+    const action = actions[button.dataset.action];
+    if (!action) return;
+    const [apply, done] = action;
+    apply(button.dataset.symbol);
+    renderAiWatchlist();
+    logMessage(`${button.dataset.symbol} ${done}.`, 'action');
+    await saveDataAndSettings(true);
+}
+
+/**
+ * Analyzes the ticker entered above the watchlist and adds it.
+ */
+async function addWatchlistSymbolFromUI() {
+    const symbol = UI.watchlistAddInput.value.trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9.]{0,9}$/.test(symbol)) {
+        showToast("Enter a valid ticker.", "error");
+        return;
+    }
+    UI.watchlistAddBtn.disabled = true;
+    try {
+        if (await addWatchlistSymbol(symbol)) {
+            UI.watchlistAddInput.value = '';
+            showToast(`${symbol} added to the watchlist.`, 'success');
+        } else {
+            showToast(`Could not add ${symbol}.`, 'error');
+        }
+    } finally {
+        UI.watchlistAddBtn.disabled = false;
+    }
+}
+
+/**
+ * Builds the candidate universe with the saved settings and shows it, without running the AI analysis.
+ */
+async function previewUniverse() {
+    UI.universeRefreshBtn.disabled = true;
+    try {
+        const universe = await buildUniverse(state.settings);
+        universe.errors.forEach(error => logMessage(`Universe source failed: ${error}`, 'error'));
+        setState({ universe });
+        renderUniverse();
+        logMessage(`Candidate universe built: ${universe.symbols.length} candidates, ${universe.rejected.length} filtered out.`, 'action');
+    } catch (e) {
+        logMessage(`Could not build the candidate universe: ${e.message}`, 'error');
+        showToast('Could not build the candidate universe.', 'error');
+    } finally {
+        UI.universeRefreshBtn.disabled = false;
+    }
+}
+
+/**
+ * Shows the size the bot would order for each watchlist entry with the saved sizing settings, without placing orders.
+ */
+async function previewSizesFromUI() {
+    UI.sizingPreviewBtn.disabled = true;
+    try {
+        renderSizingPreview(await previewPositionSizes());
+    } catch (e) {
+        logMessage(`Could not preview position sizes: ${e.message}`, 'error');
+        showToast('Could not preview position sizes.', 'error');
+    } finally {
+        UI.sizingPreviewBtn.disabled = false;
+    }
+}
+
+/**
+ * Fetches recent 1Min and 5Min bars for the symbols entered in the backtest tab, through the bar cache.
+ */
+async function fetchBacktestBars() {
+    const symbols = [...new Set(UI.backtest.symbols.value.split(/[\s,]+/).map(s => s.trim().toUpperCase()).filter(Boolean))];
+    const days = parseInt(UI.backtest.days.value, 10) || 5;
+    if (symbols.length === 0) {
+        showToast("Enter at least one symbol.", "error");
+        return;
+    }
+    UI.backtest.fetchBtn.disabled = true;
+    UI.backtest.status.textContent = `Fetching ${days} days of bars for ${symbols.join(', ')}...`;
+    try {
+        const end = new Date();
+        const start = new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+        const barData = {};
+        for (const symbol of symbols) {
+            const bars1m = await getCachedBars(symbol, '1Min', { start, end });
+            if (bars1m.length === 0) continue;
+            barData[symbol] = { bars1m, bars5m: await getCachedBars(symbol, '5Min', { start, end }) };
+        }
+        logBarCacheStats('backtest');
+        if (Object.keys(barData).length === 0) throw new Error('no bars returned');
+        backtestBarData = barData;
+        const summary = Object.entries(barData).map(([symbol, { bars1m }]) => `${symbol} (${bars1m.length} bars)`).join(', ');
+        UI.backtest.status.textContent = `Fetched ${summary}`;
+        UI.backtest.runBtn.disabled = false;
+        logMessage(`Backtest bars fetched: ${summary}`, 'action');
+    } catch (e) {
+        UI.backtest.status.textContent = `Could not fetch bars: ${e.message}`;
+        logMessage(`Backtest bar fetch failed: ${e.message}`, 'error');
+    } finally {
+        UI.backtest.fetchBtn.disabled = false;
+    }
+}
+
+/**
+ * Runs a backtest on the loaded bar file using the current trading parameters.
+ */
+async function runBacktestFromUI() {
+    if (!backtestBarData) return;
+    UI.backtest.runBtn.disabled = true;
+    logMessage('Backtest started.', 'signal');
+    try {
+        const options = {
+            initialEquity: parseFloat(UI.backtest.initialEquity.value) || 100000,
+            riskPerTrade: state.settings.riskPerTrade,
+            maxConcurrentScalps: state.settings.maxConcurrentScalps,
+            limitOrderOffset: state.settings.limitOrderOffset,
+            strategyId: state.settings.activeStrategy,
+            strategyParams: (state.settings.strategyParams || {})[state.settings.activeStrategy],
+            allowShorts: state.settings.enableShorts,
+            noEntryMinutesBeforeClose: state.settings.noEntryMinutesBeforeClose,
+        };
+        const result = await runBacktest(backtestBarData, options, (progress) => {
+            UI.backtest.status.textContent = `Running backtest... ${Math.round(progress * 100)}%`;
+        });
+        renderBacktestResults(result);
+        const { totalTrades, netPnl } = result.summary;
+        UI.backtest.status.textContent = `Backtest complete: ${totalTrades} trades, net P/L $${netPnl.toFixed(2)}.`;
+        logMessage(`Backtest complete: ${totalTrades} trades, net P/L $${netPnl.toFixed(2)}.`, 'signal');
+    } catch (e) {
+        UI.backtest.status.textContent = `Backtest failed: ${e.message}`;
+        logMessage(`Backtest failed: ${e.message}`, 'error');
+    } finally {
+        UI.backtest.runBtn.disabled = false;
+    }
+}
+
+// --- SIMULATOR ---
+
+/**
+ * Reads a bar file and restarts the simulator replaying it.
+ * @param {Event} event - The file input change event.
+ */
+function loadSimulatorReplayFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    if (state.isBotRunning && state.settings.broker === 'simulator') {
+        showToast("Stop the bot before loading a replay.", "warning");
+        UI.simulator.replayInput.value = '';
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const replayData = parseBarFile(e.target.result);
+            const startingCash = parseFloat(UI.settings.simulatorStartingCash.value) || state.settings.simulatorStartingCash;
+            resetSimulator({ startingCash, replayData });
+            const symbols = Object.keys(replayData).join(', ');
+            UI.simulator.status.textContent = `Simulator: replaying ${file.name} (${symbols}).`;
+            logMessage(`Simulator reset to replay ${file.name}: ${symbols}`, 'action');
+            showToast("Simulator replay loaded.", "success");
+        } catch (err) {
+            logMessage(`Could not load replay file: ${err.message}`, 'error');
+            showToast("Invalid bar file.", "error");
+        }
+    };
+    reader.readAsText(file);
+    UI.simulator.replayInput.value = ''; // Reset input to allow reloading the same file
+}
+
+/**
+ * Resets the simulator to a fresh account on the synthetic feed.
+ */
+function resetSimulatorFromUI() {
+    if (state.isBotRunning && state.settings.broker === 'simulator') {
+        showToast("Stop the bot before resetting the simulator.", "warning");
+        return;
+    }
+    const startingCash = parseFloat(UI.settings.simulatorStartingCash.value) || state.settings.simulatorStartingCash;
+    resetSimulator({ startingCash });
+    UI.simulator.status.textContent = 'Simulator: synthetic feed.';
+    logMessage(`Simulator reset with $${startingCash.toLocaleString()} on the synthetic feed.`, 'action');
+    showToast("Simulator reset.", "success");
+}
+
+/**
+ * Runs the strategy on a streamed bar, after any run still in progress.
+ * @param {string} symbol - The symbol whose bar closed.
+ */
+function handleStreamBar(symbol) {
+    streamBarQueue = streamBarQueue.then(async () => {
+        try {
+            await runStrategyOnBar(symbol);
+        } catch (e) {
+            logMessage(`Streamed bar error for ${symbol}: ${e.message}`, 'error');
+        }
+    });
+}
+
+/**
+ * Refreshes the orders table on every order event, and the account and journal on fills.
+ * @param {object} update - The trade update event data.
+ */
+async function handleTradeUpdate(update) {
+    renderOrders();
+    if (update.event !== 'fill' && update.event !== 'partial_fill') return;
+    try {
+        await updatePortfolioAndPositions();
+        await reconcileJournal();
+        renderJournal();
+        renderPerformanceStats();
+    } catch (e) {
+        logMessage(`Could not refresh after a fill: ${e.message}`, 'error');
+    }
+}
+
 // --- INITIALIZATION ---
 
 /**
@@ -120,7 +521,40 @@ function setupEventListeners() {
 
     // Main controls
     UI.startStopBtn.addEventListener('click', () => (state.isBotRunning ? stopBot() : startBot()));
+    UI.resetRiskHaltBtn.addEventListener('click', async () => {
+        if (!window.confirm("Reset the risk halt and allow new entries again?")) return;
+        resetRiskHalt();
+        await saveDataAndSettings(true);
+    });
     UI.settings.saveBtn.addEventListener('click', saveSettingsFromUI);
+    UI.settings.strategy.addEventListener('change', () => renderStrategySettings(UI.settings.strategy.value));
+    UI.settings.sizingModel.addEventListener('change', () => renderSizingSettings(UI.settings.sizingModel.value));
+    UI.settings.aiPromptVersion.addEventListener('change', () => showPromptTemplate(parseInt(UI.settings.aiPromptVersion.value, 10)));
+
+    // AI log, pin, block and remove buttons of the watchlist cards, and unpin/unblock of the lists above them
+    UI.aiWatchlistContainer.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action="ai-audit"]');
+        if (!button) return;
+        try {
+            renderAiAuditLog(button.dataset.symbol, await getAiCallsForSymbol(button.dataset.symbol));
+        } catch (err) {
+            logMessage(`Could not read the AI log: ${err.message}`, 'error');
+        }
+    });
+    UI.aiWatchlistContainer.addEventListener('click', handleWatchlistAction);
+    UI.watchlistPinsBlocks.addEventListener('click', handleWatchlistAction);
+    UI.watchlistAddBtn.addEventListener('click', addWatchlistSymbolFromUI);
+    UI.watchlistAddInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addWatchlistSymbolFromUI();
+    });
+    UI.aiAuditPanel.addEventListener('click', (e) => {
+        if (e.target.closest('button[data-action="close-ai-audit"]')) UI.aiAuditPanel.classList.add('hidden');
+    });
+    UI.universeRefreshBtn.addEventListener('click', previewUniverse);
+    UI.sizingPreviewBtn.addEventListener('click', previewSizesFromUI);
+    UI.sizingPreview.addEventListener('click', (e) => {
+        if (e.target.closest('button[data-action="close-sizing-preview"]')) UI.sizingPreview.classList.add('hidden');
+    });
 
     // Tab navigation
     UI.tabs.forEach(tab => {
@@ -131,6 +565,7 @@ function setupEventListeners() {
             UI.tabContents.forEach(content => content.classList.add('hidden'));
             const contentId = tab.getAttribute('href').substring(1) + '-content';
             document.getElementById(contentId).classList.remove('hidden');
+            if (contentId === 'orders-content') loadOrders();
         });
     });
 
@@ -147,11 +582,63 @@ function setupEventListeners() {
         }
     });
 
+    // Orders tab
+    UI.orders.refreshBtn.addEventListener('click', loadOrders);
+    UI.orders.cancelAllBtn.addEventListener('click', cancelAllOrdersFromUI);
+    UI.orders.statusFilter.addEventListener('change', renderOrders);
+    UI.orders.tableBody.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const id = button.dataset.orderId;
+        if (button.dataset.action === 'cancel') {
+            button.disabled = true;
+            cancelOrderFromUI(id);
+        } else if (button.dataset.action === 'modify') {
+            UI.orders.tableBody.querySelector(`tr[data-order-editor="${id}"]`).classList.toggle('hidden');
+        } else if (button.dataset.action === 'save-bracket') {
+            button.disabled = true;
+            saveBracketFromUI(id, button.closest('tr'));
+        }
+    });
+
+    // Performance chart range selector
+    UI.chartRangeButtons.forEach(btn => btn.addEventListener('click', () => setChartRange(btn.dataset.range)));
+
+    // Journal filters and expandable trade details
+    [UI.journal.symbolFilter, UI.journal.fromFilter, UI.journal.toFilter, UI.journal.outcomeFilter]
+        .forEach(input => input.addEventListener('input', renderJournal));
+    UI.journal.tableBody.addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-journal-id]');
+        if (row) {
+            const details = UI.journal.tableBody.querySelector(`tr[data-journal-details="${row.dataset.journalId}"]`);
+            if (details) details.classList.toggle('hidden');
+        }
+    });
+
     // Data management buttons
     UI.data.exportBtn.addEventListener('click', exportData);
     UI.data.importBtn.addEventListener('click', () => UI.data.importInput.click());
     UI.data.importInput.addEventListener('change', importData);
     UI.data.clearBtn.addEventListener('click', clearData);
+    UI.data.clearBarCacheBtn.addEventListener('click', async () => {
+        try {
+            await clearBarCache();
+            showToast("Bar cache cleared.", "success");
+        } catch (e) {
+            logMessage(`Failed to clear the bar cache: ${e.message}`, 'error');
+        }
+    });
+
+    // Simulator controls
+    UI.simulator.loadReplayBtn.addEventListener('click', () => UI.simulator.replayInput.click());
+    UI.simulator.replayInput.addEventListener('change', loadSimulatorReplayFile);
+    UI.simulator.resetBtn.addEventListener('click', resetSimulatorFromUI);
+
+    // Backtest controls
+    UI.backtest.loadBtn.addEventListener('click', () => UI.backtest.fileInput.click());
+    UI.backtest.fileInput.addEventListener('change', loadBacktestFile);
+    UI.backtest.fetchBtn.addEventListener('click', fetchBacktestBars);
+    UI.backtest.runBtn.addEventListener('click', runBacktestFromUI);
 }
 
 /**
@@ -171,9 +658,22 @@ async function initializeApp() {
     setLoadingText("Loading settings and data...");
     loadSettingsFromStorage();
     await loadDataFromFile(); // Load performance history and other data from OPFS
+    resetSimulator({ startingCash: state.settings.simulatorStartingCash });
+    updateEnvironmentBanner();
+    renderStrategySettings(state.settings.activeStrategy);
+    renderSizingSettings(state.settings.sizingModel);
+    renderAiIndicatorSettings(state.settings.aiIndicators);
+    renderAiProviderSettings(state.settings.aiProvider, state.settings.aiCompareProviders);
+    renderUniverseSettings(state.settings.universeSources);
+    renderPromptSettings();
 
     setupEventListeners();
+    onStreamBar(handleStreamBar);
+    onTradeUpdate(handleTradeUpdate);
     initializeChart();
+    updatePerformanceChart();
+    renderJournal();
+    renderPerformanceStats();
 
     logMessage("App initialized. Configure settings and press Start.", "action");
     UI.loadingOverlay.style.display = 'none';
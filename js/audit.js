@@ -0,0 +1,72 @@
+/**
+ * @fileoverview The AI decision audit log.
+ * Every recommendation request is stored in IndexedDB (in memory where IndexedDB is unavailable)
+ * with the provider, the prompt template version, the inputs (headlines and indicators), the full
+ * prompt, the raw output and validation errors of each attempt, the parsed decision, the latency and
+ * the token usage, so a watchlist pick or a trade can be traced back to the answer that produced it.
+ * Only the most recent `MAX_RECORDS` calls are kept.
+ */
+
+import { logMessage } from './ui.js';
+import { idbRequest, openIdbStore } from './idb.js';
+
+const DB_NAME = 'tradingBotAiAudit';
+const STORE_NAME = 'calls';
+const MAX_RECORDS = 2000;
+
+let dbPromise = null;
+const memoryRecords = []; // Used when IndexedDB is not available, oldest first
+
+/**
+ * Opens the audit database, creating it on first use.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = openIdbStore(DB_NAME, STORE_NAME, 'id').catch((e) => {
+            logMessage(`AI audit storage unavailable, keeping the log in memory only: ${e && e.message}`, 'error');
+            return null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Stores an AI call, dropping the oldest calls beyond the maximum count.
+ * Ids are time-ordered, so the store's key order is the call order.
+ * @param {object} record - The call, without an id.
+ * @returns {Promise<string>} The id it was stored under.
+ */
+export async function recordAiCall(record) {
+    const id = `${Date.now().toString(36).padStart(9, '0')}-${Math.random().toString(36).slice(2, 8)}`;
+    const stored = { id, time: new Date().toISOString(), ...record };
+    try {
+        const db = await openDatabase();
+        if (!db) {
+            memoryRecords.push(stored);
+            if (memoryRecords.length > MAX_RECORDS) memoryRecords.shift();
+            return id;
+        }
+        const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+        await idbRequest(store.add(stored));
+        const keys = await idbRequest(store.getAllKeys());
+        if (keys.length > MAX_RECORDS) {
+            await Promise.all(keys.slice(0, keys.length - MAX_RECORDS).map(key => idbRequest(store.delete(key))));
+        }
+    } catch (e) {
+        logMessage(`Could not write the AI audit log: ${e.message}`, 'error');
+    }
+    return id;
+}
+
+/**
+ * Gets the most recent AI calls about a symbol.
+ * @param {string} symbol - The stock symbol.
+ * @param {number} [limit=10] - The maximum number of calls.
+ * @returns {Promise<object[]>} The calls, newest first.
+ */
+export async function getAiCallsForSymbol(symbol, limit = 10) {
+    const db = await openDatabase();
+    const records = db ? await idbRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll()) : memoryRecords;
+    return records.filter(r => r.symbol === symbol).reverse().slice(0, limit);
+}
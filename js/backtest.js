@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Offline backtesting engine.
+ * Replays stored 1Min/5Min bars through the selected entry strategy and the trade sizing used by
+ * the live scalping strategy, simulates the bracket order fills bar by bar, and produces a trade list
+ * and an equity curve. It needs no network access, so rule changes can be compared before a session.
+ */
+
+import { computeIndicators, getNewYorkDate } from './utils.js';
+import { calculateBracket } from './strategy.js';
+import { getStrategy, resolveStrategyParams, getIndicatorOptions } from './strategies.js';
+import { computeDrawdown } from './analytics.js';
+import { getMarketPhase } from './market.js';
+
+// Default options for a backtest run. Trading parameters mirror `state.settings`.
+const DEFAULT_OPTIONS = {
+    initialEquity: 100000,
+    riskPerTrade: 1,
+    maxConcurrentScalps: 5,
+    limitOrderOffset: 0.05,
+    lookback: 1000, // Same bar window `getIndicators` requests from Alpaca
+    strategyId: 'pullbackScalp',
+    strategyParams: {}, // Overrides for the strategy's default parameters
+    allowShorts: false, // Also evaluate the strategy's short entries
+    noEntryMinutesBeforeClose: 15,
+};
+
+/**
+ * The sign of a position's exposure: 1 for a long ('buy') entry, -1 for a short ('sell') entry.
+ * @param {string} side - The entry side.
+ * @returns {number} 1 or -1.
+ */
+function directionOf(side) {
+    return side === 'sell' ? -1 : 1;
+}
+
+/**
+ * Runs a backtest over the parsed bar data.
+ *
+ * Fill model (deliberately conservative):
+ * - Entry signals are evaluated on the close of each 1-minute bar, using the close as bid and ask,
+ *   only while the regular session is open and not in its final `noEntryMinutesBeforeClose` minutes.
+ *   With `allowShorts`, a short entry is evaluated when there is no long entry; all prices are mirrored for shorts.
+ * - The limit entry can fill from the next bar onwards, when the bar trades through the limit.
+ *   Like the live `time_in_force: 'day'` order, it is cancelled if not filled by the end of the day.
+ * - When a bar touches both the stop and the take profit, the stop is assumed to fill first.
+ *   Gaps through either level fill at the bar's open.
+ * - A strategy exit signal, evaluated on a bar's close, closes the position at the next bar's open
+ *   unless a bracket leg triggers first.
+ * - Positions still open when the data ends are closed at the last close.
+ * The live first-trade-of-day rule is skipped, as it depends on the AI's conviction ranking.
+ *
+ * @param {Object<string, {bars1m: object[], bars5m: object[]}>} barData - Bars keyed by symbol, from `parseBarFile`.
+ * @param {object} [options] - Overrides for `DEFAULT_OPTIONS`.
+ * @param {function(number): void} [onProgress] - Called with the completed fraction (0-1) while running.
+ * @returns {Promise<{trades: object[], equityCurve: {x: Date, y: number}[], summary: object}>} The backtest results.
+ */
+export async function runBacktest(barData, options = {}, onProgress = () => {}) {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const strategy = getStrategy(opts.strategyId);
+    const strategyParams = resolveStrategyParams(strategy, opts.strategyParams);
+    const indicatorOptions = getIndicatorOptions(strategy, strategyParams);
+    const entrySides = opts.allowShorts ? ['buy', 'sell'] : ['buy'];
+    const symbols = Object.keys(barData);
+
+    // Merge every symbol's 1-minute timestamps into a single timeline.
+    const timeline = [...new Set(symbols.flatMap(s => barData[s].bars1m.map(b => b.t)))]
+        .sort((a, b) => new Date(a) - new Date(b));
+
+    const cursors = Object.fromEntries(symbols.map(s => [s, { i1: -1, i5: 0, lastPrice: null }]));
+    const pendingOrders = {}; // symbol -> entry order waiting for a fill
+    const openPositions = {}; // symbol -> filled position with its bracket legs
+    const trades = [];
+    const equityCurve = [];
+    let cash = opts.initialEquity;
+
+    const markToMarket = () => cash + Object.values(openPositions)
+        .reduce((sum, pos) => sum + directionOf(pos.side) * pos.qty * cursors[pos.symbol].lastPrice, 0);
+
+    const closeTrade = (pos, exitTime, exitPrice, exitReason) => {
+        const direction = directionOf(pos.side);
+        cash += direction * pos.qty * exitPrice;
+        const pnl = direction * (exitPrice - pos.entryPrice) * pos.qty;
+        const { exitSignal, ...position } = pos;
+        trades.push({
+            ...position,
+            exitTime,
+            exitPrice,
+            exitReason,
+            pnl,
+            pnlPct: direction * (exitPrice / pos.entryPrice - 1) * 100,
+        });
+        delete openPositions[pos.symbol];
+    };
+
+    for (let step = 0; step < timeline.length; step++) {
+        const time = timeline[step];
+        const barCloseTime = new Date(new Date(time).getTime() + 60 * 1000);
+
+        // 1. Advance each symbol to this minute and simulate fills against the new bar.
+        for (const symbol of symbols) {
+            const cursor = cursors[symbol];
+            const { bars1m, bars5m } = barData[symbol];
+            const bar = bars1m[cursor.i1 + 1];
+            if (!bar || bar.t !== time) continue;
+            cursor.i1++;
+            cursor.lastPrice = bar.c;
+            // A 5-minute bar is only usable once its last minute has closed.
+            while (cursor.i5 < bars5m.length && new Date(bars5m[cursor.i5].t).getTime() + 5 * 60 * 1000 <= barCloseTime.getTime()) {
+                cursor.i5++;
+            }
+
+            const order = pendingOrders[symbol];
+            if (order) {
+                // For a long the adverse extreme of the bar is its low; for a short, its high.
+                const d = directionOf(order.side);
+                const adverse = d > 0 ? bar.l : bar.h;
+                if (getNewYorkDate(time) !== order.day) {
+                    delete pendingOrders[symbol]; // Day order expired unfilled
+                } else if (d * adverse <= d * order.limitPrice) {
+                    delete pendingOrders[symbol];
+                    const entryPrice = d > 0 ? Math.min(order.limitPrice, bar.o) : Math.max(order.limitPrice, bar.o);
+                    cash -= d * order.qty * entryPrice;
+                    openPositions[symbol] = {
+                        symbol,
+                        side: order.side,
+                        qty: order.qty,
+                        signalTime: order.signalTime,
+                        entryTime: time,
+                        entryPrice,
+                        stopPrice: order.stopPrice,
+                        takeProfitPrice: order.takeProfitPrice,
+                    };
+                    // Only the stop is checked on the fill bar; the bar's other extreme may predate the fill.
+                    if (d * adverse <= d * order.stopPrice) {
+                        const stopFill = d > 0 ? Math.min(order.stopPrice, entryPrice) : Math.max(order.stopPrice, entryPrice);
+                        closeTrade(openPositions[symbol], time, stopFill, 'stop_loss');
+                    }
+                    continue;
+                }
+            }
+
+            const pos = openPositions[symbol];
+            if (pos) {
+                const d = directionOf(pos.side);
+                const adverse = d > 0 ? bar.l : bar.h;
+                const favorable = d > 0 ? bar.h : bar.l;
+                if (pos.exitSignal && d * bar.o > d * pos.stopPrice) {
+                    closeTrade(pos, time, bar.o, 'strategy_exit');
+                } else if (d * bar.o <= d * pos.stopPrice) {
+                    closeTrade(pos, time, bar.o, 'stop_loss');
+                } else if (d * adverse <= d * pos.stopPrice) {
+                    closeTrade(pos, time, pos.stopPrice, 'stop_loss');
+                } else if (d * bar.o >= d * pos.takeProfitPrice) {
+                    closeTrade(pos, time, bar.o, 'take_profit');
+                } else if (d * favorable >= d * pos.takeProfitPrice) {
+                    closeTrade(pos, time, pos.takeProfitPrice, 'take_profit');
+                }
+            }
+        }
+
+        const equity = markToMarket();
+        equityCurve.push({ x: barCloseTime, y: equity });
+
+        // 2. Evaluate exit and entry signals on the bars that just closed.
+        const entriesAllowed = getMarketPhase(barCloseTime, { closingMinutes: opts.noEntryMinutesBeforeClose }).phase === 'open';
+        for (const symbol of symbols) {
+            const pos = openPositions[symbol];
+            if (pendingOrders[symbol] || (pos && (!strategy.evaluateExit || pos.exitSignal))) continue;
+            if (!pos && !entriesAllowed) continue;
+            if (!pos && Object.keys(openPositions).length + Object.keys(pendingOrders).length >= opts.maxConcurrentScalps) continue;
+
+            const cursor = cursors[symbol];
+            const { bars1m, bars5m } = barData[symbol];
+            if (cursor.i1 < 0 || bars1m[cursor.i1].t !== time) continue;
+
+            const window1m = bars1m.slice(Math.max(0, cursor.i1 + 1 - opts.lookback), cursor.i1 + 1);
+            const window5m = bars5m.slice(Math.max(0, cursor.i5 - opts.lookback), cursor.i5);
+            const stock = computeIndicators(symbol, window1m, window5m, indicatorOptions);
+            if (!stock) continue;
+
+            if (pos) {
+                const exit = strategy.evaluateExit(pos, stock, strategyParams);
+                if (exit && exit.exit) pos.exitSignal = exit.reason;
+                continue;
+            }
+            const side = entrySides.find(s => strategy.evaluateEntry(stock, strategyParams, s).enter);
+            if (!side) continue;
+
+            const { quantity, stopPrice, takeProfitPrice, limitPrice } = calculateBracket({
+                equity,
+                riskPerTrade: opts.riskPerTrade,
+                atr: stock.atr,
+                entryPrice: stock.currentPrice,
+                bidPrice: stock.currentPrice,
+                askPrice: stock.currentPrice,
+                limitOrderOffset: opts.limitOrderOffset,
+                side,
+            });
+            if (quantity <= 0) continue;
+
+            pendingOrders[symbol] = {
+                side,
+                qty: quantity,
+                limitPrice: parseFloat(limitPrice),
+                stopPrice: parseFloat(stopPrice),
+                takeProfitPrice: parseFloat(takeProfitPrice),
+                signalTime: time,
+                day: getNewYorkDate(time),
+            };
+        }
+
+        // Yield to the browser periodically so long runs don't freeze the UI.
+        if (step % 500 === 499) {
+            onProgress((step + 1) / timeline.length);
+            await new Promise(res => setTimeout(res, 0));
+        }
+    }
+
+    const lastTime = timeline[timeline.length - 1];
+    for (const pos of Object.values(openPositions)) {
+        closeTrade(pos, lastTime, cursors[pos.symbol].lastPrice, 'end_of_data');
+    }
+    if (equityCurve.length > 0) {
+        equityCurve[equityCurve.length - 1].y = cash;
+    }
+    onProgress(1);
+
+    return { trades, equityCurve, summary: summarizeBacktest(trades, equityCurve, opts.initialEquity) };
+}
+
+/**
+ * Computes the headline statistics of a backtest run.
+ * @param {object[]} trades - The closed trades.
+ * @param {{x: Date, y: number}[]} equityCurve - The equity curve.
+ * @param {number} initialEquity - The starting equity.
+ * @returns {object} Trade counts, win rate, net P/L, return and maximum drawdown.
+ */
+function summarizeBacktest(trades, equityCurve, initialEquity) {
+    const wins = trades.filter(t => t.pnl > 0).length;
+    const netPnl = trades.reduce((sum, t) => sum + t.pnl, 0);
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].y : initialEquity;
+
+    const { maxDrawdownPct } = computeDrawdown([{ x: equityCurve.length > 0 ? equityCurve[0].x : new Date(), y: initialEquity }, ...equityCurve]);
+
+    return {
+        totalTrades: trades.length,
+        wins,
+        losses: trades.length - wins,
+        winRate: trades.length > 0 ? wins / trades.length * 100 : 0,
+        netPnl,
+        finalEquity,
+        returnPct: (finalEquity / initialEquity - 1) * 100,
+        maxDrawdownPct,
+    };
+}
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview A local cache of historical bars, shared by the indicators, the stream buffers and
+ * the backtester, so history is not downloaded again on every analysis run.
+ * Each symbol/timeframe series is stored in IndexedDB (in memory where IndexedDB is unavailable)
+ * together with the range it covers; a request only fetches the missing tail since the last cached
+ * bar, or the whole range when it starts before the cached history. Bars older than the retention
+ * window are dropped on write, and the least recently used series are evicted beyond a maximum count.
+ * The local simulator's bars are never cached, since they cost nothing to get.
+ */
+
+import { state } from './state.js';
+import { alpacaFetch } from './api.js';
+import { logMessage } from './ui.js';
+import { idbRequest, openIdbStore } from './idb.js';
+
+const DB_NAME = 'tradingBotBarCache';
+const STORE_NAME = 'series';
+const RETENTION_DAYS = 10;
+const MAX_SERIES = 200;
+const PAGE_LIMIT = 10000;
+const TIMEFRAME_MS = { '1Min': 60 * 1000, '5Min': 5 * 60 * 1000, '15Min': 15 * 60 * 1000, '1Hour': 60 * 60 * 1000 };
+
+let dbPromise = null;
+const memoryStore = new Map(); // Used when IndexedDB is not available
+const inflight = new Map(); // key -> pending request, so concurrent requests share one download
+const stats = { hits: 0, partial: 0, misses: 0, barsFetched: 0 };
+
+/**
+ * Opens the cache database, creating it on first use.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = openIdbStore(DB_NAME, STORE_NAME, 'key').catch((e) => {
+            logMessage(`Bar cache storage unavailable, caching in memory only: ${e && e.message}`, 'error');
+            return null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Reads a cached series.
+ * @param {string} key - The series key.
+ * @returns {Promise<object|undefined>} The record, if cached.
+ */
+async function readSeries(key) {
+    const db = await openDatabase();
+    if (!db) return memoryStore.get(key);
+    return idbRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key));
+}
+
+/**
+ * Writes a series and evicts the least recently used ones beyond the maximum count.
+ * @param {object} record - The record to store.
+ */
+async function writeSeries(record) {
+    const db = await openDatabase();
+    if (!db) {
+        memoryStore.set(record.key, record);
+        if (memoryStore.size > MAX_SERIES) {
+            const oldest = [...memoryStore.values()].sort((a, b) => a.lastAccess - b.lastAccess)[0];
+            memoryStore.delete(oldest.key);
+        }
+        return;
+    }
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await idbRequest(store.put(record));
+    const keys = await idbRequest(store.getAllKeys());
+    if (keys.length <= MAX_SERIES) return;
+    const records = await idbRequest(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll());
+    const evict = records.sort((a, b) => a.lastAccess - b.lastAccess).slice(0, records.length - MAX_SERIES);
+    const writable = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await Promise.all(evict.map(r => idbRequest(writable.delete(r.key))));
+}
+
+/**
+ * Downloads bars for a range, following the pagination token.
+ * @param {string} symbol - The stock symbol.
+ * @param {string} timeframe - The bar timeframe, e.g. '1Min'.
+ * @param {Date} start - The start of the range.
+ * @param {Date} end - The end of the range.
+ * @param {object} [request] - The request priority and cancellation signal, passed to `alpacaFetch`.
+ * @returns {Promise<object[]>} The bars, oldest first.
+ */
+async function fetchBars(symbol, timeframe, start, end, request) {
+    const bars = [];
+    let pageToken = null;
+    do {
+        const params = { start: start.toISOString(), end: end.toISOString(), limit: PAGE_LIMIT, adjustment: 'raw', timeframe };
+        if (pageToken) params.page_token = pageToken;
+        const response = await alpacaFetch(`/v2/stocks/${symbol}/bars?${new URLSearchParams(params).toString()}`, request);
+        bars.push(...((response && response.bars) || []));
+        pageToken = response && response.next_page_token;
+    } while (pageToken);
+    return bars;
+}
+
+/**
+ * Merges two bar series, a bar in `newer` replacing one with the same timestamp in `older`.
+ * @param {object[]} older - The cached bars.
+ * @param {object[]} newer - The downloaded bars.
+ * @returns {object[]} The merged bars, oldest first.
+ */
+function mergeBars(older, newer) {
+    const byTime = new Map(older.map(b => [new Date(b.t).getTime(), b]));
+    newer.forEach(b => byTime.set(new Date(b.t).getTime(), b));
+    return [...byTime.entries()].sort((a, b) => a[0] - b[0]).map(([, bar]) => bar);
+}
+
+/**
+ * Gets the bars of a symbol for a range, downloading only what the cache does not hold.
+ * @param {string} symbol - The stock symbol.
+ * @param {string} timeframe - The bar timeframe: '1Min', '5Min', '15Min' or '1Hour'.
+ * @param {object} range
+ * @param {Date|string} range.start - The start of the range.
+ * @param {Date|string} [range.end=now] - The end of the range.
+ * @param {object} [range.request] - The priority and cancellation signal of any download, e.g.
+ *   `{ priority: 'low', signal }`.
+ * @returns {Promise<object[]>} The bars in the range, oldest first, in the REST `{t, o, h, l, c, v}` shape.
+ */
+export async function getCachedBars(symbol, timeframe, { start, end = new Date(), request }) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (state.settings.broker === 'simulator') return fetchBars(symbol, timeframe, startDate, endDate, request);
+
+    const key = `${symbol}:${timeframe}`;
+    // Serialize requests for the same series so a second caller reads what the first one stored.
+    const previous = inflight.get(key) || Promise.resolve();
+    const pending = previous.catch(() => {}).then(() => loadRange(key, symbol, timeframe, startDate, endDate, request));
+    inflight.set(key, pending);
+    try {
+        return await pending;
+    } finally {
+        if (inflight.get(key) === pending) inflight.delete(key);
+    }
+}
+
+/**
+ * Serves a range from the cache, downloading and storing what is missing.
+ * @param {string} key - The series key.
+ * @param {string} symbol - The stock symbol.
+ * @param {string} timeframe - The bar timeframe.
+ * @param {Date} start - The start of the range.
+ * @param {Date} end - The end of the range.
+ * @param {object} [request] - The request priority and cancellation signal.
+ * @returns {Promise<object[]>} The bars in the range.
+ */
+async function loadRange(key, symbol, timeframe, start, end, request) {
+    let record = null;
+    try {
+        record = await readSeries(key);
+    } catch (e) {
+        logMessage(`Bar cache read failed for ${key}: ${e.message}`, 'error');
+    }
+
+    let bars;
+    let from;
+    if (record && new Date(record.from) <= start && end <= new Date(record.fetchedTo)) {
+        stats.hits++;
+        bars = record.bars;
+        from = new Date(record.from);
+    } else if (record && new Date(record.from) <= start) {
+        // Refetch from the last cached bar, which may have still been forming.
+        const last = record.bars[record.bars.length - 1];
+        const tail = await fetchBars(symbol, timeframe, last ? new Date(last.t) : new Date(record.fetchedTo), end, request);
+        stats.partial++;
+        stats.barsFetched += tail.length;
+        bars = mergeBars(record.bars, tail);
+        from = new Date(record.from);
+    } else {
+        const fetched = await fetchBars(symbol, timeframe, start, end, request);
+        stats.misses++;
+        stats.barsFetched += fetched.length;
+        bars = record ? mergeBars(record.bars, fetched) : fetched;
+        from = start;
+    }
+
+    const now = Date.now();
+    // The latest bar may still be forming, so the range is only complete up to one bar ago.
+    const complete = new Date(Math.min(end.getTime(), now - (TIMEFRAME_MS[timeframe] || 0)));
+    const fetchedTo = record && new Date(record.fetchedTo) > complete ? new Date(record.fetchedTo) : complete;
+    const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = bars.filter(b => new Date(b.t).getTime() >= cutoff);
+    try {
+        await writeSeries({
+            key,
+            from: new Date(Math.max(from.getTime(), cutoff)).toISOString(),
+            fetchedTo: fetchedTo.toISOString(),
+            bars: kept,
+            lastAccess: now,
+        });
+    } catch (e) {
+        logMessage(`Bar cache write failed for ${key}: ${e.message}`, 'error');
+    }
+
+    return bars.filter(b => { const t = new Date(b.t); return t >= start && t <= end; });
+}
+
+/**
+ * Logs the cache hits and misses since the last call, then resets the counters.
+ * Nothing is logged if the cache was not used.
+ * @param {string} label - What the requests were for, e.g. 'AI analysis'.
+ */
+export function logBarCacheStats(label) {
+    const requests = stats.hits + stats.partial + stats.misses;
+    if (requests === 0) return;
+    logMessage(`Bar cache (${label}): ${stats.hits} hits, ${stats.partial} tail updates, ${stats.misses} misses, ${stats.barsFetched} bars downloaded.`, 'action');
+    Object.keys(stats).forEach(k => { stats[k] = 0; });
+}
+
+/**
+ * Deletes every cached series.
+ */
+export async function clearBarCache() {
+    memoryStore.clear();
+    const db = await openDatabase();
+    if (db) await idbRequest(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+    logMessage('Bar cache cleared.', 'action');
+}
@@ -11,31 +11,146 @@ export const UI = {
     startStopBtn: document.getElementById('start-stop-btn'),
     statusDot: document.getElementById('status-dot'),
     statusText: document.getElementById('status-text'),
+    liveModeBanner: document.getElementById('live-mode-banner'),
+    resetRiskHaltBtn: document.getElementById('reset-risk-halt-btn'),
     portfolioValue: document.getElementById('portfolio-value'),
     todayPL: document.getElementById('today-pl'),
     totalPL: document.getElementById('total-pl'),
     eventLog: document.getElementById('event-log'),
     positionsTableBody: document.getElementById('positions-table-body'),
     performanceChartCanvas: document.getElementById('performance-chart'),
+    chartRangeButtons: document.getElementById('chart-range-selector').querySelectorAll('button'),
+    drawdownChartCanvas: document.getElementById('drawdown-chart'),
+    performanceStats: document.getElementById('performance-stats'),
     toastContainer: document.getElementById('toast-container'),
     tabs: document.getElementById('tabs').querySelectorAll('a'),
     tabContents: document.getElementById('tab-content').querySelectorAll('div[id$="-content"]'),
     aiWatchlistContainer: document.getElementById('ai-watchlist-container'),
+    aiAuditPanel: document.getElementById('ai-audit-panel'),
+    watchlistAddInput: document.getElementById('watchlist-add-input'),
+    watchlistAddBtn: document.getElementById('watchlist-add-btn'),
+    watchlistPinsBlocks: document.getElementById('watchlist-pins-blocks'),
+    universeContainer: document.getElementById('universe-container'),
+    universeRefreshBtn: document.getElementById('universe-refresh-btn'),
+    sizingPreviewBtn: document.getElementById('sizing-preview-btn'),
+    sizingPreview: document.getElementById('sizing-preview'),
+    orders: {
+        statusFilter: document.getElementById('orders-status-filter'),
+        refreshBtn: document.getElementById('orders-refresh-btn'),
+        cancelAllBtn: document.getElementById('orders-cancel-all-btn'),
+        tableBody: document.getElementById('orders-table-body'),
+    },
+    journal: {
+        symbolFilter: document.getElementById('journal-symbol-filter'),
+        fromFilter: document.getElementById('journal-from-filter'),
+        toFilter: document.getElementById('journal-to-filter'),
+        outcomeFilter: document.getElementById('journal-outcome-filter'),
+        tableBody: document.getElementById('journal-table-body'),
+    },
     settings: {
-        alpacaKey: document.getElementById('alpaca-key'),
-        alpacaSecret: document.getElementById('alpaca-secret'),
+        environment: document.getElementById('environment-select'),
+        paperAlpacaKey: document.getElementById('paper-alpaca-key'),
+        paperAlpacaSecret: document.getElementById('paper-alpaca-secret'),
+        liveAlpacaKey: document.getElementById('live-alpaca-key'),
+        liveAlpacaSecret: document.getElementById('live-alpaca-secret'),
         geminiKey: document.getElementById('gemini-key'),
         riskPerTrade: document.getElementById('risk-per-trade'),
         maxConcurrentScalps: document.getElementById('max-concurrent-scalps'),
         limitOrderOffset: document.getElementById('limit-order-offset'),
         aiAnalysisFreq: document.getElementById('ai-analysis-freq'),
+        watchlistExpiryMinutes: document.getElementById('watchlist-expiry-minutes'),
+        noEntryMinutesBeforeClose: document.getElementById('no-entry-minutes-before-close'),
+        cancelOrdersBeforeClose: document.getElementById('cancel-orders-before-close'),
+        cancelOrdersMinutesBeforeClose: document.getElementById('cancel-orders-minutes-before-close'),
+        flattenBeforeClose: document.getElementById('flatten-before-close'),
+        flattenMinutesBeforeClose: document.getElementById('flatten-minutes-before-close'),
+        eodEquitySnapshot: document.getElementById('eod-equity-snapshot'),
+        maxDailyLossPct: document.getElementById('max-daily-loss-pct'),
+        maxTradesPerDay: document.getElementById('max-trades-per-day'),
+        maxTotalExposurePct: document.getElementById('max-total-exposure-pct'),
+        maxSymbolExposurePct: document.getElementById('max-symbol-exposure-pct'),
+        maxConsecutiveLosses: document.getElementById('max-consecutive-losses'),
+        lossCooldownMinutes: document.getElementById('loss-cooldown-minutes'),
+        flattenOnHalt: document.getElementById('flatten-on-halt'),
+        breakEvenAtR: document.getElementById('break-even-at-r'),
+        trailingStopMode: document.getElementById('trailing-stop-mode'),
+        trailingAtrMultiple: document.getElementById('trailing-atr-multiple'),
+        trailingPercent: document.getElementById('trailing-percent'),
+        scaleOutAtR: document.getElementById('scale-out-at-r'),
+        scaleOutPercent: document.getElementById('scale-out-percent'),
+        maxHoldingMinutes: document.getElementById('max-holding-minutes'),
+        strategy: document.getElementById('strategy-select'),
+        strategyDescription: document.getElementById('strategy-description'),
+        strategyParams: document.getElementById('strategy-params'),
+        firstTradeOnAiConviction: document.getElementById('first-trade-ai-conviction'),
+        enableShorts: document.getElementById('enable-shorts'),
+        sizingModel: document.getElementById('sizing-model-select'),
+        sizingModelDescription: document.getElementById('sizing-model-description'),
+        sizingParams: document.getElementById('sizing-params'),
+        maxPositionNotional: document.getElementById('max-position-notional'),
+        aiIndicators: document.getElementById('ai-indicators'),
+        aiProvider: document.getElementById('ai-provider'),
+        geminiModel: document.getElementById('gemini-model'),
+        openAiBaseUrl: document.getElementById('openai-base-url'),
+        openAiModel: document.getElementById('openai-model'),
+        openAiKey: document.getElementById('openai-key'),
+        aiCompareProviders: document.getElementById('ai-compare-providers'),
+        aiMetrics: document.getElementById('ai-metrics'),
+        newsPerSymbol: document.getElementById('news-per-symbol'),
+        newsLookbackHours: document.getElementById('news-lookback-hours'),
+        alpacaRequestsPerMinute: document.getElementById('alpaca-requests-per-minute'),
+        aiRequestsPerMinute: document.getElementById('ai-requests-per-minute'),
+        analysisConcurrency: document.getElementById('analysis-concurrency'),
+        universeSources: document.getElementById('universe-sources'),
+        universeCustomSymbols: document.getElementById('universe-custom-symbols'),
+        universeExcludeSymbols: document.getElementById('universe-exclude-symbols'),
+        universeScreenerTop: document.getElementById('universe-screener-top'),
+        universeMaxSize: document.getElementById('universe-max-size'),
+        universeMinPrice: document.getElementById('universe-min-price'),
+        universeMaxPrice: document.getElementById('universe-max-price'),
+        universeMinAvgVolume: document.getElementById('universe-min-avg-volume'),
+        universeMinAtrPct: document.getElementById('universe-min-atr-pct'),
+        universeMaxAtrPct: document.getElementById('universe-max-atr-pct'),
+        universeExcludeLeveraged: document.getElementById('universe-exclude-leveraged'),
+        universeExcludeOtc: document.getElementById('universe-exclude-otc'),
+        aiPromptVersion: document.getElementById('ai-prompt-version'),
+        aiPromptAbVersion: document.getElementById('ai-prompt-ab-version'),
+        aiPromptTemplate: document.getElementById('ai-prompt-template'),
+        aiPromptPlaceholders: document.getElementById('ai-prompt-placeholders'),
+        aiPromptStats: document.getElementById('ai-prompt-stats'),
+        broker: document.getElementById('broker-select'),
+        simulatorStartingCash: document.getElementById('simulator-starting-cash'),
+        enableStreaming: document.getElementById('enable-streaming'),
+        streamFeed: document.getElementById('stream-feed'),
+        marketDataStreamUrl: document.getElementById('market-data-stream-url'),
+        tradeStreamUrl: document.getElementById('trade-stream-url'),
         saveBtn: document.getElementById('save-settings-btn'),
     },
+    simulator: {
+        loadReplayBtn: document.getElementById('simulator-load-replay-btn'),
+        replayInput: document.getElementById('simulator-replay-input'),
+        resetBtn: document.getElementById('simulator-reset-btn'),
+        status: document.getElementById('simulator-status'),
+    },
+    backtest: {
+        initialEquity: document.getElementById('backtest-initial-equity'),
+        loadBtn: document.getElementById('backtest-load-btn'),
+        fileInput: document.getElementById('backtest-file-input'),
+        symbols: document.getElementById('backtest-symbols'),
+        days: document.getElementById('backtest-days'),
+        fetchBtn: document.getElementById('backtest-fetch-btn'),
+        runBtn: document.getElementById('backtest-run-btn'),
+        status: document.getElementById('backtest-status'),
+        chartCanvas: document.getElementById('backtest-chart'),
+        summary: document.getElementById('backtest-summary'),
+        tradesTableBody: document.getElementById('backtest-trades-body'),
+    },
     data: {
         exportBtn: document.getElementById('export-data-btn'),
         importBtn: document.getElementById('import-data-btn'),
         importInput: document.getElementById('import-data-input'),
         clearBtn: document.getElementById('clear-data-btn'),
+        clearBarCacheBtn: document.getElementById('clear-bar-cache-btn'),
     }
 };
 
@@ -43,14 +158,22 @@ export const UI = {
 export const initialState = {
     isBotRunning: false,
     userId: null,
-    apiKeys: { alpacaKey: '', alpacaSecret: '', geminiKey: '' },
-    settings: { riskPerTrade: 1, maxConcurrentScalps: 5, limitOrderOffset: 0.05, aiAnalysisFreq: 30 },
+    // Alpaca keys are kept per environment so a paper key is never sent to the live endpoint, or vice versa.
+    apiKeys: { paper: { alpacaKey: '', alpacaSecret: '' }, live: { alpacaKey: '', alpacaSecret: '' }, geminiKey: '', openAiKey: '' },
+    settings: { riskPerTrade: 1, maxConcurrentScalps: 5, limitOrderOffset: 0.05, aiAnalysisFreq: 30, noEntryMinutesBeforeClose: 15, cancelOrdersBeforeClose: true, cancelOrdersMinutesBeforeClose: 5, flattenBeforeClose: true, flattenMinutesBeforeClose: 5, eodEquitySnapshot: true, maxDailyLossPct: 3, maxTradesPerDay: 20, maxTotalExposurePct: 100, maxSymbolExposurePct: 25, maxConsecutiveLosses: 3, lossCooldownMinutes: 30, flattenOnHalt: false, breakEvenAtR: 1, trailingStopMode: 'none', trailingAtrMultiple: 1.5, trailingPercent: 1, scaleOutAtR: 0, scaleOutPercent: 50, maxHoldingMinutes: 0, environment: 'paper', broker: 'alpaca', simulatorStartingCash: 100000, enableStreaming: false, streamFeed: 'iex', marketDataStreamUrl: '', tradeStreamUrl: '', activeStrategy: 'pullbackScalp', strategyParams: {}, firstTradeOnAiConviction: true, enableShorts: false, aiIndicators: [], aiProvider: 'gemini', geminiModel: 'gemini-1.5-flash-latest', openAiBaseUrl: 'http://localhost:11434/v1', openAiModel: '', aiCompareProviders: [], aiPromptTemplates: [], aiPromptVersion: 1, aiPromptAbVersion: 0, newsPerSymbol: 5, newsLookbackHours: 24, alpacaRequestsPerMinute: 200, aiRequestsPerMinute: 15, analysisConcurrency: 3, universeSources: ['mostActivesVolume'], universeCustomSymbols: [], universeExcludeSymbols: [], universeScreenerTop: 10, universeMaxSize: 10, universeMinPrice: 1, universeMaxPrice: 0, universeMinAvgVolume: 0, universeMinAtrPct: 0, universeMaxAtrPct: 0, universeExcludeLeveraged: true, universeExcludeOtc: true, watchlistExpiryMinutes: 120, sizingModel: 'fixedRiskAtr', sizingParams: {}, maxPositionNotional: 0 },
     portfolio: { equity: 0, last_equity: 0, initial_equity: 0 },
     positions: [],
     tradeCycleInterval: null,
     aiAnalysisInterval: null,
     performanceData: [],
     aiWatchlist: [],
+    watchlistPins: [], // Symbols analyzed in every run and kept on the watchlist
+    watchlistBlocks: [], // Symbols never analyzed or traded
+    universe: null, // The candidate universe last built for the AI analysis
+    journal: [],
+    orders: [],
     lastTradeDate: null,
     isFirstTradeMadeToday: false,
+    riskHalt: null, // { reason, at } while new entries are halted by the risk manager
+    aiMetrics: {}, // provider id -> { requests, validationFailures, repaired, rejected }
 };
@@ -1,12 +1,14 @@
 /**
  * @fileoverview Manages data persistence using the Origin Private File System (OPFS)
- * for performance history and localStorage for settings and API keys. Also handles
+ * for performance history and the trade journal, and localStorage for settings and API keys. Also handles
  * import, export, and clearing of application data.
  */
 
 import { state, setState } from './state.js';
-import { UI } from './config.js';
-import { logMessage, showToast, updateDashboardUI, updatePerformanceChart } from './ui.js';
+import { UI, initialState } from './config.js';
+import { savePromptTemplate } from './ai.js';
+import { parseSymbolList } from './universe.js';
+import { logMessage, showToast, updateDashboardUI, updatePerformanceChart, updateEnvironmentBanner, renderStrategySettings, renderSizingSettings, renderAiIndicatorSettings, renderAiProviderSettings, renderAiMetrics, renderPromptSettings, renderUniverseSettings, renderAiWatchlist, updateRiskHaltControls } from './ui.js';
 
 /**
  * Gets a handle to the data file in the Origin Private File System.
@@ -28,7 +30,7 @@ async function getOpfsFileHandle(create = false) {
 }
 
 /**
- * Loads performance data and settings from the OPFS file into the application state.
+ * Loads performance data, the trade journal and settings from the OPFS file into the application state.
  */
 export async function loadDataFromFile() {
     const fileHandle = await getOpfsFileHandle();
@@ -57,17 +59,34 @@ export async function loadDataFromFile() {
                 if (newState.performanceData.length > 0) {
                     const lastEntry = newState.performanceData[newState.performanceData.length - 1];
                     newState.portfolio.equity = lastEntry.y;
-                    newState.portfolio.last_equity = lastEntry.y; // Assume last saved equity is the previous day's close
+                    // Use the last sample from before today as the previous day's close, since today's samples are intraday
+                    const today = new Date().toDateString();
+                    const previousClose = [...newState.performanceData].reverse().find(d => d.x.toDateString() !== today);
+                    newState.portfolio.last_equity = (previousClose || lastEntry).y;
                 }
             }
 
+            if (Array.isArray(data.journal)) {
+                newState.journal = data.journal;
+            }
+
             newState.isFirstTradeMadeToday = data.isFirstTradeMadeToday || false;
             newState.lastTradeDate = data.lastTradeDate || null;
+            newState.riskHalt = data.riskHalt || null;
+            newState.aiMetrics = data.aiMetrics || {};
+            newState.watchlistPins = data.watchlistPins || [];
+            newState.watchlistBlocks = data.watchlistBlocks || [];
 
             setState(newState); // Update the global state
 
             updatePerformanceChart();
             updateDashboardUI();
+            updateRiskHaltControls();
+            renderAiMetrics();
+            renderAiWatchlist();
+            if (state.riskHalt) {
+                logMessage(`Trading is halted by the risk manager (${state.riskHalt.reason}). Reset the halt to resume entries.`, "error");
+            }
             logMessage(`Data loaded from secure storage.`, "action");
         }
     } catch (error) {
@@ -93,8 +112,13 @@ export async function saveDataAndSettings(force = false) {
             performanceData: state.performanceData,
             initialEquity: state.portfolio.initial_equity,
             settings: state.settings,
+            journal: state.journal,
             isFirstTradeMadeToday: state.isFirstTradeMadeToday,
             lastTradeDate: state.lastTradeDate,
+            riskHalt: state.riskHalt,
+            aiMetrics: state.aiMetrics,
+            watchlistPins: state.watchlistPins,
+            watchlistBlocks: state.watchlistBlocks,
             lastUpdated: new Date().toISOString()
         };
         const dataStr = JSON.stringify(dataToSave, null, 2);
@@ -116,21 +140,128 @@ export async function saveDataAndSettings(force = false) {
     }
 }
 
+/**
+ * Reads a number of minutes from a settings input.
+ * @param {HTMLInputElement} input - The input.
+ * @param {number} fallback - The default, used when the field is blank or invalid.
+ * @returns {number} The minutes, never negative.
+ */
+function readMinutes(input, fallback) {
+    const minutes = parseInt(input.value, 10);
+    return Number.isFinite(minutes) ? Math.max(0, minutes) : fallback;
+}
+
 /**
  * Saves settings from the UI to localStorage and triggers a full data save.
  */
 export async function saveSettingsFromUI() {
+    const environment = UI.settings.environment.value;
+    if (state.isBotRunning && environment !== state.settings.environment) {
+        UI.settings.environment.value = state.settings.environment;
+        showToast("Stop the bot before switching between paper and live trading.", "error");
+        return;
+    }
+
+    // Parameters are kept per strategy and per sizing model, so switching back restores the earlier values.
+    const activeStrategy = UI.settings.strategy.value;
+    const strategyParams = { ...state.settings.strategyParams, [activeStrategy]: {} };
+    UI.settings.strategyParams.querySelectorAll('input[data-param]').forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) strategyParams[activeStrategy][input.dataset.param] = value;
+    });
+    const sizingModel = UI.settings.sizingModel.value;
+    const sizingParams = { ...state.settings.sizingParams, [sizingModel]: {} };
+    UI.settings.sizingParams.querySelectorAll('input[data-param]').forEach(input => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) sizingParams[sizingModel][input.dataset.param] = value;
+    });
+
+    // An edited prompt template is saved as a new version.
+    const prompt = savePromptTemplate(parseInt(UI.settings.aiPromptVersion.value, 10), UI.settings.aiPromptTemplate.value);
+    const abVersion = parseInt(UI.settings.aiPromptAbVersion.value, 10) || 0;
+    if (prompt.version !== parseInt(UI.settings.aiPromptVersion.value, 10)) {
+        logMessage(`Prompt template saved as version ${prompt.version}.`, 'action');
+    }
+
     const settingsData = {
         apiKeys: {
-            alpacaKey: UI.settings.alpacaKey.value.trim(),
-            alpacaSecret: UI.settings.alpacaSecret.value.trim(),
+            paper: {
+                alpacaKey: UI.settings.paperAlpacaKey.value.trim(),
+                alpacaSecret: UI.settings.paperAlpacaSecret.value.trim(),
+            },
+            live: {
+                alpacaKey: UI.settings.liveAlpacaKey.value.trim(),
+                alpacaSecret: UI.settings.liveAlpacaSecret.value.trim(),
+            },
             geminiKey: UI.settings.geminiKey.value.trim(),
+            openAiKey: UI.settings.openAiKey.value.trim(),
         },
         settings: {
+            environment: environment,
             riskPerTrade: parseFloat(UI.settings.riskPerTrade.value),
             maxConcurrentScalps: parseInt(UI.settings.maxConcurrentScalps.value, 10),
             limitOrderOffset: parseFloat(UI.settings.limitOrderOffset.value),
-            aiAnalysisFreq: parseInt(UI.settings.aiAnalysisFreq.value, 10)
+            aiAnalysisFreq: parseInt(UI.settings.aiAnalysisFreq.value, 10),
+            watchlistExpiryMinutes: parseInt(UI.settings.watchlistExpiryMinutes.value, 10) || 0,
+            noEntryMinutesBeforeClose: readMinutes(UI.settings.noEntryMinutesBeforeClose, initialState.settings.noEntryMinutesBeforeClose),
+            cancelOrdersBeforeClose: UI.settings.cancelOrdersBeforeClose.checked,
+            cancelOrdersMinutesBeforeClose: readMinutes(UI.settings.cancelOrdersMinutesBeforeClose, initialState.settings.cancelOrdersMinutesBeforeClose),
+            flattenBeforeClose: UI.settings.flattenBeforeClose.checked,
+            flattenMinutesBeforeClose: readMinutes(UI.settings.flattenMinutesBeforeClose, initialState.settings.flattenMinutesBeforeClose),
+            eodEquitySnapshot: UI.settings.eodEquitySnapshot.checked,
+            maxDailyLossPct: parseFloat(UI.settings.maxDailyLossPct.value),
+            maxTradesPerDay: parseInt(UI.settings.maxTradesPerDay.value, 10),
+            maxTotalExposurePct: parseFloat(UI.settings.maxTotalExposurePct.value),
+            maxSymbolExposurePct: parseFloat(UI.settings.maxSymbolExposurePct.value),
+            maxConsecutiveLosses: parseInt(UI.settings.maxConsecutiveLosses.value, 10),
+            lossCooldownMinutes: parseInt(UI.settings.lossCooldownMinutes.value, 10),
+            flattenOnHalt: UI.settings.flattenOnHalt.checked,
+            breakEvenAtR: parseFloat(UI.settings.breakEvenAtR.value),
+            trailingStopMode: UI.settings.trailingStopMode.value,
+            trailingAtrMultiple: parseFloat(UI.settings.trailingAtrMultiple.value),
+            trailingPercent: parseFloat(UI.settings.trailingPercent.value),
+            scaleOutAtR: parseFloat(UI.settings.scaleOutAtR.value),
+            scaleOutPercent: parseFloat(UI.settings.scaleOutPercent.value),
+            maxHoldingMinutes: parseInt(UI.settings.maxHoldingMinutes.value, 10),
+            broker: UI.settings.broker.value,
+            simulatorStartingCash: parseFloat(UI.settings.simulatorStartingCash.value),
+            enableStreaming: UI.settings.enableStreaming.checked,
+            streamFeed: UI.settings.streamFeed.value,
+            marketDataStreamUrl: UI.settings.marketDataStreamUrl.value.trim(),
+            tradeStreamUrl: UI.settings.tradeStreamUrl.value.trim(),
+            activeStrategy,
+            strategyParams,
+            firstTradeOnAiConviction: UI.settings.firstTradeOnAiConviction.checked,
+            enableShorts: UI.settings.enableShorts.checked,
+            sizingModel,
+            sizingParams,
+            maxPositionNotional: Math.max(0, parseFloat(UI.settings.maxPositionNotional.value) || 0),
+            aiIndicators: [...UI.settings.aiIndicators.querySelectorAll('input[data-indicator]:checked')].map(input => input.dataset.indicator),
+            aiProvider: UI.settings.aiProvider.value,
+            geminiModel: UI.settings.geminiModel.value.trim(),
+            openAiBaseUrl: UI.settings.openAiBaseUrl.value.trim(),
+            openAiModel: UI.settings.openAiModel.value.trim(),
+            aiCompareProviders: [...UI.settings.aiCompareProviders.querySelectorAll('input[data-provider]:checked')].map(input => input.dataset.provider),
+            newsPerSymbol: parseInt(UI.settings.newsPerSymbol.value, 10),
+            newsLookbackHours: parseInt(UI.settings.newsLookbackHours.value, 10),
+            alpacaRequestsPerMinute: parseInt(UI.settings.alpacaRequestsPerMinute.value, 10),
+            aiRequestsPerMinute: parseInt(UI.settings.aiRequestsPerMinute.value, 10),
+            analysisConcurrency: Math.max(1, parseInt(UI.settings.analysisConcurrency.value, 10) || 1),
+            universeSources: [...UI.settings.universeSources.querySelectorAll('input[data-source]:checked')].map(input => input.dataset.source),
+            universeCustomSymbols: parseSymbolList(UI.settings.universeCustomSymbols.value),
+            universeExcludeSymbols: parseSymbolList(UI.settings.universeExcludeSymbols.value),
+            universeScreenerTop: Math.max(1, parseInt(UI.settings.universeScreenerTop.value, 10) || 10),
+            universeMaxSize: Math.max(1, parseInt(UI.settings.universeMaxSize.value, 10) || 10),
+            universeMinPrice: parseFloat(UI.settings.universeMinPrice.value) || 0,
+            universeMaxPrice: parseFloat(UI.settings.universeMaxPrice.value) || 0,
+            universeMinAvgVolume: parseFloat(UI.settings.universeMinAvgVolume.value) || 0,
+            universeMinAtrPct: parseFloat(UI.settings.universeMinAtrPct.value) || 0,
+            universeMaxAtrPct: parseFloat(UI.settings.universeMaxAtrPct.value) || 0,
+            universeExcludeLeveraged: UI.settings.universeExcludeLeveraged.checked,
+            universeExcludeOtc: UI.settings.universeExcludeOtc.checked,
+            aiPromptTemplates: prompt.templates,
+            aiPromptVersion: prompt.version,
+            aiPromptAbVersion: abVersion === prompt.version ? 0 : abVersion
         }
     };
     localStorage.setItem(`tradingBotSettings_${state.userId}`, JSON.stringify(settingsData));
@@ -156,7 +287,12 @@ function applySettings(data) {
     if (!data) return;
     const newState = {};
     if (data.apiKeys) {
-        newState.apiKeys = { ...state.apiKeys, ...data.apiKeys };
+        const { alpacaKey, alpacaSecret, ...apiKeys } = data.apiKeys;
+        // Settings saved before per-environment keys held a single key pair, which was always for paper trading.
+        if ((alpacaKey || alpacaSecret) && !apiKeys.paper) {
+            apiKeys.paper = { alpacaKey: alpacaKey || '', alpacaSecret: alpacaSecret || '' };
+        }
+        newState.apiKeys = { ...state.apiKeys, ...apiKeys };
     }
     if (data.settings) {
         newState.settings = { ...state.settings, ...data.settings };
@@ -164,13 +300,73 @@ function applySettings(data) {
     setState(newState);
 
     // Update UI fields
-    UI.settings.alpacaKey.value = state.apiKeys.alpacaKey || '';
-    UI.settings.alpacaSecret.value = state.apiKeys.alpacaSecret || '';
+    UI.settings.environment.value = state.settings.environment;
+    UI.settings.paperAlpacaKey.value = state.apiKeys.paper.alpacaKey || '';
+    UI.settings.paperAlpacaSecret.value = state.apiKeys.paper.alpacaSecret || '';
+    UI.settings.liveAlpacaKey.value = state.apiKeys.live.alpacaKey || '';
+    UI.settings.liveAlpacaSecret.value = state.apiKeys.live.alpacaSecret || '';
     UI.settings.geminiKey.value = state.apiKeys.geminiKey || '';
+    UI.settings.openAiKey.value = state.apiKeys.openAiKey || '';
     UI.settings.riskPerTrade.value = state.settings.riskPerTrade;
     UI.settings.maxConcurrentScalps.value = state.settings.maxConcurrentScalps;
     UI.settings.limitOrderOffset.value = state.settings.limitOrderOffset;
     UI.settings.aiAnalysisFreq.value = state.settings.aiAnalysisFreq;
+    UI.settings.watchlistExpiryMinutes.value = state.settings.watchlistExpiryMinutes;
+    UI.settings.noEntryMinutesBeforeClose.value = state.settings.noEntryMinutesBeforeClose;
+    UI.settings.cancelOrdersBeforeClose.checked = state.settings.cancelOrdersBeforeClose;
+    UI.settings.cancelOrdersMinutesBeforeClose.value = state.settings.cancelOrdersMinutesBeforeClose;
+    UI.settings.flattenBeforeClose.checked = state.settings.flattenBeforeClose;
+    UI.settings.flattenMinutesBeforeClose.value = state.settings.flattenMinutesBeforeClose;
+    UI.settings.eodEquitySnapshot.checked = state.settings.eodEquitySnapshot;
+    UI.settings.maxDailyLossPct.value = state.settings.maxDailyLossPct;
+    UI.settings.maxTradesPerDay.value = state.settings.maxTradesPerDay;
+    UI.settings.maxTotalExposurePct.value = state.settings.maxTotalExposurePct;
+    UI.settings.maxSymbolExposurePct.value = state.settings.maxSymbolExposurePct;
+    UI.settings.maxConsecutiveLosses.value = state.settings.maxConsecutiveLosses;
+    UI.settings.lossCooldownMinutes.value = state.settings.lossCooldownMinutes;
+    UI.settings.flattenOnHalt.checked = state.settings.flattenOnHalt;
+    UI.settings.breakEvenAtR.value = state.settings.breakEvenAtR;
+    UI.settings.trailingStopMode.value = state.settings.trailingStopMode;
+    UI.settings.trailingAtrMultiple.value = state.settings.trailingAtrMultiple;
+    UI.settings.trailingPercent.value = state.settings.trailingPercent;
+    UI.settings.scaleOutAtR.value = state.settings.scaleOutAtR;
+    UI.settings.scaleOutPercent.value = state.settings.scaleOutPercent;
+    UI.settings.maxHoldingMinutes.value = state.settings.maxHoldingMinutes;
+    UI.settings.broker.value = state.settings.broker;
+    UI.settings.simulatorStartingCash.value = state.settings.simulatorStartingCash;
+    UI.settings.enableStreaming.checked = state.settings.enableStreaming;
+    UI.settings.streamFeed.value = state.settings.streamFeed;
+    UI.settings.marketDataStreamUrl.value = state.settings.marketDataStreamUrl;
+    UI.settings.tradeStreamUrl.value = state.settings.tradeStreamUrl;
+    UI.settings.firstTradeOnAiConviction.checked = state.settings.firstTradeOnAiConviction;
+    UI.settings.enableShorts.checked = state.settings.enableShorts;
+    renderStrategySettings(state.settings.activeStrategy);
+    renderSizingSettings(state.settings.sizingModel);
+    UI.settings.maxPositionNotional.value = state.settings.maxPositionNotional;
+    renderAiIndicatorSettings(state.settings.aiIndicators);
+    renderAiProviderSettings(state.settings.aiProvider, state.settings.aiCompareProviders);
+    UI.settings.geminiModel.value = state.settings.geminiModel;
+    UI.settings.openAiBaseUrl.value = state.settings.openAiBaseUrl;
+    UI.settings.openAiModel.value = state.settings.openAiModel;
+    UI.settings.newsPerSymbol.value = state.settings.newsPerSymbol;
+    UI.settings.newsLookbackHours.value = state.settings.newsLookbackHours;
+    UI.settings.alpacaRequestsPerMinute.value = state.settings.alpacaRequestsPerMinute;
+    UI.settings.aiRequestsPerMinute.value = state.settings.aiRequestsPerMinute;
+    UI.settings.analysisConcurrency.value = state.settings.analysisConcurrency;
+    renderUniverseSettings(state.settings.universeSources);
+    UI.settings.universeCustomSymbols.value = state.settings.universeCustomSymbols.join(', ');
+    UI.settings.universeExcludeSymbols.value = state.settings.universeExcludeSymbols.join(', ');
+    UI.settings.universeScreenerTop.value = state.settings.universeScreenerTop;
+    UI.settings.universeMaxSize.value = state.settings.universeMaxSize;
+    UI.settings.universeMinPrice.value = state.settings.universeMinPrice;
+    UI.settings.universeMaxPrice.value = state.settings.universeMaxPrice;
+    UI.settings.universeMinAvgVolume.value = state.settings.universeMinAvgVolume;
+    UI.settings.universeMinAtrPct.value = state.settings.universeMinAtrPct;
+    UI.settings.universeMaxAtrPct.value = state.settings.universeMaxAtrPct;
+    UI.settings.universeExcludeLeveraged.checked = state.settings.universeExcludeLeveraged;
+    UI.settings.universeExcludeOtc.checked = state.settings.universeExcludeOtc;
+    renderPromptSettings();
+    updateEnvironmentBanner();
 }
 
 /**
@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Small promise wrappers around IndexedDB, shared by the stores that keep data too
+ * large for the OPFS data file (the bar cache and the AI audit log).
+ */
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<any>} The request's result.
+ */
+export function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens a database holding a single object store, creating both on first use.
+ * @param {string} name - The database name.
+ * @param {string} storeName - The object store name.
+ * @param {string} keyPath - The key path of the store's records.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable here.
+ */
+export function openIdbStore(name, storeName, keyPath) {
+    if (!globalThis.indexedDB) return Promise.resolve(null);
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName, { keyPath });
+    return idbRequest(request);
+}
@@ -0,0 +1,253 @@
+/**
+ * @fileoverview The trade journal.
+ * Records every bracket order the bot submits, together with the AI's reasoning and the indicator
+ * snapshot it was based on, then reconciles each entry with its fills and exits from the Alpaca
+ * orders and account activities endpoints. The journal is persisted with the rest of the app data.
+ */
+
+import { state, setState } from './state.js';
+import { alpacaFetch } from './api.js';
+import { logMessage } from './ui.js';
+
+// Order types that mean a bracket exit was the stop loss rather than the take profit.
+const STOP_ORDER_TYPES = ['stop', 'stop_limit', 'trailing_stop'];
+
+/**
+ * Adds a newly submitted bracket order to the journal.
+ * @param {object} order - The order returned by Alpaca.
+ * @param {object} stock - The watchlist entry the trade was based on (AI decision and indicators).
+ * @param {{stopPrice: string, takeProfitPrice: string, limitPrice: string}} bracket - The submitted bracket prices.
+ */
+export function recordJournalEntry(order, stock, bracket) {
+    const entry = {
+        id: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        qty: parseFloat(order.qty),
+        limitPrice: parseFloat(bracket.limitPrice),
+        stopPrice: parseFloat(bracket.stopPrice),
+        takeProfitPrice: parseFloat(bracket.takeProfitPrice),
+        submittedAt: order.submitted_at || new Date().toISOString(),
+        ai: {
+            confidence: stock.confidence ?? null,
+            reasoning: stock.reasoning || '',
+            provider: stock.provider || null,
+            promptVersion: stock.promptVersion || null,
+            auditId: stock.auditId || null,
+        },
+        indicators: {
+            currentPrice: stock.currentPrice,
+            rsi1m: stock.rsi1m,
+            rsi5m: stock.rsi5m,
+            atr: stock.atr,
+            macd: stock.macd,
+        },
+        status: 'pending',
+        entryPrice: null,
+        entryTime: null,
+        exitPrice: null,
+        exitTime: null,
+        exitReason: null,
+        pnl: null,
+    };
+    setState({ journal: [...state.journal, entry] });
+}
+
+/**
+ * Classifies a journal entry for display and filtering.
+ * @param {object} entry - The journal entry.
+ * @returns {string} 'pending', 'open', 'win', 'loss', 'breakeven', 'cancelled' or 'rejected'.
+ */
+export function getJournalOutcome(entry) {
+    if (entry.status !== 'closed') return entry.status;
+    if (entry.pnl > 0) return 'win';
+    if (entry.pnl < 0) return 'loss';
+    return 'breakeven';
+}
+
+/**
+ * Filters journal entries by symbol, submission date range and outcome.
+ * @param {object[]} entries - The journal entries.
+ * @param {object} filters
+ * @param {string} [filters.symbol] - Only entries for this symbol (case-insensitive).
+ * @param {string} [filters.from] - Only entries submitted on or after this date (YYYY-MM-DD, local time).
+ * @param {string} [filters.to] - Only entries submitted on or before this date (YYYY-MM-DD, local time).
+ * @param {string} [filters.outcome] - Only entries with this outcome ('all' or empty for any).
+ * @returns {object[]} The matching entries, newest first.
+ */
+export function filterJournal(entries, { symbol = '', from = '', to = '', outcome = '' } = {}) {
+    const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    const wantedSymbol = symbol.trim().toUpperCase();
+
+    return entries
+        .filter(e => !wantedSymbol || e.symbol === wantedSymbol)
+        .filter(e => {
+            const submitted = new Date(e.submittedAt).getTime();
+            return submitted >= fromTime && submitted <= toTime;
+        })
+        .filter(e => !outcome || outcome === 'all' || getJournalOutcome(e) === outcome)
+        .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+}
+
+/**
+ * Looks for fills that closed a position outside its bracket legs (e.g. a manual close).
+ * @param {object} entry - An open journal entry.
+ * @returns {Promise<{price: number, time: string}|null>} The volume-weighted exit, or null if the position is still open.
+ */
+async function findManualExit(entry) {
+    const params = new URLSearchParams({ after: entry.entryTime, direction: 'asc', page_size: '100' }).toString();
+    const fills = await alpacaFetch(`/v2/account/activities/FILL?${params}`);
+    const exitSide = entry.side === 'buy' ? 'sell' : 'buy';
+    const scaleOutOrders = new Set((entry.scaleOuts || []).map(s => s.orderId));
+
+    let qty = 0;
+    let notional = 0;
+    let time = null;
+    for (const fill of fills || []) {
+        if (fill.symbol !== entry.symbol || fill.side !== exitSide || fill.order_id === entry.id || scaleOutOrders.has(fill.order_id)) continue;
+        const fillQty = Math.min(parseFloat(fill.qty), entry.qty - qty);
+        qty += fillQty;
+        notional += fillQty * parseFloat(fill.price);
+        time = fill.transaction_time;
+        if (qty >= entry.qty) break;
+    }
+    return qty >= entry.qty ? { price: notional / qty, time } : null;
+}
+
+/**
+ * Updates a single journal entry from the current state of its order.
+ * @param {object} entry - A pending or open journal entry.
+ * @returns {Promise<object>} The updated entry (the same object if nothing changed).
+ */
+async function reconcileEntry(entry) {
+    const order = await alpacaFetch(`/v2/orders/${entry.id}?nested=true`);
+    const updated = { ...entry };
+    const scaleOuts = await settleScaleOuts(entry.scaleOuts);
+    if (scaleOuts) updated.scaleOuts = scaleOuts;
+
+    if (updated.status === 'pending') {
+        const filledQty = parseFloat(order.filled_qty || 0);
+        if (filledQty > 0 && order.status !== 'partially_filled') {
+            updated.status = 'open';
+            updated.qty = filledQty;
+            updated.entryPrice = parseFloat(order.filled_avg_price);
+            updated.entryTime = order.filled_at;
+            logMessage(`Journal: ${entry.symbol} entry filled ${filledQty} @ $${updated.entryPrice.toFixed(2)}.`, 'action');
+        } else if (['canceled', 'expired', 'rejected'].includes(order.status)) {
+            updated.status = order.status === 'rejected' ? 'rejected' : 'cancelled';
+            logMessage(`Journal: ${entry.symbol} entry order ${order.status} without a fill.`, 'action');
+            return updated;
+        } else {
+            return entry;
+        }
+    }
+
+    const legs = order.legs || [];
+    const management = updated.management || {};
+    let exit = null;
+    const filledLeg = legs.find(leg => leg.status === 'filled');
+    if (filledLeg) {
+        // A stop moved by the position manager is reported as the rule that last moved it.
+        const isStop = STOP_ORDER_TYPES.includes(filledLeg.order_type || filledLeg.type);
+        exit = {
+            price: parseFloat(filledLeg.filled_avg_price),
+            time: filledLeg.filled_at,
+            reason: isStop ? (management.stopReason || 'stop_loss') : 'take_profit',
+        };
+    } else if (legs.length === 0 || legs.every(leg => ['canceled', 'expired', 'replaced'].includes(leg.status))) {
+        // Without working legs the position was closed another way, or is being held unprotected.
+        const manualExit = await findManualExit(updated);
+        if (manualExit) exit = { ...manualExit, reason: management.timeExit ? 'time_exit' : 'manual' };
+    }
+
+    if (exit) {
+        const direction = updated.side === 'buy' ? 1 : -1;
+        updated.status = 'closed';
+        updated.exitPrice = exit.price;
+        updated.exitTime = exit.time;
+        updated.exitReason = exit.reason;
+        // Shares sold earlier by a scale-out are no longer in `qty`; their P/L is added back.
+        const scaledOutPnl = (updated.scaleOuts || []).reduce((sum, s) => sum + (s.price - updated.entryPrice) * s.qty * direction, 0);
+        updated.pnl = (exit.price - updated.entryPrice) * updated.qty * direction + scaledOutPnl;
+        logMessage(`Journal: ${entry.symbol} closed by ${exit.reason.replace('_', ' ')} @ $${exit.price.toFixed(2)}, P/L $${updated.pnl.toFixed(2)}.`, updated.pnl >= 0 ? 'signal' : 'sell');
+    }
+    return updated.status !== entry.status || scaleOuts ? updated : entry;
+}
+
+/**
+ * Replaces the estimated prices of scale-outs with their fills, once their orders have filled.
+ * @param {object[]} [scaleOuts=[]] - The entry's scale-outs.
+ * @returns {Promise<object[]|null>} The updated scale-outs, or null if none changed.
+ */
+async function settleScaleOuts(scaleOuts = []) {
+    let changed = false;
+    const settled = [];
+    for (const scaleOut of scaleOuts) {
+        if (!scaleOut.estimated) {
+            settled.push(scaleOut);
+            continue;
+        }
+        const order = await alpacaFetch(`/v2/orders/${scaleOut.orderId}`);
+        if (order && order.filled_avg_price) {
+            settled.push({ ...scaleOut, price: parseFloat(order.filled_avg_price), estimated: false, time: order.filled_at || scaleOut.time });
+            changed = true;
+        } else {
+            settled.push(scaleOut);
+        }
+    }
+    return changed ? settled : null;
+}
+
+// The reconciliation in progress, shared by the trade cycle and the trade update handler.
+let reconciliation = null;
+
+/**
+ * Reconciles every pending and open journal entry with Alpaca's orders and fills.
+ * A call made while a reconciliation is running waits for that one instead of starting another.
+ * @returns {Promise<boolean>} True if any entry changed.
+ */
+export function reconcileJournal() {
+    if (!reconciliation) {
+        reconciliation = reconcileOpenEntries().finally(() => { reconciliation = null; });
+    }
+    return reconciliation;
+}
+
+/**
+ * Reconciles the pending and open entries, then writes only the fields that changed into the
+ * current journal, so entries recorded and management updates made during the requests are kept.
+ * @returns {Promise<boolean>} True if any entry changed.
+ */
+async function reconcileOpenEntries() {
+    const changes = new Map();
+    for (const entry of state.journal.filter(e => e.status === 'pending' || e.status === 'open')) {
+        try {
+            const updated = await reconcileEntry(entry);
+            if (updated !== entry) {
+                changes.set(entry.id, Object.fromEntries(Object.entries(updated).filter(([key, value]) => value !== entry[key])));
+            }
+        } catch (e) {
+            logMessage(`Journal reconciliation failed for ${entry.symbol}: ${e.message}`, 'error');
+        }
+    }
+    if (changes.size === 0) return false;
+    setState({ journal: state.journal.map(entry => (changes.has(entry.id) ? mergeReconciled(entry, changes.get(entry.id)) : entry)) });
+    return true;
+}
+
+/**
+ * Applies reconciled fields to the current version of an entry. Settled scale-outs are matched by
+ * order id, since the position manager may have added another one in the meantime.
+ * @param {object} entry - The entry in the current journal.
+ * @param {object} changes - The fields the reconciliation changed.
+ * @returns {object} The updated entry.
+ */
+function mergeReconciled(entry, changes) {
+    const merged = { ...entry, ...changes };
+    if (changes.scaleOuts) {
+        const settled = new Map(changes.scaleOuts.map(s => [s.orderId, s]));
+        merged.scaleOuts = (entry.scaleOuts || []).map(s => settled.get(s.orderId) || s);
+    }
+    return merged;
+}
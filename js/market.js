@@ -0,0 +1,194 @@
+/**
+ * @fileoverview The market session service.
+ * Knows when the US stock market trades: it keeps a cached copy of Alpaca's `/v2/calendar`
+ * (falling back to a built-in table of exchange holidays and early closes when offline),
+ * tracks Alpaca's `/v2/clock`, and classifies any moment into a session phase
+ * (pre-market, open, the closing minutes, post-market or closed) so the trade cycle and the
+ * AI analysis can schedule themselves around the session.
+ */
+
+import { state } from './state.js';
+import { initialState } from './config.js';
+import { alpacaFetch } from './api.js';
+import { logMessage } from './ui.js';
+import { getNewYorkDate, getNewYorkMinuteOfDay } from './utils.js';
+
+const CALENDAR_STORAGE_KEY = 'tradingBotMarketCalendar';
+const CALENDAR_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+const CALENDAR_LOOKBACK_DAYS = 7;
+const CALENDAR_LOOKAHEAD_DAYS = 45;
+const CLOCK_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Regular and extended hours, as minutes after midnight New York time.
+const REGULAR_SESSION = { preOpen: 4 * 60, open: 9 * 60 + 30, close: 16 * 60, postClose: 20 * 60 };
+const EARLY_CLOSE = 13 * 60;
+
+// Offline fallback: full-day closures and 1:00 PM early closes of the NYSE/Nasdaq.
+const FALLBACK_HOLIDAYS = new Set([
+    '2025-01-01', '2025-01-09', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+    '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25',
+    '2026-01-01', '2026-01-19', '2026-02-16', '2026-04-03', '2026-05-25',
+    '2026-06-19', '2026-07-03', '2026-09-07', '2026-11-26', '2026-12-25',
+    '2027-01-01', '2027-01-18', '2027-02-15', '2027-03-26', '2027-05-31',
+    '2027-06-18', '2027-07-05', '2027-09-06', '2027-11-25', '2027-12-24',
+]);
+const FALLBACK_EARLY_CLOSES = new Set([
+    '2025-07-03', '2025-11-28', '2025-12-24',
+    '2026-11-27', '2026-12-24',
+    '2027-11-26',
+]);
+
+/**
+ * Display labels for the session phases.
+ */
+export const MARKET_PHASES = {
+    pre_market: 'Pre-market',
+    open: 'Open',
+    closing: 'Closing',
+    post_market: 'Post-market',
+    closed: 'Closed',
+};
+
+let calendar = loadCachedCalendar(); // { fetchedAt, start, end, days: { 'YYYY-MM-DD': session } }
+let clock = null; // { isOpen, fetchedAt, offsetMs }
+
+/**
+ * Reads the cached calendar from localStorage.
+ * @returns {object|null} The cached calendar, or null if there is none.
+ */
+function loadCachedCalendar() {
+    try {
+        return JSON.parse(localStorage.getItem(CALENDAR_STORAGE_KEY)) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Converts an Alpaca calendar time ('09:30' or '0930') to minutes after midnight.
+ * @param {string} time - The time.
+ * @returns {number} Minutes after midnight.
+ */
+function parseCalendarTime(time) {
+    const digits = String(time).replace(':', '').padStart(4, '0');
+    return parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2, 4), 10);
+}
+
+/**
+ * Formats a Date as YYYY-MM-DD in UTC, for calendar query ranges.
+ * @param {Date} date - The date.
+ * @returns {string} The formatted date.
+ */
+function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the trading session of a New York calendar date.
+ * Uses the cached Alpaca calendar when it covers the date, otherwise the built-in fallback table.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @returns {{date: string, preOpen: number, open: number, close: number, postClose: number, earlyClose: boolean}|null}
+ * The session times in minutes after midnight New York time, or null if the market is closed all day.
+ */
+export function getTradingSession(date) {
+    if (calendar && date >= calendar.start && date <= calendar.end) {
+        return calendar.days[date] || null;
+    }
+
+    const weekday = new Date(`${date}T12:00:00Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6 || FALLBACK_HOLIDAYS.has(date)) return null;
+    const earlyClose = FALLBACK_EARLY_CLOSES.has(date);
+    return { date, ...REGULAR_SESSION, close: earlyClose ? EARLY_CLOSE : REGULAR_SESSION.close, earlyClose };
+}
+
+/**
+ * Classifies a moment into a session phase.
+ * @param {Date|string|number} [time=Date.now()] - The moment.
+ * @param {object} [options]
+ * @param {number} [options.closingMinutes=15] - Length of the 'closing' phase at the end of the regular session.
+ * @returns {{phase: string, session: object|null, minutesToClose: number|null}} The phase (a key of `MARKET_PHASES`),
+ * the day's session, and the minutes left in the regular session while it is open.
+ */
+export function getMarketPhase(time = Date.now(), { closingMinutes = 15 } = {}) {
+    const session = getTradingSession(getNewYorkDate(time));
+    if (!session) return { phase: 'closed', session: null, minutesToClose: null };
+
+    const minute = getNewYorkMinuteOfDay(time);
+    const minutesToClose = minute >= session.open && minute < session.close ? session.close - minute : null;
+    let phase = 'closed';
+    if (minute >= session.preOpen && minute < session.open) phase = 'pre_market';
+    else if (minute >= session.open && minute < session.close - closingMinutes) phase = 'open';
+    else if (minute >= session.open && minute < session.close) phase = 'closing';
+    else if (minute >= session.close && minute < session.postClose) phase = 'post_market';
+    return { phase, session, minutesToClose };
+}
+
+/**
+ * Gets the current session phase for the running bot, using Alpaca's clock to correct for local
+ * clock drift and for unscheduled closures. The simulated market never closes.
+ * @returns {{phase: string, session: object|null, minutesToClose: number|null}} The current phase.
+ */
+export function getCurrentMarketPhase() {
+    if (state.settings.broker === 'simulator') {
+        return { phase: 'open', session: null, minutesToClose: null };
+    }
+    const { noEntryMinutesBeforeClose, flattenBeforeClose, flattenMinutesBeforeClose } = state.settings;
+    // Entries stop no later than the end-of-day flatten, so nothing is reopened after it. A missing
+    // value (e.g. a field saved blank) falls back to the default, as when the settings are saved.
+    const defaults = initialState.settings;
+    const noEntryMinutes = Number.isFinite(noEntryMinutesBeforeClose) ? noEntryMinutesBeforeClose : defaults.noEntryMinutesBeforeClose;
+    const flattenMinutes = Number.isFinite(flattenMinutesBeforeClose) ? flattenMinutesBeforeClose : defaults.flattenMinutesBeforeClose;
+    const closingMinutes = Math.max(noEntryMinutes, flattenBeforeClose ? flattenMinutes : 0);
+    const now = Date.now() + (clock ? clock.offsetMs : 0);
+    const current = getMarketPhase(now, { closingMinutes });
+    // A recent clock reading saying the market is closed overrides the calendar (e.g. an emergency closure).
+    const clockIsFresh = clock && Date.now() - clock.fetchedAt < CLOCK_MAX_AGE_MS;
+    if (clockIsFresh && !clock.isOpen && (current.phase === 'open' || current.phase === 'closing')) {
+        return { phase: 'closed', session: current.session, minutesToClose: null };
+    }
+    return current;
+}
+
+/**
+ * Refreshes Alpaca's clock and, when the cached copy is stale, the trading calendar.
+ * Failures are logged and leave the cached or fallback calendar in use.
+ */
+export async function syncMarketSession() {
+    if (state.settings.broker === 'simulator') return;
+
+    try {
+        const response = await alpacaFetch('/v2/clock');
+        clock = {
+            isOpen: Boolean(response.is_open),
+            fetchedAt: Date.now(),
+            offsetMs: new Date(response.timestamp).getTime() - Date.now(),
+        };
+    } catch (e) {
+        logMessage(`Could not read the market clock: ${e.message}`, 'error');
+    }
+
+    if (calendar && Date.now() - calendar.fetchedAt < CALENDAR_MAX_AGE_MS) return;
+    try {
+        const now = Date.now();
+        const start = isoDate(new Date(now - CALENDAR_LOOKBACK_DAYS * 24 * 60 * 60 * 1000));
+        const end = isoDate(new Date(now + CALENDAR_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000));
+        const response = await alpacaFetch(`/v2/calendar?start=${start}&end=${end}`);
+        const days = {};
+        for (const day of response || []) {
+            const close = parseCalendarTime(day.close);
+            days[day.date] = {
+                date: day.date,
+                preOpen: day.session_open ? parseCalendarTime(day.session_open) : REGULAR_SESSION.preOpen,
+                open: parseCalendarTime(day.open),
+                close,
+                postClose: day.session_close ? parseCalendarTime(day.session_close) : REGULAR_SESSION.postClose,
+                earlyClose: close < REGULAR_SESSION.close,
+            };
+        }
+        calendar = { fetchedAt: now, start, end, days };
+        localStorage.setItem(CALENDAR_STORAGE_KEY, JSON.stringify(calendar));
+        logMessage(`Market calendar updated through ${end}.`, 'action');
+    } catch (e) {
+        logMessage(`Could not update the market calendar (${e.message}); using the ${calendar ? 'cached' : 'built-in'} calendar.`, 'error');
+    }
+}
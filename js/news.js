@@ -0,0 +1,118 @@
+/**
+ * @fileoverview News context for the AI analysis.
+ * Headlines are fetched per candidate with the news endpoint's `symbols` filter, de-duplicated
+ * (the same story is often syndicated under slightly different ids) and ranked by a score that
+ * halves every `RECENCY_HALF_LIFE_HOURS` and favours articles about few symbols over market
+ * roundups tagged with many. The best few, plus the top general market headlines, are summarized
+ * into a compact block for the prompt.
+ */
+
+import { alpacaFetch } from './api.js';
+
+const RECENCY_HALF_LIFE_HOURS = 6;
+const MARKET_HEADLINES = 5;
+const FETCH_LIMIT = 50;
+
+/**
+ * @typedef {object} NewsItem
+ * @property {string} headline - The headline.
+ * @property {string} source - The news source.
+ * @property {string} url - The article URL.
+ * @property {string} createdAt - When the article was published (ISO string).
+ * @property {number} score - The ranking score.
+ */
+
+/**
+ * Normalizes a headline for duplicate detection.
+ * @param {string} headline - The headline.
+ * @returns {string} The lowercased headline without punctuation or extra spaces.
+ */
+function normalizeHeadline(headline) {
+    return headline.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Scores, de-duplicates and sorts articles from the news endpoint.
+ * @param {object[]} articles - The `news` array of a `/v1beta1/news` response.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {NewsItem[]} The unique articles, best first.
+ */
+export function rankNews(articles, now = Date.now()) {
+    const seen = new Set();
+    const items = [];
+    for (const article of articles) {
+        if (!article.headline) continue;
+        const key = normalizeHeadline(article.headline);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const ageHours = Math.max(0, (now - new Date(article.created_at).getTime()) / (60 * 60 * 1000));
+        const recency = Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+        const focus = 1 / Math.sqrt(Math.max(1, (article.symbols || []).length));
+        items.push({
+            headline: article.headline,
+            source: article.source || '',
+            url: article.url || '',
+            createdAt: article.created_at,
+            score: recency * focus,
+        });
+    }
+    return items.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Fetches the best recent articles about a symbol.
+ * @param {string} symbol - The stock symbol.
+ * @param {object} [options]
+ * @param {number} [options.limit=5] - The number of articles to return.
+ * @param {number} [options.lookbackHours=24] - How far back to look.
+ * @param {object} [options.request] - The request priority and cancellation signal, passed to `alpacaFetch`.
+ * @returns {Promise<NewsItem[]>} The articles, best first.
+ */
+export async function getSymbolNews(symbol, { limit = 5, lookbackHours = 24, request } = {}) {
+    if (limit <= 0) return [];
+    const start = new Date(Date.now() - lookbackHours * 60 * 60 * 1000).toISOString();
+    const params = new URLSearchParams({ symbols: symbol, start, limit: FETCH_LIMIT, sort: 'desc' }).toString();
+    const response = await alpacaFetch(`/v1beta1/news?${params}`, request);
+    return rankNews((response && response.news) || []).slice(0, limit);
+}
+
+/**
+ * Fetches the best recent general market articles.
+ * @param {object} [request] - The request priority and cancellation signal, passed to `alpacaFetch`.
+ * @returns {Promise<NewsItem[]>} The articles, best first.
+ */
+export async function getMarketNews(request) {
+    const response = await alpacaFetch(`/v1beta1/news?limit=${FETCH_LIMIT}&sort=desc`, request);
+    return rankNews((response && response.news) || []).slice(0, MARKET_HEADLINES);
+}
+
+/**
+ * Formats how long ago an article was published.
+ * @param {string} createdAt - The publication time.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {string} E.g. '25m ago', '3h ago' or '2d ago'.
+ */
+export function formatNewsAge(createdAt, now = Date.now()) {
+    const minutes = Math.max(0, Math.round((now - new Date(createdAt).getTime()) / 60000));
+    if (minutes < 60) return `${minutes}m ago`;
+    if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`;
+    return `${Math.round(minutes / (24 * 60))}d ago`;
+}
+
+/**
+ * Summarizes the news for one candidate into the block passed to the prompt.
+ * @param {string} symbol - The stock symbol.
+ * @param {NewsItem[]} symbolNews - Articles about the symbol.
+ * @param {NewsItem[]} marketNews - General market articles.
+ * @returns {string} The summary.
+ */
+export function summarizeNews(symbol, symbolNews, marketNews) {
+    const line = item => `- [${formatNewsAge(item.createdAt)}] ${item.headline}${item.source ? ` (${item.source})` : ''}`;
+    const sections = [
+        symbolNews.length > 0 ? [`About ${symbol}:`, ...symbolNews.map(line)].join('\n') : `No recent news about ${symbol}.`,
+    ];
+    const aboutSymbol = new Set(symbolNews.map(item => normalizeHeadline(item.headline)));
+    const market = marketNews.filter(item => !aboutSymbol.has(normalizeHeadline(item.headline)));
+    if (market.length > 0) sections.push(['Market:', ...market.map(line)].join('\n'));
+    return sections.join('\n');
+}
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Order management.
+ * Keeps `state.orders` in sync with the open and recent orders from `/v2/orders` (bracket legs
+ * nested under their entry) and with order events from the trade updates stream, remembers the status transitions seen for each order, and cancels
+ * orders or modifies the stop loss and take profit legs of a bracket.
+ */
+
+import { state, setState } from './state.js';
+import { alpacaFetch } from './api.js';
+import { logMessage } from './ui.js';
+
+const RECENT_ORDERS_LIMIT = 100;
+const OPEN_STATUSES = ['new', 'accepted', 'pending_new', 'accepted_for_bidding', 'held', 'partially_filled', 'pending_cancel', 'pending_replace'];
+const STOP_ORDER_TYPES = ['stop', 'stop_limit', 'trailing_stop'];
+
+// Status transitions seen for each order id, oldest first: [{ status, at }].
+const statusHistory = {};
+
+/**
+ * Checks whether an order can still fill (or be cancelled).
+ * @param {object} order - An order from `/v2/orders`.
+ * @returns {boolean} True if the order is open.
+ */
+export function isOrderOpen(order) {
+    return OPEN_STATUSES.includes(order.status);
+}
+
+/**
+ * Gets the status transitions seen for an order since the app was loaded.
+ * @param {string} id - The order id.
+ * @returns {{status: string, at: Date}[]} The transitions, oldest first.
+ */
+export function getStatusHistory(id) {
+    return statusHistory[id] || [];
+}
+
+/**
+ * Finds the stop loss and take profit legs of a bracket order.
+ * @param {object} order - A bracket entry order with nested legs.
+ * @returns {{stopLeg: object|undefined, takeProfitLeg: object|undefined}} The legs.
+ */
+export function getBracketLegs(order) {
+    const legs = order.legs || [];
+    return {
+        stopLeg: legs.find(leg => STOP_ORDER_TYPES.includes(leg.type)),
+        takeProfitLeg: legs.find(leg => leg.type === 'limit'),
+    };
+}
+
+/**
+ * Records an order's current status and logs it if it changed since the last refresh.
+ * @param {object} order - An order or bracket leg.
+ * @param {object} [parent] - The entry order, for a bracket leg.
+ */
+function trackStatus(order, parent) {
+    const history = statusHistory[order.id] || (statusHistory[order.id] = []);
+    const previous = history[history.length - 1];
+    if (previous && previous.status === order.status) return;
+    history.push({ status: order.status, at: new Date(order.updated_at || Date.now()) });
+    if (previous) {
+        const label = parent ? `${order.symbol} ${order.type} leg` : `${order.symbol} ${order.side} ${order.type} order`;
+        const type = order.status === 'rejected' ? 'error' : 'action';
+        logMessage(`${label}: ${previous.status} -> ${order.status}.`, type);
+    }
+}
+
+/**
+ * Fetches the open and recent orders into `state.orders`, newest first, logging status transitions.
+ */
+export async function refreshOrders() {
+    try {
+        const orders = await alpacaFetch(`/v2/orders?status=all&nested=true&limit=${RECENT_ORDERS_LIMIT}`);
+        for (const order of orders || []) {
+            trackStatus(order);
+            (order.legs || []).forEach(leg => trackStatus(leg, order));
+        }
+        setState({ orders: orders || [] });
+    } catch (e) {
+        logMessage(`Failed to refresh orders: ${e.message}`, 'error');
+    }
+}
+
+/**
+ * Applies an order event from the trade updates stream to `state.orders`, logging its status transition.
+ * A bracket leg is updated within its entry order; an order not seen before is added as the newest.
+ * @param {object} order - The order from the event.
+ */
+export function applyOrderUpdate(order) {
+    const parent = state.orders.find(o => (o.legs || []).some(leg => leg.id === order.id));
+    if (parent) {
+        trackStatus(order, parent);
+        const legs = parent.legs.map(leg => (leg.id === order.id ? { ...leg, ...order } : leg));
+        setState({ orders: state.orders.map(o => (o === parent ? { ...parent, legs } : o)) });
+        return;
+    }
+    trackStatus(order);
+    const existing = state.orders.find(o => o.id === order.id);
+    const updated = existing ? { ...existing, ...order, legs: order.legs || existing.legs } : order;
+    setState({ orders: existing ? state.orders.map(o => (o === existing ? updated : o)) : [updated, ...state.orders] });
+}
+
+/**
+ * Cancels an open order. Cancelling a bracket entry also cancels its legs.
+ * @param {string} id - The order id.
+ */
+export async function cancelOrderById(id) {
+    try {
+        await alpacaFetch(`/v2/orders/${id}`, {
+            method: 'DELETE'
+        });
+        logMessage(`Cancel requested for order ${id}.`, 'action');
+    } catch (e) {
+        logMessage(`Failed to cancel order ${id}: ${e.message}`, 'error');
+        throw e;
+    }
+}
+
+/**
+ * Moves the stop loss and/or take profit of a bracket order by replacing its legs.
+ * The journal entry for the bracket is updated with the new prices.
+ * @param {string} id - The bracket entry order id.
+ * @param {object} changes
+ * @param {number} [changes.stopPrice] - The new stop loss price.
+ * @param {number} [changes.takeProfitPrice] - The new take profit price.
+ */
+export async function modifyBracketOrder(id, changes) {
+    const toCents = value => (value === undefined ? undefined : Math.round(value * 100) / 100);
+    const stopPrice = toCents(changes.stopPrice);
+    const takeProfitPrice = toCents(changes.takeProfitPrice);
+    const order = state.orders.find(o => o.id === id);
+    if (!order || !order.legs) throw new Error(`order ${id} is not a bracket order`);
+    const { stopLeg, takeProfitLeg } = getBracketLegs(order);
+    const isShort = order.side === 'sell';
+    const newStop = stopPrice ?? parseFloat(stopLeg && stopLeg.stop_price);
+    const newTarget = takeProfitPrice ?? parseFloat(takeProfitLeg && takeProfitLeg.limit_price);
+    if ((!isShort && newStop >= newTarget) || (isShort && newStop <= newTarget)) {
+        throw new Error(`the stop loss must be ${isShort ? 'above' : 'below'} the take profit`);
+    }
+
+    const replace = async (leg, body, label) => {
+        if (!leg || !isOrderOpen(leg)) throw new Error(`the ${label} leg is no longer open`);
+        await alpacaFetch(`/v2/orders/${leg.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+        });
+    };
+    try {
+        if (stopPrice !== undefined) await replace(stopLeg, { stop_price: String(stopPrice) }, 'stop loss');
+        if (takeProfitPrice !== undefined) await replace(takeProfitLeg, { limit_price: String(takeProfitPrice) }, 'take profit');
+    } catch (e) {
+        logMessage(`Failed to modify the ${order.symbol} bracket: ${e.message}`, 'error');
+        throw e;
+    }
+
+    setState({
+        journal: state.journal.map(entry => (entry.id === id
+            ? { ...entry, stopPrice: stopPrice ?? entry.stopPrice, takeProfitPrice: takeProfitPrice ?? entry.takeProfitPrice }
+            : entry)),
+    });
+    logMessage(`Modified the ${order.symbol} bracket: SL $${newStop.toFixed(2)}, TP $${newTarget.toFixed(2)}.`, 'action');
+}
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview The position manager.
+ * Runs each trade cycle over the open journal entries and applies the configured management rules
+ * (0 disables a rule):
+ * a maximum holding time, a partial scale-out at a profit target, and moving the stop loss leg of
+ * the bracket to break-even or trailing it by ATR or a percentage. Profits are measured in R, the
+ * distance from the entry to the original stop. Every adjustment is logged and recorded in the
+ * entry's `management` field, so it survives a reload.
+ */
+
+import { state, setState } from './state.js';
+import { logMessage } from './ui.js';
+import { alpacaFetch, closePositionFromApi } from './api.js';
+import { getBracketLegs, isOrderOpen, modifyBracketOrder, cancelOrderById } from './orders.js';
+
+// The stop is only moved when it improves by at least this percentage of the price, so a trailing
+// stop does not send an order replacement for every cent.
+const MIN_STOP_STEP_PCT = 0.05;
+
+/**
+ * Applies a partial update to one journal entry.
+ * @param {string} id - The journal entry (entry order) id.
+ * @param {object} changes - The fields to update.
+ */
+function updateJournalEntry(id, changes) {
+    setState({ journal: state.journal.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)) });
+}
+
+/**
+ * Closes a position held longer than the maximum holding time, cancelling its open legs first
+ * since they hold the shares a market close needs.
+ * @param {object} entry - The open journal entry.
+ * @param {object|undefined} bracket - The bracket order.
+ */
+async function closeExpiredPosition(entry, bracket) {
+    logMessage(`Position manager: ${entry.symbol} held longer than ${state.settings.maxHoldingMinutes} min. Closing.`, 'sell');
+    for (const leg of (bracket && bracket.legs) || []) {
+        if (!isOrderOpen(leg)) continue;
+        try {
+            await cancelOrderById(leg.id);
+        } catch (e) {
+            // Already logged; cancelling one leg of the pair may have cancelled the other
+        }
+    }
+    await closePositionFromApi(entry.symbol);
+    updateJournalEntry(entry.id, { management: { ...entry.management, timeExit: true } });
+}
+
+/**
+ * Sells (or, for a short, buys back) part of a position at market. The bracket legs are reduced
+ * to the remaining quantity first, so the shares are free to sell.
+ * @param {object} entry - The open journal entry.
+ * @param {object} bracket - The bracket order.
+ * @param {number} price - The current price, recorded as an estimate until reconciliation finds the fill.
+ * @param {number} rMultiple - The current profit in R, for the log.
+ */
+async function scaleOut(entry, bracket, price, rMultiple) {
+    const qty = Math.floor(entry.qty * state.settings.scaleOutPercent / 100);
+    const remaining = entry.qty - qty;
+    if (qty <= 0 || remaining <= 0) return;
+
+    for (const leg of bracket.legs || []) {
+        if (!isOrderOpen(leg)) continue;
+        await alpacaFetch(`/v2/orders/${leg.id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ qty: String(remaining) })
+        });
+    }
+    const order = await alpacaFetch('/v2/orders', {
+        method: 'POST',
+        body: JSON.stringify({ symbol: entry.symbol, qty, side: entry.side === 'buy' ? 'sell' : 'buy', type: 'market', time_in_force: 'day' })
+    });
+    // A market order has rarely filled by the time it is returned; the journal replaces the estimate with the fill.
+    const estimated = !order.filled_avg_price;
+    const fillPrice = estimated ? price : parseFloat(order.filled_avg_price);
+    const scaleOuts = [...(entry.scaleOuts || []), { orderId: order.id, qty, price: fillPrice, estimated, time: new Date().toISOString() }];
+    updateJournalEntry(entry.id, { qty: remaining, scaleOuts, management: { ...entry.management, scaledOut: true } });
+    logMessage(`Position manager: scaled out of ${qty} ${entry.symbol} at +${rMultiple.toFixed(2)}R (~$${fillPrice.toFixed(2)}), ${remaining} left.`, 'signal');
+}
+
+/**
+ * Finds the best stop the break-even and trailing rules allow at the current price.
+ * @param {object} entry - The open journal entry.
+ * @param {number} price - The current price.
+ * @param {number} rMultiple - The current profit in R.
+ * @returns {{stop: number, reason: string}|null} The most protective stop, or null if no rule applies.
+ */
+function getTargetStop(entry, price, rMultiple) {
+    const { breakEvenAtR, trailingStopMode, trailingAtrMultiple, trailingPercent } = state.settings;
+    const direction = entry.side === 'buy' ? 1 : -1;
+    const candidates = [];
+
+    if (breakEvenAtR > 0 && rMultiple >= breakEvenAtR) {
+        candidates.push({ stop: entry.entryPrice, reason: 'break_even' });
+    }
+    let trailDistance = 0;
+    if (trailingStopMode === 'atr' && entry.indicators && entry.indicators.atr > 0) {
+        trailDistance = entry.indicators.atr * trailingAtrMultiple;
+    } else if (trailingStopMode === 'percent') {
+        trailDistance = price * trailingPercent / 100;
+    }
+    if (trailDistance > 0) {
+        candidates.push({ stop: price - direction * trailDistance, reason: 'trailing_stop' });
+    }
+    if (candidates.length === 0) return null;
+    // The most protective stop is the highest for a long and the lowest for a short.
+    return candidates.reduce((best, c) => (direction * (c.stop - best.stop) > 0 ? c : best));
+}
+
+/**
+ * Applies the management rules to one open position.
+ * @param {object} entry - The open journal entry.
+ * @param {object} position - The broker position.
+ */
+async function managePosition(entry, position) {
+    const { maxHoldingMinutes, scaleOutAtR } = state.settings;
+    const bracket = state.orders.find(o => o.id === entry.id);
+    const management = entry.management || { initialStop: entry.stopPrice };
+    if (!entry.management) updateJournalEntry(entry.id, { management });
+    entry = { ...entry, management };
+
+    if (maxHoldingMinutes > 0 && Date.now() - new Date(entry.entryTime).getTime() >= maxHoldingMinutes * 60 * 1000) {
+        await closeExpiredPosition(entry, bracket);
+        return;
+    }
+    if (!bracket) return;
+
+    const price = parseFloat(position.current_price);
+    const direction = entry.side === 'buy' ? 1 : -1;
+    const risk = Math.abs(entry.entryPrice - management.initialStop);
+    if (!(risk > 0)) return;
+    const rMultiple = (price - entry.entryPrice) * direction / risk;
+
+    if (scaleOutAtR > 0 && !management.scaledOut && rMultiple >= scaleOutAtR) {
+        await scaleOut(entry, bracket, price, rMultiple);
+        return; // The legs were replaced; the stop is managed again on the next cycle with fresh orders
+    }
+
+    // A filled bracket's stop leg is usually 'held' while the take profit works, and can be moved;
+    // the legs of an entry that has not filled yet cannot.
+    if (bracket.status !== 'filled') return;
+    const { stopLeg } = getBracketLegs(bracket);
+    if (!stopLeg || !isOrderOpen(stopLeg)) return;
+    const target = getTargetStop(entry, price, rMultiple);
+    const currentStop = parseFloat(stopLeg.stop_price);
+    if (!target || direction * (target.stop - currentStop) < price * MIN_STOP_STEP_PCT / 100) return;
+
+    await modifyBracketOrder(entry.id, { stopPrice: target.stop });
+    const latest = state.journal.find(e => e.id === entry.id);
+    updateJournalEntry(entry.id, { management: { ...latest.management, stopReason: target.reason } });
+    logMessage(`Position manager: ${entry.symbol} stop ${target.reason === 'break_even' ? 'moved to break-even' : 'trailed'} from $${currentStop.toFixed(2)} to $${target.stop.toFixed(2)} at +${rMultiple.toFixed(2)}R.`, 'action');
+}
+
+/**
+ * Runs the management rules over every open position that the bot opened (has an open journal entry).
+ * Expects `state.orders` and `state.positions` to be fresh.
+ */
+export async function manageOpenPositions() {
+    for (const entry of state.journal.filter(e => e.status === 'open')) {
+        const position = state.positions.find(p => p.symbol === entry.symbol);
+        if (!position || (entry.management && entry.management.timeExit)) continue;
+        try {
+            await managePosition(entry, position);
+        } catch (e) {
+            logMessage(`Position manager failed for ${entry.symbol}: ${e.message}`, 'error');
+        }
+    }
+}
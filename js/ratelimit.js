@@ -0,0 +1,157 @@
+/**
+ * @fileoverview The outgoing request scheduler.
+ * Every network request goes through a token bucket: one for Alpaca (market data and trading share
+ * the account's limit) and one for the AI provider, refilled at the per-minute rates set in the
+ * settings. Waiting requests are served by priority, then in order. Low-priority requests (the
+ * candidate analysis) also leave a reserve of tokens untouched, so order placement and account
+ * refreshes are never starved by analysis traffic; the reserve never asks for more tokens than the
+ * bucket holds, so a small bucket still serves them. A 429 empties the bucket and pauses it for the
+ * server's Retry-After delay.
+ * Queued requests can be cancelled with an `AbortSignal`.
+ */
+
+import { state } from './state.js';
+
+export const PRIORITY = { high: 0, normal: 1, low: 2 };
+
+// Share of a bucket's capacity that low-priority requests may not use.
+const LOW_PRIORITY_RESERVE = 0.25;
+// Requests a full bucket allows in a burst, in seconds of its refill rate.
+const BURST_SECONDS = 5;
+
+// Thrown for a request cancelled while it was queued.
+export class RequestCancelledError extends Error {
+    constructor(message = 'Request cancelled.') {
+        super(message);
+        this.name = 'RequestCancelledError';
+    }
+}
+
+const buckets = {}; // name -> { tokens, updatedAt, pausedUntil, queue, timer }
+let sequence = 0;
+
+/**
+ * Gets a bucket's refill rate from the settings.
+ * @param {string} name - 'alpaca' or 'ai'.
+ * @returns {number} The requests allowed per minute.
+ */
+function getRatePerMinute(name) {
+    const perMinute = name === 'ai' ? state.settings.aiRequestsPerMinute : state.settings.alpacaRequestsPerMinute;
+    return perMinute > 0 ? perMinute : Infinity;
+}
+
+/**
+ * Gets a bucket, creating it full on first use, and adds the tokens refilled since it was last used.
+ * @param {string} name - The bucket name.
+ * @returns {object} The bucket.
+ */
+function refill(name) {
+    const perMinute = getRatePerMinute(name);
+    const capacity = Math.max(1, perMinute * BURST_SECONDS / 60);
+    const now = Date.now();
+    const bucket = buckets[name] || (buckets[name] = { tokens: capacity, updatedAt: now, pausedUntil: 0, queue: [], timer: null });
+    bucket.tokens = Number.isFinite(perMinute) ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMinute / 60000) : capacity;
+    bucket.updatedAt = now;
+    bucket.capacity = capacity;
+    return bucket;
+}
+
+/**
+ * Starts as many queued requests as the bucket allows, then waits for the next token if any remain.
+ * @param {string} name - The bucket name.
+ */
+function pump(name) {
+    const bucket = refill(name);
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+    bucket.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+    while (bucket.queue.length > 0) {
+        const waitForPause = bucket.pausedUntil - Date.now();
+        const next = bucket.queue[0];
+        const needed = next.priority === PRIORITY.low ? Math.min(bucket.capacity, 1 + bucket.capacity * LOW_PRIORITY_RESERVE) : 1;
+        if (waitForPause <= 0 && bucket.tokens >= needed) {
+            bucket.tokens -= 1;
+            bucket.queue.shift();
+            next.start();
+            continue;
+        }
+        const perMinute = getRatePerMinute(name);
+        const waitForTokens = (needed - bucket.tokens) * 60000 / perMinute;
+        bucket.timer = setTimeout(() => pump(name), Math.max(waitForPause, waitForTokens, 10));
+        break;
+    }
+}
+
+/**
+ * Runs a request once its bucket has a token for it.
+ * @param {string} name - The bucket: 'alpaca' or 'ai'.
+ * @param {function(): Promise<any>} task - Sends the request.
+ * @param {object} [options]
+ * @param {string} [options.priority='normal'] - 'high', 'normal' or 'low'.
+ * @param {AbortSignal} [options.signal] - Cancels the request while it is queued.
+ * @returns {Promise<any>} The task's result.
+ * @throws {RequestCancelledError} If the signal aborts before the request starts.
+ */
+export function scheduleRequest(name, task, { priority = 'normal', signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new RequestCancelledError());
+            return;
+        }
+        const onAbort = () => {
+            const bucket = buckets[name];
+            bucket.queue = bucket.queue.filter(e => e !== entry);
+            reject(new RequestCancelledError());
+        };
+        const entry = {
+            priority: PRIORITY[priority] ?? PRIORITY.normal,
+            sequence: sequence++,
+            start: () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                task().then(resolve, reject);
+            },
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        refill(name).queue.push(entry);
+        pump(name);
+    });
+}
+
+/**
+ * Empties a bucket and holds its queue after the server reported a rate limit.
+ * @param {string} name - The bucket name.
+ * @param {number} delayMs - How long to pause, e.g. from the Retry-After header.
+ */
+export function pauseBucket(name, delayMs) {
+    const bucket = refill(name);
+    bucket.tokens = 0;
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delayMs);
+    pump(name);
+}
+
+/**
+ * Checks whether an error means a request was cancelled rather than failed.
+ * @param {Error} error - The error.
+ * @returns {boolean} True for a cancelled queued request or an aborted fetch.
+ */
+export function isCancellation(error) {
+    return error instanceof RequestCancelledError || (error && error.name === 'AbortError');
+}
+
+/**
+ * Runs a worker over items with at most `limit` running at once. No new item is started once the
+ * signal aborts.
+ * @param {Array} items - The items.
+ * @param {number} limit - The maximum number of concurrent workers.
+ * @param {function(*): Promise<void>} worker - Processes one item.
+ * @param {AbortSignal} [signal] - Stops starting new items.
+ */
+export async function runWithConcurrency(items, limit, worker, signal) {
+    let index = 0;
+    const runNext = async () => {
+        while (index < items.length && !(signal && signal.aborted)) {
+            await worker(items[index++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext));
+}
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview The portfolio-level risk manager.
+ * Sits between the strategy and `placeBracketOrder`: every new entry must be approved against the
+ * daily loss limit, the trades-per-day limit, the consecutive-loss cooldown and the total and
+ * per-symbol exposure limits, and symbols blocked on the watchlist are refused. The daily loss and
+ * trades-per-day limits halt new entries (and can flatten the book) until the halt is reset
+ * manually; the halt is persisted with the app data.
+ * A limit set to 0 is disabled.
+ */
+
+import { state, setState } from './state.js';
+import { logMessage, updateStatus, updateRiskHaltControls } from './ui.js';
+import { flattenAllPositions } from './api.js';
+import { getNewYorkDate } from './utils.js';
+import { isBlocked } from './watchlist.js';
+
+/**
+ * The day's P/L as a percentage of the previous close, the account's `last_equity`.
+ * @returns {number} The daily return in percent (negative for a loss).
+ */
+function getDailyReturnPct() {
+    const { equity, last_equity } = state.portfolio;
+    return last_equity > 0 ? (equity / last_equity - 1) * 100 : 0;
+}
+
+/**
+ * Counts the entries submitted today (New York date), excluding orders the broker rejected.
+ * @returns {number} The number of trades today.
+ */
+function countTradesToday() {
+    const today = getNewYorkDate(Date.now());
+    return state.journal.filter(e => e.status !== 'rejected' && getNewYorkDate(e.submittedAt) === today).length;
+}
+
+/**
+ * Finds the end of the consecutive-loss cooldown, if one is in effect.
+ * @returns {Date|null} When entries resume, or null if there is no cooldown.
+ */
+function getCooldownEnd() {
+    const { maxConsecutiveLosses, lossCooldownMinutes } = state.settings;
+    if (!maxConsecutiveLosses || !lossCooldownMinutes) return null;
+
+    const closed = state.journal
+        .filter(e => e.status === 'closed')
+        .sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+    let streak = 0;
+    for (let i = closed.length - 1; i >= 0 && closed[i].pnl < 0; i--) streak++;
+    if (streak < maxConsecutiveLosses) return null;
+
+    const end = new Date(new Date(closed[closed.length - 1].exitTime).getTime() + lossCooldownMinutes * 60 * 1000);
+    return end.getTime() > Date.now() ? end : null;
+}
+
+/**
+ * Halts new entries until `resetRiskHalt` is called, and optionally flattens all positions.
+ * @param {string} reason - Why the halt was triggered.
+ * @param {object} [options]
+ * @param {boolean} [options.flatten=false] - Also close every open position.
+ */
+export async function tripRiskHalt(reason, { flatten = false } = {}) {
+    if (state.riskHalt) return;
+    setState({ riskHalt: { reason, at: new Date().toISOString() } });
+    logMessage(`RISK HALT: ${reason}. New entries are halted until reset.`, 'error');
+    updateStatus('Halted', 'bg-amber-500');
+    updateRiskHaltControls();
+    if (flatten) {
+        try {
+            await flattenAllPositions();
+        } catch (e) {
+            logMessage(`Could not flatten after the risk halt: ${e.message}`, 'error');
+        }
+    }
+}
+
+/**
+ * Clears a risk halt so the bot can enter trades again.
+ */
+export function resetRiskHalt() {
+    if (!state.riskHalt) return;
+    logMessage(`Risk halt reset (was: ${state.riskHalt.reason}).`, 'action');
+    setState({ riskHalt: null });
+    updateStatus(state.isBotRunning ? 'Active' : 'Idle', state.isBotRunning ? 'bg-green-500' : 'bg-red-500');
+    updateRiskHaltControls();
+}
+
+/**
+ * Checks the portfolio-wide limits once per trade cycle, after the account has been refreshed,
+ * and trips the halt when the daily loss limit is reached.
+ * @returns {Promise<string|null>} Why new entries are blocked right now, or null if they are allowed.
+ */
+export async function checkRiskLimits() {
+    const { maxDailyLossPct, flattenOnHalt } = state.settings;
+    const dailyReturnPct = getDailyReturnPct();
+    if (maxDailyLossPct > 0 && dailyReturnPct <= -maxDailyLossPct) {
+        await tripRiskHalt(`daily loss of ${Math.abs(dailyReturnPct).toFixed(2)}% reached the ${maxDailyLossPct}% limit`, { flatten: flattenOnHalt });
+    }
+    return getEntryBlock();
+}
+
+/**
+ * Checks the limits that block every new entry, regardless of its size.
+ * @returns {string|null} Why new entries are blocked, or null if they are allowed.
+ */
+export function getEntryBlock() {
+    if (state.riskHalt) return `risk halt: ${state.riskHalt.reason}`;
+    const cooldownEnd = getCooldownEnd();
+    if (cooldownEnd) {
+        return `cooling down after ${state.settings.maxConsecutiveLosses} consecutive losses until ${cooldownEnd.toLocaleTimeString()}`;
+    }
+    return null;
+}
+
+/**
+ * Approves or rejects a new entry. Reaching the trades-per-day limit trips the halt.
+ * @param {object} order
+ * @param {string} order.symbol - The stock symbol.
+ * @param {number} order.quantity - The number of shares.
+ * @param {number} order.price - The expected entry price.
+ * @returns {Promise<{approved: boolean, reason: string}>} The decision and, if rejected, why.
+ */
+export async function approveEntry({ symbol, quantity, price }) {
+    const { maxTradesPerDay, maxTotalExposurePct, maxSymbolExposurePct } = state.settings;
+
+    if (isBlocked(symbol)) return { approved: false, reason: `${symbol} is blocked on the watchlist` };
+    const block = getEntryBlock();
+    if (block) return { approved: false, reason: block };
+
+    const tradesToday = countTradesToday();
+    if (maxTradesPerDay > 0 && tradesToday >= maxTradesPerDay) {
+        await tripRiskHalt(`${tradesToday} trades today reached the limit of ${maxTradesPerDay}`);
+        return { approved: false, reason: `risk halt: ${state.riskHalt.reason}` };
+    }
+
+    const equity = state.portfolio.equity;
+    const notional = quantity * price;
+    const exposureOf = p => Math.abs(parseFloat(p.qty) * parseFloat(p.current_price));
+    if (maxTotalExposurePct > 0) {
+        const totalPct = (state.positions.reduce((sum, p) => sum + exposureOf(p), 0) + notional) / equity * 100;
+        if (totalPct > maxTotalExposurePct) {
+            return { approved: false, reason: `total exposure would be ${totalPct.toFixed(1)}% of equity (limit ${maxTotalExposurePct}%)` };
+        }
+    }
+    if (maxSymbolExposurePct > 0) {
+        const symbolPct = (state.positions.filter(p => p.symbol === symbol).reduce((sum, p) => sum + exposureOf(p), 0) + notional) / equity * 100;
+        if (symbolPct > maxSymbolExposurePct) {
+            return { approved: false, reason: `${symbol} exposure would be ${symbolPct.toFixed(1)}% of equity (limit ${maxSymbolExposurePct}%)` };
+        }
+    }
+    return { approved: true, reason: '' };
+}
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview The session scheduler.
+ * Runs the configured end-of-day actions from the trade cycle at their set times before the close
+ * of the regular session (stop new entries, cancel open orders, flatten all positions) and takes an
+ * end-of-day equity snapshot after the close. Each action runs at most once per session and is logged.
+ */
+
+import { state, setState } from './state.js';
+import { logMessage, updatePerformanceChart } from './ui.js';
+import { cancelAllOrders, flattenAllPositions } from './api.js';
+import { compactEquitySeries } from './analytics.js';
+
+/**
+ * @typedef {object} SessionAction
+ * @property {string} id - Unique identifier.
+ * @property {function(object): boolean} isEnabled - Whether the action is switched on in the settings.
+ * @property {function(object, object): boolean} isDue - Whether the action is due, given the current
+ * phase from `getCurrentMarketPhase` and the settings.
+ * @property {function(object): Promise<void>} run - Performs the action, given the current phase.
+ */
+
+/**
+ * Checks whether the regular session is within `minutes` of its close.
+ * @param {object} current - The current phase from `getCurrentMarketPhase`.
+ * @param {number} minutes - Minutes before the close.
+ * @returns {boolean} True if the close is at most `minutes` away.
+ */
+function isWithinMinutesOfClose(current, minutes) {
+    return current.minutesToClose !== null && current.minutesToClose <= minutes;
+}
+
+/** @type {SessionAction[]} In run order: entries stop and orders are cancelled before positions are flattened. */
+const SESSION_ACTIONS = [
+    {
+        id: 'stopEntries',
+        // The closing phase itself keeps the trade cycle from entering; this records when it began.
+        isEnabled: () => true,
+        isDue: current => current.phase === 'closing',
+        async run(current) {
+            logMessage(`New entries stopped for the session, ${current.minutesToClose} min before the close.`, 'action');
+        },
+    },
+    {
+        id: 'cancelOrders',
+        isEnabled: settings => settings.cancelOrdersBeforeClose,
+        isDue: (current, settings) => isWithinMinutesOfClose(current, settings.cancelOrdersMinutesBeforeClose),
+        async run() {
+            logMessage('End of day: cancelling open orders.', 'action');
+            await cancelAllOrders();
+        },
+    },
+    {
+        id: 'flattenPositions',
+        isEnabled: settings => settings.flattenBeforeClose,
+        isDue: (current, settings) => isWithinMinutesOfClose(current, settings.flattenMinutesBeforeClose),
+        async run() {
+            logMessage('End of day: flattening all positions.', 'action');
+            await flattenAllPositions();
+        },
+    },
+    {
+        id: 'equitySnapshot',
+        isEnabled: settings => settings.eodEquitySnapshot,
+        isDue: current => current.phase === 'post_market',
+        async run() {
+            const equity = state.portfolio.equity;
+            setState({ performanceData: compactEquitySeries([...state.performanceData, { x: new Date(), y: equity, close: true }]) });
+            updatePerformanceChart();
+            logMessage(`End-of-day equity snapshot recorded: $${equity.toFixed(2)}.`, 'action');
+        },
+    },
+];
+
+// Session date on which each action last ran, keyed by action id.
+const completedOn = {};
+
+/**
+ * Runs every enabled session action that is due and has not yet run this session.
+ * A failed action is logged and retried on the next cycle.
+ * @param {object} current - The current phase from `getCurrentMarketPhase`.
+ */
+export async function runSessionActions(current) {
+    if (!current.session) return; // No session today, or the simulated market that never closes
+    const date = current.session.date;
+
+    for (const action of SESSION_ACTIONS) {
+        if (completedOn[action.id] === date) continue;
+        if (!action.isEnabled(state.settings) || !action.isDue(current, state.settings)) continue;
+        try {
+            await action.run(current);
+            completedOn[action.id] = date;
+        } catch (e) {
+            logMessage(`Session action '${action.id}' failed: ${e.message}`, 'error');
+        }
+    }
+}
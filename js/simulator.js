@@ -0,0 +1,772 @@
+/**
+ * @fileoverview A local paper broker that stands in for Alpaca.
+ * It keeps an in-memory account, positions and orders, fills limit, stop and bracket orders
+ * against a synthetic or replayed price feed, and answers the same endpoints `alpacaFetch` calls,
+ * so the whole bot can run with no network and no API keys.
+ *
+ * Both feeds produce 1-minute bars in real time. The replay feed re-stamps the bars of a stored
+ * bar file (see `parseBarFile`) onto the current clock, one bar per minute, with overnight gaps removed.
+ * Like an exchange's intraday history, only the most recent `MAX_HISTORY_BARS` bars are retained.
+ */
+
+import { aggregateBars, getNewYorkDate } from './utils.js';
+
+const MAX_HISTORY_BARS = 1000;
+const REPLAY_WARMUP_BARS = 300; // Enough history for the 5-minute indicators when a replay starts
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_SYMBOLS = ['AAPL', 'MSFT', 'NVDA', 'TSLA', 'AMD', 'AMZN', 'META', 'GOOGL', 'SPY', 'QQQ'];
+const OPEN_STATUSES = new Set(['new', 'accepted', 'held', 'partially_filled']);
+
+let feed = null;
+let account = null;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so synthetic prices are reproducible.
+ * @param {number} seed - A 32-bit integer seed.
+ * @returns {function(): number} A function returning numbers in [0, 1).
+ */
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a string into a 32-bit integer seed.
+ * @param {string} text - The text to hash.
+ * @returns {number} The hash.
+ */
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a feed of random-walk prices for any symbol, generated minute by minute as time passes.
+ * @returns {object} The feed.
+ */
+function createSyntheticFeed() {
+    const series = {};
+
+    const extend = (symbol) => {
+        const lastComplete = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS - MINUTE_MS;
+        if (!series[symbol]) {
+            const rng = createRng(hashString(symbol));
+            series[symbol] = { rng, bars: [], price: 20 + rng() * 480, next: lastComplete - (MAX_HISTORY_BARS - 1) * MINUTE_MS };
+        }
+        const s = series[symbol];
+        // After a long pause only the retained window needs generating.
+        s.next = Math.max(s.next, lastComplete - (MAX_HISTORY_BARS - 1) * MINUTE_MS);
+        while (s.next <= lastComplete) {
+            const open = s.price;
+            const move = (s.rng() - 0.5) * 0.004 + Math.sin(s.next / (45 * MINUTE_MS)) * 0.0004;
+            const close = Math.max(1, open * (1 + move));
+            s.bars.push({
+                t: new Date(s.next).toISOString(),
+                o: +open.toFixed(2),
+                h: +(Math.max(open, close) * (1 + s.rng() * 0.001)).toFixed(2),
+                l: +(Math.min(open, close) * (1 - s.rng() * 0.001)).toFixed(2),
+                c: +close.toFixed(2),
+                v: Math.round(1000 + s.rng() * 50000),
+            });
+            s.price = close;
+            s.next += MINUTE_MS;
+        }
+        if (s.bars.length > MAX_HISTORY_BARS) s.bars.splice(0, s.bars.length - MAX_HISTORY_BARS);
+        return s.bars;
+    };
+
+    return {
+        type: 'synthetic',
+        symbols: () => [...new Set([...DEFAULT_SYMBOLS, ...Object.keys(series)])],
+        hasSymbol: () => true,
+        getBars: (symbol) => extend(symbol),
+    };
+}
+
+/**
+ * Creates a feed that replays stored bars on the current clock, one bar per minute.
+ * @param {Object<string, {bars1m: object[]}>} barData - Bars keyed by symbol, from `parseBarFile`.
+ * @returns {object} The feed.
+ */
+function createReplayFeed(barData) {
+    // Give every distinct historical minute a sequential slot, which keeps symbols aligned and drops gaps.
+    const timeline = [...new Set(Object.values(barData).flatMap(d => d.bars1m.map(b => b.t)))]
+        .sort((a, b) => new Date(a) - new Date(b));
+    const slots = new Map(timeline.map((t, i) => [t, i]));
+    const startSlot = Math.min(REPLAY_WARMUP_BARS, timeline.length - 1);
+    const base = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS - startSlot * MINUTE_MS;
+
+    const shifted = Object.fromEntries(Object.entries(barData).map(([symbol, { bars1m }]) => [
+        symbol,
+        bars1m.map(b => ({ ...b, t: new Date(base + slots.get(b.t) * MINUTE_MS).toISOString() })),
+    ]));
+
+    return {
+        type: 'replay',
+        symbols: () => Object.keys(shifted),
+        hasSymbol: (symbol) => Boolean(shifted[symbol]),
+        getBars: (symbol) => {
+            const bars = shifted[symbol] || [];
+            const now = Date.now();
+            let end = bars.length;
+            while (end > 0 && new Date(bars[end - 1].t).getTime() + MINUTE_MS > now) end--;
+            return bars.slice(Math.max(0, end - MAX_HISTORY_BARS), end);
+        },
+    };
+}
+
+/**
+ * Builds an error in the same format `fetchWithBackoff` uses for failed API responses.
+ * @param {number} status - The HTTP status code being simulated.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function apiError(status, message) {
+    return new Error(`API Error (${status}): ${JSON.stringify({ message })}`);
+}
+
+/**
+ * Resets the simulated account. Called automatically on first use.
+ * @param {object} [options]
+ * @param {number} [options.startingCash=100000] - The account's starting cash.
+ * @param {Object<string, {bars1m: object[]}>|null} [options.replayData=null] - Bars to replay; a synthetic feed is used when omitted.
+ */
+export function resetSimulator({ startingCash = 100000, replayData = null } = {}) {
+    feed = replayData ? createReplayFeed(replayData) : createSyntheticFeed();
+    account = {
+        cash: startingCash,
+        lastEquity: startingCash,
+        day: getNewYorkDate(Date.now()),
+        positions: {}, // symbol -> { qty (negative when short), avgEntryPrice, lastdayPrice }
+        orders: [], // top-level orders, newest last; bracket legs live in `order.legs`
+        activities: [], // FILL activities, oldest first
+    };
+}
+
+/**
+ * Reports which feed the simulator is using.
+ * @returns {string|null} 'synthetic', 'replay', or null before first use.
+ */
+export function getSimulatorFeedType() {
+    return feed ? feed.type : null;
+}
+
+/**
+ * Gets the latest price of a symbol from the feed.
+ * @param {string} symbol - The stock symbol.
+ * @returns {number|null} The last close, or null if the feed has no bars for it.
+ */
+function lastPrice(symbol) {
+    const bars = feed.getBars(symbol);
+    return bars.length > 0 ? bars[bars.length - 1].c : null;
+}
+
+/**
+ * Builds a quote around the last price with a small spread.
+ * @param {string} symbol - The stock symbol.
+ * @returns {{ap: number, bp: number}|null} The ask and bid, or null if there is no price.
+ */
+function quoteFor(symbol) {
+    const price = lastPrice(symbol);
+    if (price === null) return null;
+    const halfSpread = Math.max(0.01, price * 0.0002) / 2;
+    return { ap: +(price + halfSpread).toFixed(2), bp: +(price - halfSpread).toFixed(2) };
+}
+
+/**
+ * Computes account equity and market values from the current prices.
+ * @returns {{equity: number, longValue: number, shortValue: number}} Account valuation.
+ */
+function valueAccount() {
+    let longValue = 0;
+    let shortValue = 0;
+    for (const [symbol, pos] of Object.entries(account.positions)) {
+        const value = pos.qty * (lastPrice(symbol) ?? pos.avgEntryPrice);
+        if (value >= 0) longValue += value; else shortValue += value;
+    }
+    return { equity: account.cash + longValue + shortValue, longValue, shortValue };
+}
+
+/**
+ * Applies a fill to the position book and cash balance.
+ * @param {object} order - The order being filled.
+ * @param {number} price - The fill price.
+ * @param {number} time - The fill time in milliseconds.
+ */
+function applyFill(order, price, time) {
+    const signedQty = order.side === 'buy' ? order.qty : -order.qty;
+    const pos = account.positions[order.symbol] || { qty: 0, avgEntryPrice: 0, lastdayPrice: price };
+    const newQty = pos.qty + signedQty;
+
+    if (pos.qty === 0 || Math.sign(pos.qty) === Math.sign(signedQty)) {
+        // Opening or adding to a position: blend the entry price.
+        pos.avgEntryPrice = (pos.avgEntryPrice * Math.abs(pos.qty) + price * order.qty) / Math.abs(newQty);
+    } else if (Math.sign(newQty) === -Math.sign(pos.qty)) {
+        // Reduced through zero: the remainder is a new position at the fill price.
+        pos.avgEntryPrice = price;
+    }
+    pos.qty = newQty;
+    account.cash -= signedQty * price;
+
+    if (pos.qty === 0) {
+        delete account.positions[order.symbol];
+    } else {
+        account.positions[order.symbol] = pos;
+    }
+
+    order.status = 'filled';
+    order.filledQty = order.qty;
+    order.filledAvgPrice = price;
+    order.filledAt = time;
+    order.updatedAt = time;
+
+    account.activities.push({
+        id: `${time}::${order.id}`,
+        activity_type: 'FILL',
+        transaction_time: new Date(time).toISOString(),
+        type: 'fill',
+        price: String(price),
+        qty: String(order.qty),
+        cum_qty: String(order.qty),
+        leaves_qty: '0',
+        side: order.side,
+        symbol: order.symbol,
+        order_id: order.id,
+    });
+}
+
+/**
+ * Checks whether a bar would fill an order, and at what price.
+ * Gaps through the order price fill at the bar's open.
+ * @param {object} order - A limit, stop or market order.
+ * @param {object} bar - The bar.
+ * @returns {number|null} The fill price, or null if the order does not fill on this bar.
+ */
+function fillPrice(order, bar) {
+    if (order.type === 'market') return bar.o;
+    if (order.type === 'limit') {
+        if (order.side === 'buy' && bar.l <= order.limitPrice) return Math.min(order.limitPrice, bar.o);
+        if (order.side === 'sell' && bar.h >= order.limitPrice) return Math.max(order.limitPrice, bar.o);
+    }
+    if (order.type === 'stop') {
+        if (order.side === 'sell' && bar.l <= order.stopPrice) return Math.min(order.stopPrice, bar.o);
+        if (order.side === 'buy' && bar.h >= order.stopPrice) return Math.max(order.stopPrice, bar.o);
+    }
+    return null;
+}
+
+/**
+ * Cancels an order and any of its unfilled legs.
+ * @param {object} order - The order.
+ * @param {string} [status='canceled'] - The final status ('canceled' or 'expired').
+ */
+function cancelOrder(order, status = 'canceled') {
+    const now = Date.now();
+    for (const o of [order, ...(order.legs || [])]) {
+        if (OPEN_STATUSES.has(o.status)) {
+            o.status = status;
+            o.updatedAt = now;
+            if (status === 'canceled') o.canceledAt = now; else o.expiredAt = now;
+        }
+    }
+}
+
+/**
+ * Steps every open order through the bars completed since it was last checked.
+ * Bracket legs become active once the entry fills; they are one-cancels-other, and when
+ * a single bar reaches both, the stop is assumed to fill first.
+ */
+function processOrders() {
+    const now = Date.now();
+    const today = getNewYorkDate(now);
+    if (today !== account.day) {
+        account.lastEquity = valueAccount().equity;
+        account.day = today;
+        for (const [symbol, pos] of Object.entries(account.positions)) pos.lastdayPrice = lastPrice(symbol) ?? pos.lastdayPrice;
+    }
+
+    for (const order of account.orders) {
+        if (OPEN_STATUSES.has(order.status) && order.status !== 'held') {
+            if (order.timeInForce === 'day' && getNewYorkDate(order.submittedAt) !== today) {
+                cancelOrder(order, 'expired');
+                continue;
+            }
+            for (const bar of feed.getBars(order.symbol)) {
+                const barTime = new Date(bar.t).getTime();
+                if (barTime < order.cursor) continue;
+                order.cursor = barTime + MINUTE_MS;
+                const price = fillPrice(order, bar);
+                if (price !== null) {
+                    applyFill(order, price, barTime + MINUTE_MS);
+                    (order.legs || []).forEach(leg => { leg.status = 'new'; leg.cursor = order.cursor; leg.updatedAt = now; });
+                    break;
+                }
+            }
+        }
+
+        const activeLegs = (order.legs || []).filter(leg => OPEN_STATUSES.has(leg.status) && leg.status !== 'held');
+        if (activeLegs.length === 0) continue;
+        // Stop legs are checked before take-profit legs on the same bar.
+        activeLegs.sort((a, b) => (a.type === 'stop' ? -1 : 1) - (b.type === 'stop' ? -1 : 1));
+        for (const bar of feed.getBars(order.symbol)) {
+            const barTime = new Date(bar.t).getTime();
+            if (barTime < activeLegs[0].cursor) continue;
+            activeLegs.forEach(leg => { leg.cursor = barTime + MINUTE_MS; });
+            const filledLeg = activeLegs.find(leg => fillPrice(leg, bar) !== null);
+            if (filledLeg) {
+                applyFill(filledLeg, fillPrice(filledLeg, bar), barTime + MINUTE_MS);
+                activeLegs.filter(leg => leg !== filledLeg).forEach(leg => cancelOrder(leg));
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Creates an order record.
+ * @param {object} fields - The order fields in the simulator's internal (camelCase, numeric) form.
+ * @returns {object} The order.
+ */
+function createOrder(fields) {
+    const now = Date.now();
+    return {
+        id: crypto.randomUUID(),
+        clientOrderId: crypto.randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        submittedAt: now,
+        filledAt: null,
+        canceledAt: null,
+        expiredAt: null,
+        replacedAt: null,
+        filledQty: 0,
+        filledAvgPrice: null,
+        limitPrice: null,
+        stopPrice: null,
+        orderClass: 'simple',
+        timeInForce: 'day',
+        status: 'new',
+        cursor: now,
+        legs: null,
+        ...fields,
+    };
+}
+
+/**
+ * Serializes an internal order into Alpaca's order JSON.
+ * @param {object} order - The order.
+ * @param {boolean} [nested=true] - Whether to include bracket legs.
+ * @returns {object} The order as returned by `/v2/orders`.
+ */
+function serializeOrder(order, nested = true) {
+    const time = (ms) => (ms ? new Date(ms).toISOString() : null);
+    const num = (value) => (value === null || value === undefined ? null : String(value));
+    return {
+        id: order.id,
+        client_order_id: order.clientOrderId,
+        created_at: time(order.createdAt),
+        updated_at: time(order.updatedAt),
+        submitted_at: time(order.submittedAt),
+        filled_at: time(order.filledAt),
+        canceled_at: time(order.canceledAt),
+        expired_at: time(order.expiredAt),
+        replaced_at: time(order.replacedAt),
+        replaced_by: order.replacedBy || null,
+        replaces: order.replaces || null,
+        symbol: order.symbol,
+        asset_class: 'us_equity',
+        qty: num(order.qty),
+        filled_qty: num(order.filledQty),
+        filled_avg_price: num(order.filledAvgPrice),
+        order_class: order.orderClass,
+        order_type: order.type,
+        type: order.type,
+        side: order.side,
+        time_in_force: order.timeInForce,
+        limit_price: num(order.limitPrice),
+        stop_price: num(order.stopPrice),
+        status: order.status,
+        legs: nested && order.legs ? order.legs.map(leg => serializeOrder(leg)) : null,
+    };
+}
+
+/**
+ * Finds an order or bracket leg by id.
+ * @param {string} id - The order id.
+ * @returns {object|undefined} The order.
+ */
+function findOrder(id) {
+    return account.orders.flatMap(o => [o, ...(o.legs || [])]).find(o => o.id === id);
+}
+
+/**
+ * Handles `POST /v2/orders`.
+ * @param {object} body - The order request in Alpaca's format.
+ * @returns {object} The created order.
+ */
+function submitOrder(body) {
+    const symbol = String(body.symbol || '').toUpperCase();
+    const qty = parseFloat(body.qty);
+    const side = body.side;
+    const type = body.type || 'market';
+
+    if (!symbol || !feed.hasSymbol(symbol)) throw apiError(422, `asset "${symbol}" not found`);
+    if (!(qty > 0)) throw apiError(422, 'qty must be > 0');
+    if (side !== 'buy' && side !== 'sell') throw apiError(422, 'side must be buy or sell');
+    if (!['market', 'limit', 'stop'].includes(type)) throw apiError(422, `order type "${type}" is not supported by the simulator`);
+
+    const quote = quoteFor(symbol);
+    if (!quote) throw apiError(422, `no market data for ${symbol}`);
+    const limitPrice = body.limit_price !== undefined ? parseFloat(body.limit_price) : null;
+    const stopPrice = body.stop_price !== undefined ? parseFloat(body.stop_price) : null;
+    if (type === 'limit' && !(limitPrice > 0)) throw apiError(422, 'limit_price is required for limit orders');
+    if (type === 'stop' && !(stopPrice > 0)) throw apiError(422, 'stop_price is required for stop orders');
+
+    const { equity, longValue, shortValue } = valueAccount();
+    const buyingPower = Math.max(0, equity * 2 - longValue + shortValue);
+    const estimatedCost = qty * (limitPrice || quote.ap);
+    if (estimatedCost > buyingPower) throw apiError(403, 'insufficient buying power');
+
+    const order = createOrder({
+        symbol, qty, side, type,
+        limitPrice, stopPrice,
+        timeInForce: body.time_in_force || 'day',
+        orderClass: body.order_class || 'simple',
+    });
+
+    if (order.orderClass === 'bracket') {
+        const stopLoss = parseFloat((body.stop_loss || {}).stop_price);
+        const takeProfitLeg = body.take_profit || {};
+        const takeProfit = parseFloat(takeProfitLeg.limit_price);
+        if (!(stopLoss > 0) || !(takeProfit > 0)) throw apiError(422, 'bracket orders require stop_loss.stop_price and take_profit.limit_price');
+        const exitSide = side === 'buy' ? 'sell' : 'buy';
+        if ((side === 'buy' && stopLoss >= takeProfit) || (side === 'sell' && stopLoss <= takeProfit)) {
+            throw apiError(422, 'stop_loss and take_profit are on the wrong side of the entry');
+        }
+        order.legs = [
+            createOrder({ symbol, qty, side: exitSide, type: 'limit', limitPrice: takeProfit, timeInForce: 'gtc', orderClass: 'bracket', status: 'held' }),
+            createOrder({ symbol, qty, side: exitSide, type: 'stop', stopPrice: stopLoss, timeInForce: 'gtc', orderClass: 'bracket', status: 'held' }),
+        ];
+    }
+
+    account.orders.push(order);
+    if (type === 'market') {
+        applyFill(order, side === 'buy' ? quote.ap : quote.bp, Date.now());
+    }
+    return serializeOrder(order);
+}
+
+/**
+ * Handles `PATCH /v2/orders/{id}`: replaces an open order or bracket leg with a copy carrying the new
+ * quantity or prices. As with Alpaca, the replacement gets a new id and the old order becomes 'replaced'.
+ * @param {object} order - The order to replace.
+ * @param {object} body - The changes in Alpaca's format (`qty`, `limit_price`, `stop_price`, `time_in_force`).
+ * @returns {object} The replacement order.
+ */
+function replaceOrder(order, body) {
+    if (!OPEN_STATUSES.has(order.status)) throw apiError(422, `order is already ${order.status}`);
+    const qty = body.qty !== undefined ? parseFloat(body.qty) : order.qty;
+    const limitPrice = body.limit_price !== undefined ? parseFloat(body.limit_price) : order.limitPrice;
+    const stopPrice = body.stop_price !== undefined ? parseFloat(body.stop_price) : order.stopPrice;
+    if (!(qty > 0)) throw apiError(422, 'qty must be > 0');
+    if (order.type === 'limit' && !(limitPrice > 0)) throw apiError(422, 'limit_price must be > 0');
+    if (order.type === 'stop' && !(stopPrice > 0)) throw apiError(422, 'stop_price must be > 0');
+
+    const now = Date.now();
+    const replacement = createOrder({
+        symbol: order.symbol, qty, side: order.side, type: order.type,
+        limitPrice, stopPrice,
+        timeInForce: body.time_in_force || order.timeInForce,
+        orderClass: order.orderClass,
+        status: order.status,
+        cursor: order.cursor,
+        legs: order.legs,
+        replaces: order.id,
+    });
+    order.status = 'replaced';
+    order.updatedAt = now;
+    order.replacedAt = now;
+    order.replacedBy = replacement.id;
+    order.legs = null;
+
+    // A leg is swapped within its bracket; a top-level order stays in the book as history.
+    const parent = account.orders.find(o => (o.legs || []).includes(order));
+    if (parent) {
+        parent.legs[parent.legs.indexOf(order)] = replacement;
+    } else {
+        account.orders.push(replacement);
+    }
+    return serializeOrder(replacement);
+}
+
+/**
+ * Handles `DELETE /v2/positions/{symbol}`: cancels the symbol's open orders and closes it at market.
+ * @param {string} symbol - The stock symbol.
+ * @returns {object} The closing order.
+ */
+function closePosition(symbol) {
+    const pos = account.positions[symbol];
+    if (!pos) throw apiError(404, 'position does not exist');
+    account.orders.filter(o => o.symbol === symbol).forEach(o => cancelOrder(o));
+    const quote = quoteFor(symbol);
+    const side = pos.qty > 0 ? 'sell' : 'buy';
+    const order = createOrder({ symbol, qty: Math.abs(pos.qty), side, type: 'market' });
+    account.orders.push(order);
+    applyFill(order, side === 'sell' ? quote.bp : quote.ap, Date.now());
+    return serializeOrder(order);
+}
+
+/**
+ * Serializes the position book into Alpaca's positions JSON.
+ * @returns {object[]} The positions as returned by `/v2/positions`.
+ */
+function serializePositions() {
+    return Object.entries(account.positions).map(([symbol, pos]) => {
+        const price = lastPrice(symbol) ?? pos.avgEntryPrice;
+        const costBasis = pos.qty * pos.avgEntryPrice;
+        const marketValue = pos.qty * price;
+        const unrealizedPl = marketValue - costBasis;
+        return {
+            symbol,
+            asset_class: 'us_equity',
+            qty: String(pos.qty),
+            side: pos.qty > 0 ? 'long' : 'short',
+            avg_entry_price: String(pos.avgEntryPrice),
+            current_price: String(price),
+            lastday_price: String(pos.lastdayPrice),
+            market_value: String(marketValue),
+            cost_basis: String(costBasis),
+            unrealized_pl: String(unrealizedPl),
+            unrealized_plpc: String(costBasis !== 0 ? unrealizedPl / Math.abs(costBasis) : 0),
+        };
+    });
+}
+
+/**
+ * Aggregates 1-minute bars into one bar per New York trading day, stamped at the day's first bar.
+ * @param {object[]} bars - The 1-minute bars, oldest first.
+ * @returns {object[]} The daily bars.
+ */
+function aggregateDailyBars(bars) {
+    const result = [];
+    let current = null;
+    for (const bar of bars) {
+        const day = getNewYorkDate(bar.t);
+        if (!current || current.day !== day) {
+            current = { day, t: bar.t, o: bar.o, h: bar.h, l: bar.l, c: bar.c, v: bar.v || 0 };
+            result.push(current);
+        } else {
+            current.h = Math.max(current.h, bar.h);
+            current.l = Math.min(current.l, bar.l);
+            current.c = bar.c;
+            current.v += bar.v || 0;
+        }
+    }
+    return result.map(({ day, ...bar }) => bar);
+}
+
+/**
+ * Handles `GET /v2/stocks/{symbol}/bars`.
+ * Follows Alpaca's semantics: bars within [start, end], oldest first from `start` unless `sort=desc`.
+ * Daily bars cover only the days in the feed's retained history.
+ * @param {string} symbol - The stock symbol.
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {object} The bars response.
+ */
+function getBars(symbol, params) {
+    const timeframe = params.get('timeframe') || '1Min';
+    const minutes = { '1Min': 1, '5Min': 5, '15Min': 15, '1Hour': 60, '1Day': null }[timeframe];
+    if (minutes === undefined) throw apiError(422, `timeframe "${timeframe}" is not supported by the simulator`);
+
+    const bars1m = feed.getBars(symbol);
+    let bars = minutes === null ? aggregateDailyBars(bars1m) : minutes === 1 ? bars1m : aggregateBars(bars1m, minutes);
+    if (minutes > 1 && bars.length > 0) {
+        // Drop the bucket that is still forming.
+        const last = bars[bars.length - 1];
+        if (new Date(last.t).getTime() + minutes * MINUTE_MS > Date.now()) bars = bars.slice(0, -1);
+    }
+
+    const start = params.get('start') ? new Date(params.get('start')).getTime() : -Infinity;
+    const end = params.get('end') ? new Date(params.get('end')).getTime() : Infinity;
+    const limit = parseInt(params.get('limit') || '1000', 10);
+    bars = bars.filter(b => { const t = new Date(b.t).getTime(); return t >= start && t <= end; });
+    bars = params.get('sort') === 'desc' ? bars.reverse().slice(0, limit) : bars.slice(0, limit);
+
+    return { symbol, bars, next_page_token: null };
+}
+
+/**
+ * Handles `GET /v1beta1/screener/stocks/most-actives` by ranking the feed's symbols by recent volume.
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {object} The screener response.
+ */
+function getMostActives(params) {
+    const top = parseInt(params.get('top') || '10', 10);
+    const by = params.get('by') === 'trades' ? 'trade_count' : 'volume';
+    const ranked = feed.symbols().map(symbol => {
+        const recent = feed.getBars(symbol).slice(-390);
+        const volume = recent.reduce((sum, b) => sum + b.v, 0);
+        // Larger trades in the pricier names, so the trades ranking differs from the volume one.
+        return { symbol, volume, trade_count: Math.round(volume / Math.max(1, Math.sqrt(recent[recent.length - 1].c))) };
+    }).sort((a, b) => b[by] - a[by]);
+    return { most_actives: ranked.slice(0, top), last_updated: new Date().toISOString() };
+}
+
+/**
+ * Handles `GET /v1beta1/screener/stocks/movers` by ranking the feed's symbols by their change over
+ * the last 390 bars (a session).
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {object} The screener response.
+ */
+function getMovers(params) {
+    const top = parseInt(params.get('top') || '10', 10);
+    const changes = feed.symbols().map(symbol => {
+        const recent = feed.getBars(symbol).slice(-390);
+        const price = recent[recent.length - 1].c;
+        const change = price - recent[0].o;
+        return { symbol, price, change, percent_change: change / recent[0].o * 100 };
+    }).sort((a, b) => b.percent_change - a.percent_change);
+    return {
+        gainers: changes.filter(c => c.change > 0).slice(0, top),
+        losers: changes.filter(c => c.change < 0).reverse().slice(0, top),
+        market_type: 'stocks',
+        last_updated: new Date().toISOString(),
+    };
+}
+
+/**
+ * Answers an Alpaca API request from the simulated broker.
+ * Mirrors `alpacaFetch`: returns the parsed JSON body, `true` for empty responses, and throws
+ * errors in the same `API Error (status): ...` format on failure.
+ * @param {string} endpoint - The API endpoint, including any query string.
+ * @param {object} [options] - The fetch options (method, body).
+ * @returns {Promise<any>} The simulated response.
+ */
+export async function simulatorFetch(endpoint, options = {}) {
+    if (!account) resetSimulator();
+    const method = (options.method || 'GET').toUpperCase();
+    const url = new URL(endpoint, 'http://simulator.local');
+    const path = url.pathname;
+    const params = url.searchParams;
+    let match;
+
+    processOrders();
+
+    if (method === 'GET' && path === '/v2/account') {
+        const { equity, longValue, shortValue } = valueAccount();
+        return {
+            id: 'simulator',
+            account_number: 'SIM000001',
+            status: 'ACTIVE',
+            currency: 'USD',
+            cash: String(account.cash),
+            equity: String(equity),
+            last_equity: String(account.lastEquity),
+            portfolio_value: String(equity),
+            long_market_value: String(longValue),
+            short_market_value: String(shortValue),
+            buying_power: String(Math.max(0, equity * 2 - longValue + shortValue)),
+            multiplier: '2',
+            pattern_day_trader: false,
+            trading_blocked: false,
+            shorting_enabled: true,
+        };
+    }
+    if (method === 'GET' && (match = path.match(/^\/v2\/assets\/([^/]+)$/))) {
+        const symbol = decodeURIComponent(match[1]).toUpperCase();
+        if (!feed.hasSymbol(symbol)) throw apiError(404, 'asset not found');
+        // Every simulated asset can be borrowed, so shorts are only limited by buying power.
+        return { id: symbol, class: 'us_equity', exchange: 'NASDAQ', symbol, status: 'active', tradable: true, marginable: true, shortable: true, easy_to_borrow: true, fractionable: true };
+    }
+    if (method === 'GET' && path === '/v2/positions') {
+        return serializePositions();
+    }
+    if (method === 'DELETE' && path === '/v2/positions') {
+        return Object.keys(account.positions).map(symbol => ({ symbol, status: 200, body: closePosition(symbol) }));
+    }
+    if ((match = path.match(/^\/v2\/positions\/([^/]+)$/))) {
+        const symbol = decodeURIComponent(match[1]).toUpperCase();
+        if (method === 'DELETE') return closePosition(symbol);
+        const position = serializePositions().find(p => p.symbol === symbol);
+        if (!position) throw apiError(404, 'position does not exist');
+        return position;
+    }
+    if (path === '/v2/orders') {
+        if (method === 'POST') return submitOrder(JSON.parse(options.body || '{}'));
+        if (method === 'DELETE') {
+            const open = account.orders.filter(o => OPEN_STATUSES.has(o.status) || (o.legs || []).some(l => OPEN_STATUSES.has(l.status)));
+            open.forEach(o => cancelOrder(o));
+            return open.map(o => ({ id: o.id, status: 200 }));
+        }
+        const status = params.get('status') || 'open';
+        const nested = params.get('nested') === 'true';
+        const limit = parseInt(params.get('limit') || '50', 10);
+        const symbols = params.get('symbols') ? params.get('symbols').split(',') : null;
+        const isOpen = (o) => OPEN_STATUSES.has(o.status);
+        let orders = nested ? account.orders : account.orders.flatMap(o => [o, ...(o.legs || [])]);
+        orders = orders
+            .filter(o => status === 'all' || (status === 'open' ? isOpen(o) : !isOpen(o)))
+            .filter(o => !symbols || symbols.includes(o.symbol));
+        return orders.slice().reverse().slice(0, limit).map(o => serializeOrder(o, nested));
+    }
+    if ((match = path.match(/^\/v2\/orders\/([^/]+)$/))) {
+        const order = findOrder(match[1]);
+        if (!order) throw apiError(404, 'order not found');
+        if (method === 'DELETE') {
+            if (!OPEN_STATUSES.has(order.status)) throw apiError(422, `order is already ${order.status}`);
+            cancelOrder(order);
+            return true;
+        }
+        if (method === 'PATCH') return replaceOrder(order, JSON.parse(options.body || '{}'));
+        return serializeOrder(order, params.get('nested') !== 'false');
+    }
+    if (method === 'GET' && (path === '/v2/account/activities/FILL' || path === '/v2/account/activities')) {
+        if (path === '/v2/account/activities' && params.get('activity_types') && !params.get('activity_types').split(',').includes('FILL')) return [];
+        const after = params.get('after') ? new Date(params.get('after')).getTime() : -Infinity;
+        const pageSize = parseInt(params.get('page_size') || '100', 10);
+        const fills = account.activities.filter(a => new Date(a.transaction_time).getTime() > after);
+        return (params.get('direction') === 'asc' ? fills : fills.slice().reverse()).slice(0, pageSize);
+    }
+    if (method === 'GET' && path === '/v2/clock') {
+        // The simulated market never closes, so the bot can be demonstrated at any hour.
+        const now = new Date();
+        return { timestamp: now.toISOString(), is_open: true, next_open: now.toISOString(), next_close: new Date(now.getTime() + 24 * 60 * MINUTE_MS).toISOString() };
+    }
+    if (method === 'GET' && path === '/v2/stocks/bars') {
+        const bars = {};
+        for (const symbol of (params.get('symbols') || '').split(',').filter(Boolean)) {
+            const symbolBars = getBars(symbol.toUpperCase(), params).bars;
+            if (symbolBars.length > 0) bars[symbol.toUpperCase()] = symbolBars;
+        }
+        return { bars, next_page_token: null };
+    }
+    if (method === 'GET' && (match = path.match(/^\/v2\/stocks\/([^/]+)\/bars$/))) {
+        return getBars(decodeURIComponent(match[1]).toUpperCase(), params);
+    }
+    if (method === 'GET' && (match = path.match(/^\/v2\/stocks\/([^/]+)\/quotes\/latest$/))) {
+        const symbol = decodeURIComponent(match[1]).toUpperCase();
+        const quote = quoteFor(symbol);
+        if (!quote) throw apiError(404, `no quote for ${symbol}`);
+        return { symbol, quote: { t: new Date().toISOString(), ap: quote.ap, as: 1, bp: quote.bp, bs: 1 } };
+    }
+    if (method === 'GET' && path === '/v1beta1/screener/stocks/most-actives') {
+        return getMostActives(params);
+    }
+    if (method === 'GET' && path === '/v1beta1/screener/stocks/movers') {
+        return getMovers(params);
+    }
+    if (method === 'GET' && path === '/v1beta1/news') {
+        return { news: [], next_page_token: null };
+    }
+
+    throw apiError(404, `the simulator does not support ${method} ${path}`);
+}
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview The position sizing models.
+ * Each model turns an entry (its price, stop distance, ATR and AI confidence) and the account equity
+ * into a number of shares. The result is then capped by the per-position maximum notional and the
+ * account's buying power, and rounded down to whole shares because Alpaca does not accept fractional
+ * quantities on bracket orders. The live trade cycle sizes every entry with the model selected in the
+ * settings, and the watchlist's sizing preview runs the same code without placing orders.
+ */
+
+import { getJournalOutcome } from './journal.js';
+import { resolveStrategyParams } from './strategies.js';
+import { MIN_AI_CONFIDENCE } from './watchlist.js';
+
+/**
+ * @typedef {object} SizingContext
+ * @property {number} equity - The account equity.
+ * @property {number} price - The expected entry price.
+ * @property {number} stopDistance - The distance from the entry to the stop loss.
+ * @property {number} atr - The Average True Range of the stock.
+ * @property {?number} confidence - The AI confidence (1-10), if any.
+ * @property {number} riskPerTrade - The percent of equity to risk per trade from the settings.
+ * @property {object[]} journal - The trade journal.
+ */
+
+/**
+ * @typedef {object} SizingModel
+ * @property {string} id - Unique identifier stored in the settings.
+ * @property {string} name - Display name.
+ * @property {string} description - One-line explanation of the sizing rule.
+ * @property {Object<string, import('./strategies.js').StrategyParam>} params - Editable parameters keyed by name.
+ * @property {function(SizingContext, object): number} size - The number of shares before constraints,
+ *   possibly fractional.
+ */
+
+/**
+ * Sizes a position to lose a percentage of equity at the stop loss.
+ * @param {SizingContext} context - The entry.
+ * @param {number} riskPct - The percent of equity to risk.
+ * @returns {number} The shares.
+ */
+function sizeForRisk({ equity, stopDistance }, riskPct) {
+    return stopDistance > 0 ? equity * (riskPct / 100) / stopDistance : 0;
+}
+
+/**
+ * Gets the win rate and average win to average loss ratio of the closed trades in the journal.
+ * @param {object[]} journal - The trade journal.
+ * @returns {{trades: number, winRate: number, payoffRatio: number}} The statistics; the rates are 0
+ *   without closed trades or without losses.
+ */
+export function getWinLossStats(journal) {
+    const closed = journal.filter(e => e.status === 'closed');
+    const wins = closed.filter(e => getJournalOutcome(e) === 'win');
+    const losses = closed.filter(e => getJournalOutcome(e) === 'loss');
+    const average = entries => entries.reduce((sum, e) => sum + Math.abs(e.pnl), 0) / entries.length;
+    return {
+        trades: closed.length,
+        winRate: closed.length > 0 ? wins.length / closed.length : 0,
+        payoffRatio: wins.length > 0 && losses.length > 0 ? average(wins) / average(losses) : 0,
+    };
+}
+
+/**
+ * The Kelly fraction of equity to risk per trade.
+ * @param {number} winRate - The share of winning trades (0-1).
+ * @param {number} payoffRatio - The average win divided by the average loss.
+ * @returns {number} The fraction, 0 when there is no edge.
+ */
+export function kellyFraction(winRate, payoffRatio) {
+    if (!(payoffRatio > 0)) return 0;
+    return Math.max(0, winRate - (1 - winRate) / payoffRatio);
+}
+
+/** @type {SizingModel[]} */
+export const SIZING_MODELS = [
+    {
+        id: 'fixedRiskAtr',
+        name: 'Fixed Risk (ATR Stop)',
+        description: 'Risks the portfolio risk per trade between the entry and the 2x ATR stop loss.',
+        params: {},
+        size: context => sizeForRisk(context, context.riskPerTrade),
+    },
+    {
+        id: 'fixedDollar',
+        name: 'Fixed Dollar',
+        description: 'Buys (or shorts) the same dollar amount of every stock.',
+        params: {
+            notional: { label: 'Position Value ($)', default: 5000, min: 0, max: 10000000, step: 100 },
+        },
+        size: ({ price }, params) => (price > 0 ? params.notional / price : 0),
+    },
+    {
+        id: 'percentEquity',
+        name: 'Percent of Equity',
+        description: 'Sizes every position to a percentage of equity, whatever its volatility.',
+        params: {
+            equityPct: { label: 'Position Value (% of equity)', default: 10, min: 0, max: 400, step: 1 },
+        },
+        size: ({ equity, price }, params) => (price > 0 ? equity * (params.equityPct / 100) / price : 0),
+    },
+    {
+        id: 'volatilityTarget',
+        name: 'Volatility Targeted',
+        description: 'Sizes the position so that a one-ATR move changes equity by the target percentage, wherever the stop is.',
+        params: {
+            targetPct: { label: 'Equity Move per ATR (%)', default: 0.25, min: 0.01, max: 5, step: 0.01 },
+        },
+        size: ({ equity, atr }, params) => (atr > 0 ? equity * (params.targetPct / 100) / atr : 0),
+    },
+    {
+        id: 'confidenceWeighted',
+        name: 'Confidence Weighted',
+        description: 'Scales the portfolio risk per trade with the AI confidence, from the minimum multiplier at the watchlist\'s minimum confidence (or less) to the full risk at 10.',
+        params: {
+            minMultiplier: { label: 'Risk Multiplier at Lowest Confidence', default: 0.5, min: 0, max: 1, step: 0.05 },
+        },
+        size(context, params) {
+            const confidence = Number.isFinite(context.confidence) ? context.confidence : MIN_AI_CONFIDENCE;
+            const weight = Math.min(1, Math.max(0, (confidence - MIN_AI_CONFIDENCE) / (10 - MIN_AI_CONFIDENCE)));
+            return sizeForRisk(context, context.riskPerTrade * (params.minMultiplier + (1 - params.minMultiplier) * weight));
+        },
+    },
+    {
+        id: 'kellyCapped',
+        name: 'Kelly (Capped)',
+        description: 'Risks a fraction of the Kelly criterion computed from the journal\'s closed trades, capped at a maximum risk. Uses the portfolio risk per trade until the journal has enough trades.',
+        params: {
+            kellyMultiplier: { label: 'Kelly Multiplier', default: 0.5, min: 0.05, max: 1, step: 0.05 },
+            maxRiskPct: { label: 'Max Risk per Trade (%)', default: 2, min: 0.1, max: 10, step: 0.1 },
+            minTrades: { label: 'Closed Trades Needed', default: 20, min: 1, max: 500, step: 1 },
+        },
+        size(context, params) {
+            const { trades, winRate, payoffRatio } = getWinLossStats(context.journal);
+            if (trades < params.minTrades) return sizeForRisk(context, Math.min(context.riskPerTrade, params.maxRiskPct));
+            const riskPct = kellyFraction(winRate, payoffRatio) * params.kellyMultiplier * 100;
+            return sizeForRisk(context, Math.min(riskPct, params.maxRiskPct));
+        },
+    },
+];
+
+/**
+ * Looks up a sizing model by id, falling back to the default model.
+ * @param {string} id - The model id.
+ * @returns {SizingModel} The model.
+ */
+export function getSizingModel(id) {
+    return SIZING_MODELS.find(m => m.id === id) || SIZING_MODELS[0];
+}
+
+/**
+ * Resolves the sizing model selected in the settings with its parameters.
+ * @param {object} settings - `state.settings`, with `sizingModel` and `sizingParams` (keyed by model id).
+ * @returns {{model: SizingModel, params: object}} The active model and its parameters.
+ */
+export function getActiveSizingModel(settings) {
+    const model = getSizingModel(settings.sizingModel);
+    return { model, params: resolveStrategyParams(model, (settings.sizingParams || {})[model.id]) };
+}
+
+/**
+ * Sizes an entry with the selected model, then applies the position value and buying power limits.
+ * @param {object} entry
+ * @param {number} entry.equity - The account equity.
+ * @param {number} [entry.buyingPower] - The account's buying power; not applied if missing.
+ * @param {number} entry.price - The expected entry price.
+ * @param {number} entry.orderPrice - The limit price, used for the value of the order.
+ * @param {number} entry.stopDistance - The distance from the entry to the stop loss.
+ * @param {number} entry.atr - The Average True Range of the stock.
+ * @param {?number} [entry.confidence] - The AI confidence.
+ * @param {object} settings - The settings.
+ * @param {object[]} [journal=[]] - The trade journal, for the Kelly model.
+ * @returns {{quantity: number, rawQuantity: number, notional: number, risk: number, limitedBy: string[], model: string}}
+ *   The whole shares to order, the model's unconstrained size, the order value, the loss at the stop,
+ *   what reduced the size and the model's name.
+ */
+export function sizePosition({ equity, buyingPower, price, orderPrice, stopDistance, atr, confidence = null }, settings, journal = []) {
+    const { model, params } = getActiveSizingModel(settings);
+    const context = { equity, price, stopDistance, atr, confidence, riskPerTrade: settings.riskPerTrade, journal };
+    const rawQuantity = Math.max(0, model.size(context, params) || 0);
+
+    let quantity = rawQuantity;
+    const limitedBy = [];
+    if (settings.maxPositionNotional > 0 && quantity * orderPrice > settings.maxPositionNotional) {
+        quantity = settings.maxPositionNotional / orderPrice;
+        limitedBy.push(`max position value $${settings.maxPositionNotional}`);
+    }
+    if (Number.isFinite(buyingPower) && quantity * orderPrice > buyingPower) {
+        quantity = Math.max(0, buyingPower) / orderPrice;
+        limitedBy.push(`buying power $${buyingPower.toFixed(2)}`);
+    }
+    quantity = Math.floor(quantity);
+    if (quantity === 0 && rawQuantity > 0) limitedBy.push('less than one whole share');
+
+    return { quantity, rawQuantity, notional: quantity * orderPrice, risk: quantity * stopDistance, limitedBy, model: model.name };
+}
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview The entry strategy registry.
+ * Each strategy declares the extra indicators it needs, its editable parameters and pure
+ * entry/exit rules evaluated against an indicator snapshot from `computeIndicators`.
+ * Entry rules are evaluated for one side at a time: 'buy' for a long entry, 'sell' for a short entry
+ * (the mirrored, bearish version of the setup).
+ * The live trade cycle and the backtester both run whichever strategy is selected in the settings.
+ */
+
+/**
+ * @typedef {object} StrategyParam
+ * @property {string} label - The label shown in the Settings tab.
+ * @property {number} default - The default value.
+ * @property {number} min - The smallest allowed value.
+ * @property {number} max - The largest allowed value.
+ * @property {number} step - The input step.
+ */
+
+/**
+ * @typedef {object} Strategy
+ * @property {string} id - Unique identifier stored in the settings.
+ * @property {string} name - Display name.
+ * @property {string} description - One-line explanation of the rules.
+ * @property {string[]} indicators - Extra indicators to request from `computeIndicators`.
+ * @property {Object<string, StrategyParam>} params - Editable parameters keyed by name.
+ * @property {function(object): object} [indicatorParams] - Maps the strategy parameters to indicator parameters.
+ * @property {function(object, object, string): {enter: boolean, reason: string}} evaluateEntry - The entry rule,
+ * called with the indicator snapshot, the parameters and the side ('buy' or 'sell').
+ * @property {function(object, object, object): ({exit: boolean, reason: string}|null)} [evaluateExit] -
+ * Optional rule for closing an open position before its bracket legs trigger. The position's `side` is
+ * the side of its entry ('buy' or 'sell').
+ */
+
+/** @type {Strategy[]} */
+export const STRATEGIES = [
+    {
+        id: 'pullbackScalp',
+        name: 'Pullback Scalp',
+        description: 'Buys a 1-minute RSI pullback while the 5-minute MACD histogram is bullish. Shorts mirror it: a 1-minute RSI bounce in a bearish trend.',
+        indicators: [],
+        params: {
+            rsiThreshold: { label: '1m RSI Below (shorts: above 100 minus this)', default: 45, min: 5, max: 95, step: 1 },
+        },
+        evaluateEntry(stock, params, side = 'buy') {
+            if (side === 'sell') {
+                const rsiBounceLevel = 100 - params.rsiThreshold;
+                return {
+                    enter: stock.macd.histogram < 0 && stock.rsi1m > rsiBounceLevel,
+                    reason: `5m MACD is bearish and 1m RSI is ${stock.rsi1m.toFixed(2)} (above ${rsiBounceLevel})`,
+                };
+            }
+            const is5minTrendBullish = stock.macd.histogram > 0;
+            const isRsiPullback = stock.rsi1m < params.rsiThreshold;
+            return {
+                enter: is5minTrendBullish && isRsiPullback,
+                reason: `5m MACD is bullish and 1m RSI is ${stock.rsi1m.toFixed(2)} (below ${params.rsiThreshold})`,
+            };
+        },
+    },
+    {
+        id: 'openingRangeBreakout',
+        name: 'Opening Range Breakout',
+        description: 'Buys a close above the opening range high (shorts a close below the low) once the range is set, unless the move is already extended. Exits if price falls back through the middle of the range.',
+        indicators: ['openingRange'],
+        params: {
+            rangeMinutes: { label: 'Range Length (min)', default: 15, min: 5, max: 60, step: 5 },
+            maxExtensionPct: { label: 'Max Extension Beyond Range (%)', default: 0.5, min: 0, max: 5, step: 0.1 },
+        },
+        indicatorParams: params => ({ openingRangeMinutes: params.rangeMinutes }),
+        evaluateEntry(stock, params, side = 'buy') {
+            const range = stock.openingRange;
+            if (!range || !range.complete) return { enter: false, reason: 'Opening range not set yet' };
+            if (side === 'sell') {
+                const extensionPct = (1 - stock.currentPrice / range.low) * 100;
+                return {
+                    enter: stock.currentPrice < range.low && stock.prevClose >= range.low && extensionPct <= params.maxExtensionPct,
+                    reason: `price $${stock.currentPrice.toFixed(2)} broke the ${params.rangeMinutes}-minute opening range low of $${range.low.toFixed(2)}`,
+                };
+            }
+            const extensionPct = (stock.currentPrice / range.high - 1) * 100;
+            return {
+                enter: stock.currentPrice > range.high && stock.prevClose <= range.high && extensionPct <= params.maxExtensionPct,
+                reason: `price $${stock.currentPrice.toFixed(2)} broke the ${params.rangeMinutes}-minute opening range high of $${range.high.toFixed(2)}`,
+            };
+        },
+        evaluateExit(position, stock) {
+            const range = stock.openingRange;
+            if (!range) return null;
+            const midpoint = (range.high + range.low) / 2;
+            const isShort = position.side === 'sell';
+            return {
+                exit: isShort ? stock.currentPrice > midpoint : stock.currentPrice < midpoint,
+                reason: `price moved back ${isShort ? 'above' : 'below'} the opening range midpoint of $${midpoint.toFixed(2)}`,
+            };
+        },
+    },
+    {
+        id: 'vwapReclaim',
+        name: 'VWAP Reclaim',
+        description: 'Buys when price closes back above the session VWAP after closing below it, with a bullish 5-minute MACD (shorts the reverse: a lost VWAP with a bearish MACD). Exits on a close back through VWAP.',
+        indicators: ['vwap'],
+        params: {
+            exitBufferPct: { label: 'Exit Buffer Beyond VWAP (%)', default: 0.1, min: 0, max: 2, step: 0.05 },
+        },
+        evaluateEntry(stock, params, side = 'buy') {
+            if (side === 'sell') {
+                const lost = stock.prevClose > stock.prevVwap && stock.currentPrice < stock.vwap;
+                return {
+                    enter: lost && stock.macd.histogram < 0,
+                    reason: `price $${stock.currentPrice.toFixed(2)} lost VWAP $${stock.vwap.toFixed(2)} with a bearish 5m MACD`,
+                };
+            }
+            const reclaimed = stock.prevClose < stock.prevVwap && stock.currentPrice > stock.vwap;
+            return {
+                enter: reclaimed && stock.macd.histogram > 0,
+                reason: `price $${stock.currentPrice.toFixed(2)} reclaimed VWAP $${stock.vwap.toFixed(2)} with a bullish 5m MACD`,
+            };
+        },
+        evaluateExit(position, stock, params) {
+            const buffer = stock.vwap * params.exitBufferPct / 100;
+            const isShort = position.side === 'sell';
+            return {
+                exit: isShort ? stock.currentPrice > stock.vwap + buffer : stock.currentPrice < stock.vwap - buffer,
+                reason: `price closed ${isShort ? 'above' : 'below'} VWAP ($${stock.vwap.toFixed(2)})`,
+            };
+        },
+    },
+    {
+        id: 'bollingerReversion',
+        name: 'Bollinger Mean Reversion',
+        description: 'Buys a close below the lower 5-minute Bollinger band while the 5-minute RSI is oversold (shorts a close above the upper band while overbought). Exits at the middle band.',
+        indicators: ['bollinger'],
+        params: {
+            period: { label: 'Band Period (5m bars)', default: 20, min: 5, max: 100, step: 1 },
+            stdDev: { label: 'Band Width (std devs)', default: 2, min: 1, max: 4, step: 0.1 },
+            maxRsi5m: { label: '5m RSI Below (shorts: above 100 minus this)', default: 35, min: 5, max: 95, step: 1 },
+        },
+        indicatorParams: params => ({ bollingerPeriod: params.period, bollingerStdDev: params.stdDev }),
+        evaluateEntry(stock, params, side = 'buy') {
+            const bands = stock.bollinger;
+            if (!bands) return { enter: false, reason: 'Not enough data for the bands' };
+            if (side === 'sell') {
+                const minRsi5m = 100 - params.maxRsi5m;
+                return {
+                    enter: stock.currentPrice > bands.upper && stock.rsi5m > minRsi5m,
+                    reason: `price $${stock.currentPrice.toFixed(2)} is above the upper band ($${bands.upper.toFixed(2)}) with 5m RSI ${stock.rsi5m.toFixed(2)}`,
+                };
+            }
+            return {
+                enter: stock.currentPrice < bands.lower && stock.rsi5m < params.maxRsi5m,
+                reason: `price $${stock.currentPrice.toFixed(2)} is below the lower band ($${bands.lower.toFixed(2)}) with 5m RSI ${stock.rsi5m.toFixed(2)}`,
+            };
+        },
+        evaluateExit(position, stock) {
+            const bands = stock.bollinger;
+            if (!bands) return null;
+            return {
+                exit: position.side === 'sell' ? stock.currentPrice <= bands.middle : stock.currentPrice >= bands.middle,
+                reason: `price reverted to the middle band ($${bands.middle.toFixed(2)})`,
+            };
+        },
+    },
+];
+
+export const DEFAULT_STRATEGY_ID = STRATEGIES[0].id;
+
+/**
+ * Looks up a strategy by id, falling back to the default strategy.
+ * @param {string} id - The strategy id.
+ * @returns {Strategy} The strategy.
+ */
+export function getStrategy(id) {
+    return STRATEGIES.find(s => s.id === id) || STRATEGIES[0];
+}
+
+/**
+ * Merges stored parameter values over a strategy's defaults, ignoring unknown or invalid values.
+ * @param {Strategy} strategy - The strategy.
+ * @param {object} [values={}] - Stored parameter values.
+ * @returns {object} A complete set of parameters.
+ */
+export function resolveStrategyParams(strategy, values = {}) {
+    const params = {};
+    for (const [key, def] of Object.entries(strategy.params)) {
+        const value = parseFloat(values[key]);
+        params[key] = Number.isFinite(value) ? value : def.default;
+    }
+    return params;
+}
+
+/**
+ * Resolves the strategy selected in the settings with its parameters.
+ * @param {object} settings - `state.settings`, with `activeStrategy` and `strategyParams` (keyed by strategy id).
+ * @returns {{strategy: Strategy, params: object}} The active strategy and its parameters.
+ */
+export function getActiveStrategy(settings) {
+    const strategy = getStrategy(settings.activeStrategy);
+    return { strategy, params: resolveStrategyParams(strategy, (settings.strategyParams || {})[strategy.id]) };
+}
+
+/**
+ * Builds the `computeIndicators` options a strategy needs.
+ * @param {Strategy} strategy - The strategy.
+ * @param {object} params - Its resolved parameters.
+ * @returns {{include: string[], params: object}} The indicator options.
+ */
+export function getIndicatorOptions(strategy, params) {
+    return {
+        include: strategy.indicators,
+        params: strategy.indicatorParams ? strategy.indicatorParams(params) : {},
+    };
+}
+
+/**
+ * Checks that an indicator snapshot has everything a strategy needs, e.g. a watchlist entry
+ * computed before the strategy was changed.
+ * @param {Strategy} strategy - The strategy.
+ * @param {object} stock - The indicator snapshot.
+ * @returns {boolean} True if every required indicator is present.
+ */
+export function hasRequiredIndicators(strategy, stock) {
+    return strategy.indicators.every(name => name in stock);
+}
@@ -1,149 +1,504 @@
 /**
  * @fileoverview Encapsulates the core trading strategies.
- * This module contains the logic for AI-driven market analysis
- * and the technical rules for entering trades (scalping).
+ * This module contains the logic for AI-driven market analysis, whose candidates are analyzed a few at
+ * a time through the request scheduler at low priority and can be cancelled when the bot stops,
+ * and runs the selected entry strategy from the registry in strategies.js (scalping).
  */
 
 import { state, setState } from './state.js';
-import { logMessage } from './ui.js';
-import { alpacaFetch, getIndicators, getAiRecommendationForStock, placeBracketOrder } from './api.js';
+import { logMessage, renderAiWatchlist, renderUniverse } from './ui.js';
+import { alpacaFetch, getIndicators, placeBracketOrder, closePositionFromApi, checkShortable } from './api.js';
+import { recordJournalEntry } from './journal.js';
+import { getAiRecommendationForStock } from './ai.js';
+import { getSymbolNews, getMarketNews, summarizeNews } from './news.js';
+import { getActiveStrategy, getIndicatorOptions, hasRequiredIndicators } from './strategies.js';
+import { getCurrentMarketPhase, MARKET_PHASES } from './market.js';
+import { approveEntry, getEntryBlock } from './risk.js';
+import { isOrderOpen, applyOrderUpdate } from './orders.js';
+import { getStreamQuote } from './stream.js';
+import { logBarCacheStats } from './barcache.js';
+import { runWithConcurrency, isCancellation } from './ratelimit.js';
+import { buildUniverse } from './universe.js';
+import { sizePosition, getActiveSizingModel } from './sizing.js';
+import { mergeAnalyses, isTradeable, isHighConfidence, isBlocked, getTradeableWatchlist, refreshWatchlistIndicators, updateWatchlistIndicators, SPARKLINE_BARS } from './watchlist.js';
+
+// Session phases in which the AI analysis runs: it can prepare the watchlist before the open,
+// but there is no point refreshing it once no new entries will be taken.
+const AI_ANALYSIS_PHASES = ['pre_market', 'open'];
+
+let analysisController = null; // The AbortController of the analysis in progress, if any
+// Symbols with an entry being sized or placed, so the trade cycle and a streamed bar cannot both enter one.
+const entriesInProgress = new Set();
+
+/**
+ * Cancels the AI analysis in progress, if any. Its queued requests are dropped and the watchlist is left as it was.
+ */
+export function cancelAiAnalysis() {
+    if (analysisController) analysisController.abort();
+}
 
 /**
  * Runs the AI analysis to update the watchlist with high-potential stocks.
+ * Nothing is done while a previous run is still in progress.
  */
 export async function runAiDrivenAnalysis() {
     if (!state.isBotRunning) return;
+    if (analysisController) {
+        logMessage("Previous AI analysis still running. Skipping this one.", "action");
+        return;
+    }
+    const { phase } = getCurrentMarketPhase();
+    if (!AI_ANALYSIS_PHASES.includes(phase)) {
+        logMessage(`Market is ${MARKET_PHASES[phase].toLowerCase()}. Skipping AI analysis.`, "action");
+        return;
+    }
     logMessage("Executing periodic AI market analysis.", "signal");
+    analysisController = new AbortController();
+    const { signal } = analysisController;
+    // Analysis traffic yields to order placement and position refreshes.
+    const request = { priority: 'low', signal };
     try {
-        // Fetch a list of the day's most active stocks as candidates
-        const moversData = await alpacaFetch('/v1beta1/screener/stocks/most-actives?top=10');
-        if (!moversData || moversData.most_actives.length === 0) {
-            logMessage("Could not identify any market movers. AI analysis paused.", "action");
+        // Build the candidate universe from the configured sources and filters, and show it before the AI stage
+        const universe = await buildUniverse(state.settings, request);
+        universe.errors.forEach(error => logMessage(`Universe source failed: ${error}`, 'error'));
+        setState({ universe });
+        renderUniverse();
+        // Pinned symbols are always analyzed; blocked ones never are.
+        const symbols = [...new Set([...state.watchlistPins, ...universe.symbols.map(s => s.symbol)])].filter(s => !isBlocked(s));
+        if (symbols.length === 0) {
+            logMessage("No candidates passed the universe filters. AI analysis paused.", "action");
             return;
         }
-        const candidates = moversData.most_actives;
+        logMessage(`Candidates: ${symbols.join(', ')} (${universe.rejected.length} filtered out of the universe).`, "action");
 
-        // Fetch recent news headlines to provide market context to the AI
-        const newsData = await alpacaFetch('/v1beta1/news?limit=50&sort=desc');
-        const headlines = (newsData.news || []).map(item => item.headline).join('\n');
-        if (!headlines) {
-            logMessage("No recent headlines found. AI will rely on technicals only.", "action");
+        // General market headlines, shared by every candidate; each also gets its own news
+        const marketNews = await getMarketNews(request);
+        if (marketNews.length === 0) {
+            logMessage("No recent market headlines found.", "action");
         }
 
-        const recommendedStocks = [];
-        for (const candidate of candidates) {
-            const symbol = candidate.symbol;
-            logMessage(`AI analyzing candidate: ${symbol}`, "action");
+        // Candidates are analyzed a few at a time; results are kept in candidate order.
+        const indicatorOptions = getAnalysisIndicatorOptions();
+        const results = new Array(symbols.length).fill(null);
+        await runWithConcurrency(symbols.map((symbol, index) => ({ symbol, index })), state.settings.analysisConcurrency, async ({ symbol, index }) => {
             try {
-                const indicators = await getIndicators(symbol);
-                if (!indicators) {
-                    logMessage(`Insufficient technical data for ${symbol}. Skipping.`, "action");
-                    continue;
-                }
-
-                const recommendation = await getAiRecommendationForStock(headlines, indicators);
-
-                // Add to list if AI recommends a BUY with sufficient confidence
-                if (recommendation && recommendation.decision === 'BUY' && recommendation.confidence >= 7) {
-                    recommendedStocks.push({ ...recommendation, ...indicators });
-                }
+                results[index] = await analyzeSymbol(symbol, { marketNews, indicatorOptions, request });
             } catch (e) {
-                logMessage(`Error analyzing ${symbol}: ${e.message}`, 'error');
+                if (!isCancellation(e)) logMessage(`Error analyzing ${symbol}: ${e.message}`, 'error');
             }
-        }
+        }, signal);
 
-        if (recommendedStocks.length > 0) {
-            const sortedRecommendations = recommendedStocks.sort((a, b) => b.confidence - a.confidence);
-            setState({ aiWatchlist: sortedRecommendations });
-            const tickers = sortedRecommendations.map(s => `${s.ticker} (Conf: ${s.confidence})`).join(', ');
+        if (signal.aborted) {
+            logMessage("AI analysis cancelled.", "action");
+            return;
+        }
+        const analyses = results.filter(Boolean);
+        setState({ aiWatchlist: mergeAnalyses(state.aiWatchlist, analyses) });
+        renderAiWatchlist();
+        if (analyses.some(isHighConfidence)) {
+            const tickers = state.aiWatchlist.map(s => `${s.ticker} ${s.decision} (Conf: ${s.confidence})`).join(', ');
             logMessage(`AI analysis complete. New watchlist: ${tickers}`, "signal");
         } else {
             logMessage("AI analysis did not yield any new high-confidence recommendations.", "action");
-            // Keep the old list if no new recommendations are found
         }
-        
-        // This function is defined in ui.js but needs to be called after state update
-        // We will import and call it in app.js after this function resolves
-        // For now, assume it will be handled by the main app logic.
-        // renderAiWatchlist(); 
+        logBarCacheStats('AI analysis');
+    } catch (e) {
+        if (isCancellation(e)) {
+            logMessage("AI analysis cancelled.", "action");
+        } else {
+            logMessage(`AI analysis failed: ${e.message}`, 'error');
+        }
+    } finally {
+        analysisController = null;
+    }
+}
+
+/**
+ * Gets the indicators computed for an analyzed symbol: whatever the selected strategy needs, so the
+ * watchlist can be scanned directly, plus the extra indicators chosen for the AI prompt.
+ * @returns {object} The options for `getIndicators`.
+ */
+function getAnalysisIndicatorOptions() {
+    const { strategy, params } = getActiveStrategy(state.settings);
+    const strategyOptions = getIndicatorOptions(strategy, params);
+    return { ...strategyOptions, include: [...strategyOptions.include, ...state.settings.aiIndicators], sparkline: SPARKLINE_BARS };
+}
 
+/**
+ * Analyzes one symbol: its indicators and news, then the AI recommendation.
+ * @param {string} symbol - The stock symbol.
+ * @param {object} context
+ * @param {object[]} context.marketNews - The general market headlines.
+ * @param {object} context.indicatorOptions - The options for `getIndicators`.
+ * @param {object} [context.request] - The request priority and cancellation signal.
+ * @returns {Promise<object|null>} The recommendation with its indicators, news, `analyzedAt` and `indicatorsAt`,
+ * whatever the decision, or null if the symbol could not be analyzed.
+ * @throws {RequestCancelledError} If the analysis was cancelled.
+ */
+async function analyzeSymbol(symbol, { marketNews, indicatorOptions, request }) {
+    logMessage(`AI analyzing candidate: ${symbol}`, "action");
+    const indicators = await getIndicators(symbol, indicatorOptions, request);
+    if (!indicators) {
+        logMessage(`Insufficient technical data for ${symbol}. Skipping.`, "action");
+        return null;
+    }
+    const { newsPerSymbol, newsLookbackHours } = state.settings;
+    // News is optional context: without it the symbol is analyzed on its technicals and the market headlines.
+    const symbolNews = await getSymbolNews(symbol, { limit: newsPerSymbol, lookbackHours: newsLookbackHours, request }).catch((e) => {
+        if (isCancellation(e)) throw e;
+        logMessage(`Could not fetch news for ${symbol}: ${e.message}`, "error");
+        return [];
+    });
+    const recommendation = await getAiRecommendationForStock(summarizeNews(symbol, symbolNews, marketNews), indicators, request);
+    if (!recommendation) return null;
+    const analyzedAt = new Date().toISOString();
+    return { ...recommendation, ...indicators, news: symbolNews, analyzedAt, indicatorsAt: analyzedAt };
+}
+
+/**
+ * Analyzes a symbol the user added to the watchlist, and lists it whatever the decision.
+ * @param {string} symbol - The stock symbol.
+ * @returns {Promise<object|null>} The new watchlist entry, or null if the symbol is blocked or could not be analyzed.
+ */
+export async function addWatchlistSymbol(symbol) {
+    if (isBlocked(symbol)) {
+        logMessage(`${symbol} is blocked. Unblock it to add it to the watchlist.`, "error");
+        return null;
+    }
+    try {
+        const marketNews = await getMarketNews();
+        const analysis = await analyzeSymbol(symbol, { marketNews, indicatorOptions: getAnalysisIndicatorOptions() });
+        if (!analysis) {
+            logMessage(`Could not analyze ${symbol}; it was not added to the watchlist.`, "error");
+            return null;
+        }
+        setState({ aiWatchlist: mergeAnalyses(state.aiWatchlist, [analysis], { source: 'manual' }) });
+        renderAiWatchlist();
+        logMessage(`Added ${symbol} to the watchlist: ${analysis.decision} (Conf: ${analysis.confidence}).`, "action");
+        return analysis;
     } catch (e) {
-        logMessage(`AI analysis failed: ${e.message}`, 'error');
+        logMessage(`Error analyzing ${symbol}: ${e.message}`, 'error');
+        return null;
     }
 }
 
 /**
- * Scans the AI watchlist for technical entry signals and executes trades.
+ * Scans the AI watchlist with the selected entry strategy and executes trades,
+ * and closes open positions on the strategy's exit signal.
+ * @param {object} [options]
+ * @param {boolean} [options.allowEntries=true] - False to only manage exits (e.g. in the closing minutes).
  */
-export async function runScalpingStrategy() {
+export async function runScalpingStrategy({ allowEntries = true } = {}) {
     logMessage("Executing scalping scan.", "signal");
-    if (state.aiWatchlist.length === 0) return;
+    const { strategy, params } = getActiveStrategy(state.settings);
+
+    if (strategy.evaluateExit) {
+        await checkStrategyExits(strategy, params);
+    }
+
+    // Bring the watchlist technicals up to date; the AI analysis only runs every few minutes.
+    if (state.aiWatchlist.length > 0) {
+        await refreshWatchlistIndicators(getIndicatorOptions(strategy, params));
+        renderAiWatchlist();
+    }
+
+    const watchlist = getTradeableWatchlist();
+    if (!allowEntries || watchlist.length === 0) return;
 
     if (state.positions.length >= state.settings.maxConcurrentScalps) {
         logMessage("Max concurrent positions reached.", "action");
         return;
     }
 
-    // First trade of the day is based purely on the AI's top recommendation
-    if (!state.isFirstTradeMadeToday) {
+    // Optionally, the first trade of the day is based purely on the AI's top recommendation
+    if (state.settings.firstTradeOnAiConviction && !state.isFirstTradeMadeToday) {
         logMessage("Attempting first trade of the day based on pure AI conviction.", "signal");
-        const stock = state.aiWatchlist[0];
-        if (stock && !state.positions.some(p => p.symbol === stock.ticker)) {
-            await executeTrade(stock);
+        const stock = watchlist[0];
+        if (stock && !isHeldOrPending(stock.ticker)) {
+            await executeTrade(stock, getEntrySide(stock));
             setState({ isFirstTradeMadeToday: true });
             return; // Exit after attempting the first trade
         }
     }
 
-    // Subsequent trades are based on a technical pullback entry signal
-    logMessage("Scanning for entries based on technical analysis.", "action");
-    for (const stock of state.aiWatchlist) {
-        if (state.positions.some(p => p.symbol === stock.ticker)) continue;
+    // Subsequent trades are based on the selected strategy's entry signal
+    logMessage(`Scanning for entries with the ${strategy.name} strategy.`, "action");
+    for (const watchlistStock of watchlist) {
+        if (isHeldOrPending(watchlistStock.ticker)) continue;
         if (state.positions.length >= state.settings.maxConcurrentScalps) break;
+        await evaluateEntrySignal(watchlistStock, strategy, params, { refresh: false });
+    }
+}
+
+/**
+ * Evaluates the strategy on a newly streamed bar: the exit rule if the symbol is held,
+ * otherwise the entry rule if it is on the watchlist and entries are allowed.
+ * @param {string} symbol - The symbol whose bar just closed.
+ */
+export async function runStrategyOnBar(symbol) {
+    if (!state.isBotRunning) return;
+    const { phase } = getCurrentMarketPhase();
+    if (phase !== 'open' && phase !== 'closing') return;
+    const { strategy, params } = getActiveStrategy(state.settings);
 
+    const position = state.positions.find(p => p.symbol === symbol);
+    if (position) {
+        if (strategy.evaluateExit) await checkStrategyExit(position, strategy, params);
+        return;
+    }
+    const watchlistStock = getTradeableWatchlist().find(s => s.ticker === symbol);
+    if (!watchlistStock || phase !== 'open' || getEntryBlock() || isHeldOrPending(symbol)) return;
+    if (state.positions.length >= state.settings.maxConcurrentScalps) return;
+    await evaluateEntrySignal(watchlistStock, strategy, params, { refresh: true });
+}
 
-        const is5minTrendBullish = stock.macd.histogram > 0;
-        const isRsiPullback = stock.rsi1m < 45; // Entry condition on 1-min chart
+/**
+ * Checks whether the bot already holds a symbol, has an entry order working for it or is placing one.
+ * @param {string} symbol - The stock symbol.
+ * @returns {boolean} True if a new entry would double up.
+ */
+function isHeldOrPending(symbol) {
+    return entriesInProgress.has(symbol)
+        || state.positions.some(p => p.symbol === symbol)
+        || state.orders.some(o => o.symbol === symbol && o.order_class === 'bracket' && isOrderOpen(o));
+}
 
-        if (is5minTrendBullish && isRsiPullback) {
-            logMessage(`Entry signal for ${stock.ticker}: 5m MACD is bullish and 1m RSI is ${stock.rsi1m.toFixed(2)} (below 45)`, 'buy');
-            await executeTrade(stock);
+/**
+ * Evaluates the entry rule for a watchlist stock and trades on a signal.
+ * @param {object} watchlistStock - The watchlist entry.
+ * @param {object} strategy - The active strategy.
+ * @param {object} params - Its parameters.
+ * @param {object} options
+ * @param {boolean} options.refresh - Recompute the indicators even if the entry has them (e.g. on a new bar).
+ */
+async function evaluateEntrySignal(watchlistStock, strategy, params, { refresh }) {
+    let stock = watchlistStock;
+    if (refresh || !hasRequiredIndicators(strategy, stock)) {
+        // Computed before the strategy was selected, or before the latest bar; fetch what it needs.
+        const indicators = await getIndicators(stock.ticker, { ...getIndicatorOptions(strategy, params), sparkline: SPARKLINE_BARS });
+        if (!indicators) return;
+        stock = { ...stock, ...indicators };
+        updateWatchlistIndicators(stock.ticker, indicators);
+    }
+
+    const side = getEntrySide(stock);
+    const signal = strategy.evaluateEntry(stock, params, side);
+    if (signal.enter) {
+        logMessage(`${side === 'sell' ? 'Short entry' : 'Entry'} signal for ${stock.ticker}: ${signal.reason}`, side);
+        await executeTrade(stock, side);
+    }
+}
+
+/**
+ * Checks whether a position was opened by the bot, i.e. its symbol has an open journal entry.
+ * Positions the user opened by hand are never closed by the strategy's exit rule.
+ * @param {string} symbol - The stock symbol.
+ * @returns {boolean} True if the bot manages the position.
+ */
+function isBotPosition(symbol) {
+    return state.journal.some(e => e.symbol === symbol && e.status === 'open');
+}
+
+/**
+ * Evaluates the strategy's exit rule for every position the bot opened and closes those that trigger it.
+ * @param {object} strategy - The active strategy.
+ * @param {object} params - Its parameters.
+ */
+async function checkStrategyExits(strategy, params) {
+    for (const position of state.positions) {
+        await checkStrategyExit(position, strategy, params);
+    }
+}
+
+/**
+ * Evaluates the strategy's exit rule for one open position and closes it if the rule triggers.
+ * Positions the bot did not open are left alone.
+ * @param {object} position - The position.
+ * @param {object} strategy - The active strategy.
+ * @param {object} params - Its parameters.
+ */
+async function checkStrategyExit(position, strategy, params) {
+    if (!isBotPosition(position.symbol)) return;
+    try {
+        const stock = await getIndicators(position.symbol, getIndicatorOptions(strategy, params));
+        if (!stock) return;
+        const side = position.side === 'short' ? 'sell' : 'buy';
+        const signal = strategy.evaluateExit({ ...position, side }, stock, params);
+        if (signal && signal.exit) {
+            logMessage(`Exit signal for ${position.symbol}: ${signal.reason}`, 'sell');
+            await closePositionFromApi(position.symbol);
         }
+    } catch (e) {
+        logMessage(`Could not check the exit rule for ${position.symbol}: ${e.message}`, 'error');
     }
 }
 
+/**
+ * The entry side for a watchlist stock: 'sell' (short) if the AI recommended a SHORT, otherwise 'buy'.
+ * @param {object} stock - The watchlist entry.
+ * @returns {string} 'buy' or 'sell'.
+ */
+function getEntrySide(stock) {
+    return stock.decision === 'SHORT' ? 'sell' : 'buy';
+}
+
+/**
+ * Sizes a trade and derives its bracket prices.
+ * Risk is a percentage of equity, the stop loss is 2x ATR from the entry
+ * and the take profit is at 1.5:1 reward to risk. For a short ('sell') the prices are mirrored:
+ * the stop is above the entry, the take profit below it.
+ * @param {object} params
+ * @param {number} params.equity - Current portfolio equity.
+ * @param {number} params.riskPerTrade - Percent of equity to risk on the trade.
+ * @param {number} params.atr - The Average True Range of the stock.
+ * @param {number} params.entryPrice - Reference price for the stop and target (the ask for a buy, the bid for a short when live).
+ * @param {number} params.bidPrice - The bid, used to place a buy limit order.
+ * @param {number} [params.askPrice] - The ask, used to place a short limit order.
+ * @param {number} params.limitOrderOffset - Percent above the bid (below the ask for a short) for the limit price.
+ * @param {string} [params.side='buy'] - 'buy' for a long entry, 'sell' for a short entry.
+ * @returns {{quantity: number, stopPrice: string, takeProfitPrice: string, limitPrice: string}} The order parameters.
+ */
+export function calculateBracket({ equity, riskPerTrade, atr, entryPrice, bidPrice, askPrice, limitOrderOffset, side = 'buy' }) {
+    const capitalToRisk = equity * (riskPerTrade / 100);
+    const stopLossDistance = 2 * atr; // Stop loss is 2x ATR
+    const quantity = stopLossDistance > 0 ? Math.floor(capitalToRisk / stopLossDistance) : 0;
+    const direction = side === 'sell' ? -1 : 1;
+
+    const stopPrice = (entryPrice - direction * stopLossDistance).toFixed(2);
+    const takeProfitPrice = (entryPrice + direction * stopLossDistance * 1.5).toFixed(2); // 1.5:1 risk/reward
+    // Place limit order slightly through the near side of the spread to increase fill chance
+    const limitPrice = side === 'sell'
+        ? ((askPrice ?? entryPrice) * (1 - (limitOrderOffset / 100))).toFixed(2)
+        : (bidPrice * (1 + (limitOrderOffset / 100))).toFixed(2);
+
+    return { quantity, stopPrice, takeProfitPrice, limitPrice };
+}
+
+/**
+ * Gets the account's buying power.
+ * @returns {Promise<number>} The buying power, NaN if the account does not report it.
+ */
+async function getBuyingPower() {
+    const account = await alpacaFetch('/v2/account');
+    return parseFloat(account && account.buying_power);
+}
+
+/**
+ * Derives an entry's bracket prices and sizes it with the selected sizing model.
+ * @param {object} stock - The watchlist entry.
+ * @param {string} side - 'buy' for a long entry, 'sell' for a short entry.
+ * @param {object} prices
+ * @param {number} prices.bidPrice - The bid.
+ * @param {number} prices.askPrice - The ask.
+ * @param {number} buyingPower - The account's buying power.
+ * @returns {{entryPrice: number, bracket: object, sizing: object}} The expected entry price, the
+ *   bracket prices from `calculateBracket` and the result of `sizePosition`.
+ */
+function sizeEntry(stock, side, { bidPrice, askPrice }, buyingPower) {
+    // A buy enters at the ask, a short at the bid
+    const entryPrice = side === 'sell' ? bidPrice : askPrice;
+    const bracket = calculateBracket({
+        equity: state.portfolio.equity,
+        riskPerTrade: state.settings.riskPerTrade,
+        atr: stock.atr,
+        entryPrice,
+        bidPrice,
+        askPrice,
+        limitOrderOffset: state.settings.limitOrderOffset,
+        side
+    });
+    // The bracket's own quantity is the fixed-risk size; the live size comes from the selected model.
+    const sizing = sizePosition({
+        equity: state.portfolio.equity,
+        buyingPower,
+        price: entryPrice,
+        orderPrice: parseFloat(bracket.limitPrice),
+        stopDistance: Math.abs(entryPrice - parseFloat(bracket.stopPrice)),
+        atr: stock.atr,
+        confidence: stock.confidence,
+    }, state.settings, state.journal);
+    return { entryPrice, bracket, sizing };
+}
 
 /**
  * Calculates trade size and places a bracket order for a given stock.
  * This function is internal to the strategy module.
  * @param {object} stock - The stock object from the AI watchlist.
+ * @param {string} [side='buy'] - 'buy' for a long entry, 'sell' for a short entry.
  */
-async function executeTrade(stock) {
+async function executeTrade(stock, side = 'buy') {
+    const symbol = stock.ticker;
+    if (entriesInProgress.has(symbol)) return;
+    entriesInProgress.add(symbol);
     try {
-        const symbol = stock.ticker;
-        const quote = await alpacaFetch(`/v2/stocks/${symbol}/quotes/latest`);
+        if (side === 'sell') {
+            // Shorts may have been turned off since the AI added the symbol.
+            if (!state.settings.enableShorts) {
+                logMessage(`Skipping short on ${symbol}: short selling is disabled.`, 'action');
+                return;
+            }
+            const { shortable, reason } = await checkShortable(symbol);
+            if (!shortable) {
+                logMessage(`Skipping short on ${symbol}: ${reason}.`, 'action');
+                return;
+            }
+        }
+
+        // A streamed quote saves a request when the symbol is streaming.
+        const streamedQuote = getStreamQuote(symbol);
+        const quote = streamedQuote ? { quote: streamedQuote } : await alpacaFetch(`/v2/stocks/${symbol}/quotes/latest`);
         if (!quote || !quote.quote || !quote.quote.ap || !quote.quote.bp) {
             throw new Error("Invalid quote received from API.");
         }
-        const currentPrice = quote.quote.ap; // Ask Price for entry calculation
 
-        const capitalToRisk = state.portfolio.equity * (state.settings.riskPerTrade / 100);
-        const stopLossDistance = 2 * stock.atr; // Stop loss is 2x ATR
-        const quantity = Math.floor(capitalToRisk / stopLossDistance);
+        const { entryPrice: currentPrice, bracket, sizing } = sizeEntry(stock, side, { bidPrice: quote.quote.bp, askPrice: quote.quote.ap }, await getBuyingPower());
+        const { stopPrice, takeProfitPrice, limitPrice } = bracket;
+        const quantity = sizing.quantity;
+        const limits = sizing.limitedBy.length > 0 ? ` (limited by ${sizing.limitedBy.join(', ')})` : '';
 
         if (quantity > 0) {
-            const stopPrice = (currentPrice - stopLossDistance).toFixed(2);
-            const takeProfitPrice = (currentPrice + (stopLossDistance * 1.5)).toFixed(2); // 1.5:1 risk/reward
-            // Place limit order slightly above the bid to increase fill chance
-            const limitPrice = (quote.quote.bp * (1 + (state.settings.limitOrderOffset / 100))).toFixed(2);
-
-            logMessage(`Sizing trade for ${symbol}: ${quantity} shares, SL @ $${stopPrice}, TP @ $${takeProfitPrice}`, 'action');
-            await placeBracketOrder(symbol, quantity, 'buy', limitPrice, stopPrice, takeProfitPrice);
+            const { approved, reason } = await approveEntry({ symbol, quantity, price: currentPrice });
+            if (!approved) {
+                logMessage(`Risk manager rejected the ${side === 'sell' ? 'short' : 'trade'} on ${symbol}: ${reason}.`, 'action');
+                return;
+            }
+            logMessage(`Sizing ${side === 'sell' ? 'short' : 'trade'} for ${symbol} (${sizing.model}): ${quantity} shares${limits}, SL @ $${stopPrice}, TP @ $${takeProfitPrice}`, 'action');
+            const order = await placeBracketOrder(symbol, quantity, side, limitPrice, stopPrice, takeProfitPrice);
+            if (order) {
+                // Listed at once, so the entry is seen as pending before the next order refresh.
+                applyOrderUpdate(order);
+                recordJournalEntry(order, stock, { limitPrice, stopPrice, takeProfitPrice });
+            }
         } else {
-             logMessage(`Trade size for ${symbol} is zero due to risk parameters. Skipping.`, 'action');
+             logMessage(`Trade size for ${symbol} is zero due to the sizing rules${limits}. Skipping.`, 'action');
         }
     } catch (e) {
-        logMessage(`Could not execute trade for ${stock.ticker}: ${e.message}`, 'error');
+        logMessage(`Could not execute trade for ${symbol}: ${e.message}`, 'error');
+    } finally {
+        entriesInProgress.delete(symbol);
     }
 }
 
+/**
+ * Sizes every watchlist entry the way the trade cycle would, without placing any order. Entries are
+ * priced at their streamed quote, or at their last close when the symbol is not streaming, and each
+ * is sized on its own against the full buying power.
+ * @returns {Promise<{model: string, buyingPower: number, rows: object[]}>} The sizing model's name, the
+ *   buying power and one row per entry: `{ symbol, side, tradeable, entryPrice, bracket, sizing }`, or
+ *   `{ symbol, side, tradeable, error }` for an entry that cannot be sized.
+ */
+export async function previewPositionSizes() {
+    const buyingPower = await getBuyingPower();
+    const rows = state.aiWatchlist.map((stock) => {
+        const side = getEntrySide(stock);
+        const row = { symbol: stock.ticker, side, tradeable: isTradeable(stock) };
+        const quote = getStreamQuote(stock.ticker);
+        const prices = quote && quote.ap && quote.bp
+            ? { bidPrice: quote.bp, askPrice: quote.ap }
+            : { bidPrice: stock.currentPrice, askPrice: stock.currentPrice };
+        if (!(prices.askPrice > 0) || !(stock.atr > 0)) return { ...row, error: 'no price or ATR' };
+        return { ...row, ...sizeEntry(stock, side, prices, buyingPower) };
+    });
+    return { model: getActiveSizingModel(state.settings).model.name, buyingPower, rows };
+}
+
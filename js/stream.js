@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Real-time streaming from Alpaca over WebSocket.
+ * Subscribes to the market data stream (minute bars and quotes) for the watchlist and open positions,
+ * keeping a rolling buffer of 1-minute bars per symbol (seeded once from the bar cache), and to the
+ * `trade_updates` stream, whose order events are pushed into `state.orders`. Listeners registered with
+ * `onStreamBar` and `onTradeUpdate` are called for every new bar and order event.
+ * Dropped connections are reopened with exponential backoff.
+ *
+ * Both stream URLs can be overridden in the settings and the WebSocket constructor passed to
+ * `startStreaming`, so the layer can be run against a local mock server.
+ */
+
+import { state } from './state.js';
+import { getActiveAlpacaCredentials } from './api.js';
+import { getCachedBars } from './barcache.js';
+import { logMessage } from './ui.js';
+import { applyOrderUpdate } from './orders.js';
+
+const MARKET_DATA_STREAM_URL = 'wss://stream.data.alpaca.markets/v2';
+const TRADE_STREAM_URLS = {
+    paper: 'wss://paper-api.alpaca.markets/stream',
+    live: 'wss://api.alpaca.markets/stream',
+};
+const MAX_BUFFER_BARS = 1000;
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+let dataConnection = null;
+let tradeConnection = null;
+let subscribedSymbols = new Set();
+const barBuffers = {}; // symbol -> 1-minute bars, oldest first, in the REST `{t, o, h, l, c, v}` shape
+const latestQuotes = {}; // symbol -> { ap, bp, t }
+const barListeners = [];
+const tradeUpdateListeners = [];
+
+/**
+ * Reads a WebSocket message as text. The trading stream sends binary frames.
+ * @param {string|Blob|ArrayBuffer} data - The message payload.
+ * @returns {Promise<string>} The text.
+ */
+async function readMessage(data) {
+    if (typeof data === 'string') return data;
+    if (data instanceof ArrayBuffer) return new TextDecoder().decode(data);
+    return data.text();
+}
+
+/**
+ * Opens a WebSocket that authenticates on connect and reconnects with exponential backoff when it drops.
+ * @param {object} options
+ * @param {string} options.name - Name used in the log.
+ * @param {string} options.url - The stream URL.
+ * @param {Function} options.WebSocketImpl - The WebSocket constructor.
+ * @param {object} options.authMessage - Sent as JSON once the socket opens.
+ * @param {function(object, object): void} options.onMessage - Called with each parsed message and the connection.
+ * @returns {{send: function(object): void, markAuthenticated: function(): void, close: function(): void, isAuthenticated: function(): boolean}}
+ * The connection. The message handler calls `markAuthenticated` when the server accepts the credentials.
+ */
+export function createStreamConnection({ name, url, WebSocketImpl, authMessage, onMessage }) {
+    let socket = null;
+    let authenticated = false;
+    let closedByUser = false;
+    let reconnectDelay = RECONNECT_BASE_MS;
+    let reconnectTimer = null;
+
+    const connection = {
+        send(message) {
+            if (socket && socket.readyState === 1) socket.send(JSON.stringify(message));
+        },
+        markAuthenticated() {
+            authenticated = true;
+            reconnectDelay = RECONNECT_BASE_MS;
+            logMessage(`${name} stream connected.`, 'action');
+        },
+        close() {
+            closedByUser = true;
+            clearTimeout(reconnectTimer);
+            if (socket) socket.close();
+        },
+        isAuthenticated: () => authenticated,
+    };
+
+    const connect = () => {
+        socket = new WebSocketImpl(url);
+        socket.onopen = () => connection.send(authMessage);
+        socket.onmessage = async (event) => {
+            try {
+                onMessage(JSON.parse(await readMessage(event.data)), connection);
+            } catch (e) {
+                logMessage(`${name} stream message error: ${e.message}`, 'error');
+            }
+        };
+        socket.onclose = () => {
+            authenticated = false;
+            if (closedByUser) return;
+            logMessage(`${name} stream disconnected. Reconnecting in ${reconnectDelay / 1000}s.`, 'error');
+            reconnectTimer = setTimeout(connect, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+        };
+        socket.onerror = () => {}; // Always followed by a close, which reconnects
+    };
+    connect();
+    return connection;
+}
+
+/**
+ * Adds a bar to a symbol's buffer, replacing a bar with the same timestamp (an updated bar).
+ * @param {string} symbol - The stock symbol.
+ * @param {object} bar - The bar in the REST shape.
+ * @returns {boolean} True if the bar is new rather than a correction of one already buffered.
+ */
+function addBar(symbol, bar) {
+    const bars = barBuffers[symbol] || (barBuffers[symbol] = []);
+    const last = bars[bars.length - 1];
+    if (last && last.t === bar.t) {
+        bars[bars.length - 1] = bar;
+        return false;
+    }
+    if (last && new Date(bar.t) < new Date(last.t)) {
+        const index = bars.findIndex(b => b.t === bar.t);
+        if (index >= 0) bars[index] = bar;
+        return false;
+    }
+    bars.push(bar);
+    if (bars.length > MAX_BUFFER_BARS) bars.splice(0, bars.length - MAX_BUFFER_BARS);
+    return true;
+}
+
+/**
+ * Fills a symbol's buffer with recent history from the bar cache, keeping any bars already streamed.
+ * @param {string} symbol - The stock symbol.
+ */
+async function seedBuffer(symbol) {
+    try {
+        const start = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+        const history = (await getCachedBars(symbol, '1Min', { start })).slice(-MAX_BUFFER_BARS);
+        const streamed = barBuffers[symbol] || [];
+        barBuffers[symbol] = [];
+        for (const bar of [...history, ...streamed]) addBar(symbol, bar);
+    } catch (e) {
+        logMessage(`Could not load bar history for ${symbol}: ${e.message}`, 'error');
+    }
+}
+
+/**
+ * Handles a market data stream message (an array of events).
+ * @param {object[]} events - The events.
+ * @param {object} connection - The connection.
+ */
+function handleDataMessage(events, connection) {
+    for (const event of events) {
+        if (event.T === 'success' && event.msg === 'authenticated') {
+            connection.markAuthenticated();
+            // Resubscribe after a reconnect, and reseed since bars may have been missed.
+            const symbols = [...subscribedSymbols];
+            subscribedSymbols = new Set();
+            updateStreamSubscriptions(symbols);
+        } else if (event.T === 'error') {
+            logMessage(`Market data stream error ${event.code}: ${event.msg}`, 'error');
+        } else if (event.T === 'b' || event.T === 'u') {
+            const bar = { t: event.t, o: event.o, h: event.h, l: event.l, c: event.c, v: event.v };
+            if (addBar(event.S, bar)) barListeners.forEach(listener => listener(event.S, bar));
+        } else if (event.T === 'q') {
+            latestQuotes[event.S] = { ap: event.ap, bp: event.bp, t: event.t };
+        }
+    }
+}
+
+/**
+ * Handles a trading stream message.
+ * @param {object} message - The message.
+ * @param {object} connection - The connection.
+ */
+function handleTradeMessage(message, connection) {
+    const data = message.data || {};
+    if (message.stream === 'authorization') {
+        if (data.status === 'authorized') {
+            connection.markAuthenticated();
+            connection.send({ action: 'listen', data: { streams: ['trade_updates'] } });
+        } else {
+            logMessage(`Trade updates stream authorization failed: ${data.message || data.status}`, 'error');
+        }
+    } else if (message.stream === 'trade_updates' && data.order) {
+        applyOrderUpdate(data.order);
+        if (data.event === 'fill' || data.event === 'partial_fill') {
+            const order = data.order;
+            logMessage(`Stream: ${data.event.replace('_', ' ')} ${order.side} ${data.qty} ${order.symbol} @ $${parseFloat(data.price).toFixed(2)}.`, order.side);
+        }
+        tradeUpdateListeners.forEach(listener => listener(data));
+    }
+}
+
+/**
+ * Connects both streams with the active Alpaca credentials.
+ * @param {object} [options]
+ * @param {Function} [options.WebSocketImpl=globalThis.WebSocket] - The WebSocket constructor, e.g. a mock.
+ */
+export function startStreaming({ WebSocketImpl = globalThis.WebSocket } = {}) {
+    stopStreaming();
+    const { environment, alpacaKey, alpacaSecret } = getActiveAlpacaCredentials();
+    const authMessage = { action: 'auth', key: alpacaKey, secret: alpacaSecret };
+    const { streamFeed, marketDataStreamUrl, tradeStreamUrl } = state.settings;
+
+    dataConnection = createStreamConnection({
+        name: 'Market data',
+        url: marketDataStreamUrl || `${MARKET_DATA_STREAM_URL}/${streamFeed}`,
+        WebSocketImpl,
+        authMessage,
+        onMessage: handleDataMessage,
+    });
+    tradeConnection = createStreamConnection({
+        name: 'Trade updates',
+        url: tradeStreamUrl || TRADE_STREAM_URLS[environment],
+        WebSocketImpl,
+        authMessage,
+        onMessage: handleTradeMessage,
+    });
+}
+
+/**
+ * Closes both streams and drops the bar buffers.
+ */
+export function stopStreaming() {
+    if (dataConnection) dataConnection.close();
+    if (tradeConnection) tradeConnection.close();
+    dataConnection = null;
+    tradeConnection = null;
+    subscribedSymbols = new Set();
+    Object.keys(barBuffers).forEach(symbol => delete barBuffers[symbol]);
+    Object.keys(latestQuotes).forEach(symbol => delete latestQuotes[symbol]);
+}
+
+/**
+ * Checks whether the market data stream is connected and authenticated.
+ * @returns {boolean} True if bars are streaming.
+ */
+export function isStreaming() {
+    return Boolean(dataConnection && dataConnection.isAuthenticated());
+}
+
+/**
+ * Subscribes the market data stream to exactly the given symbols, seeding the buffer of each new one.
+ * Symbols are remembered while disconnected and subscribed once the stream authenticates.
+ * @param {string[]} symbols - The symbols to stream.
+ */
+export async function updateStreamSubscriptions(symbols) {
+    const wanted = new Set(symbols);
+    const added = [...wanted].filter(s => !subscribedSymbols.has(s));
+    const removed = [...subscribedSymbols].filter(s => !wanted.has(s));
+    if (!dataConnection || !dataConnection.isAuthenticated()) {
+        subscribedSymbols = wanted;
+        return;
+    }
+    subscribedSymbols = wanted;
+    if (removed.length > 0) {
+        dataConnection.send({ action: 'unsubscribe', bars: removed, updatedBars: removed, quotes: removed });
+        removed.forEach(symbol => { delete barBuffers[symbol]; delete latestQuotes[symbol]; });
+    }
+    if (added.length > 0) {
+        dataConnection.send({ action: 'subscribe', bars: added, updatedBars: added, quotes: added });
+        logMessage(`Streaming ${added.join(', ')}.`, 'action');
+        for (const symbol of added) await seedBuffer(symbol);
+    }
+}
+
+/**
+ * Gets the streamed 1-minute bars of a symbol.
+ * @param {string} symbol - The stock symbol.
+ * @returns {object[]|null} The bars, oldest first, or null if the symbol is not streaming.
+ */
+export function getStreamBars(symbol) {
+    return isStreaming() && subscribedSymbols.has(symbol) && barBuffers[symbol] ? barBuffers[symbol] : null;
+}
+
+/**
+ * Gets the latest streamed quote of a symbol.
+ * @param {string} symbol - The stock symbol.
+ * @returns {{ap: number, bp: number, t: string}|null} The quote, or null if none has been received.
+ */
+export function getStreamQuote(symbol) {
+    return isStreaming() ? latestQuotes[symbol] || null : null;
+}
+
+/**
+ * Registers a listener called with `(symbol, bar)` for every new streamed 1-minute bar.
+ * @param {function(string, object): void} listener - The listener.
+ */
+export function onStreamBar(listener) {
+    barListeners.push(listener);
+}
+
+/**
+ * Registers a listener called with the event data (`event`, `order`, `price`, `qty`, ...) of every trade update.
+ * @param {function(object): void} listener - The listener.
+ */
+export function onTradeUpdate(listener) {
+    tradeUpdateListeners.push(listener);
+}
@@ -6,20 +6,45 @@
 
 import { UI } from './config.js';
 import { state } from './state.js';
+import { filterJournal, getJournalOutcome } from './journal.js';
+import { isOrderOpen, getStatusHistory, getBracketLegs } from './orders.js';
+import { computeDrawdown, computePerformanceStats } from './analytics.js';
+import { STRATEGIES, getStrategy, resolveStrategyParams } from './strategies.js';
+import { INDICATORS } from './utils.js';
+import { formatNewsAge } from './news.js';
+import { AI_PROVIDERS, PROMPT_PLACEHOLDERS, getPromptTemplates } from './ai.js';
+import { UNIVERSE_SOURCES } from './universe.js';
+import { SIZING_MODELS, getSizingModel } from './sizing.js';
+import { isTradeable, isPinned } from './watchlist.js';
 
 let performanceChart; // This module will own the chart instance.
 
+let drawdownChart;
+let backtestChart; // Created on the first backtest run.
+let chartRange = 'all';
+
+// Time windows for the performance chart's range selector, with the x-axis unit that suits each.
+const CHART_RANGES = {
+    '1d': { ms: 24 * 60 * 60 * 1000, unit: 'hour' },
+    '1w': { ms: 7 * 24 * 60 * 60 * 1000, unit: 'day' },
+    '1m': { ms: 30 * 24 * 60 * 60 * 1000, unit: 'day' },
+    'all': { ms: Infinity, unit: undefined }, // Let Chart.js pick a unit
+};
+
 /**
- * Initializes the Chart.js performance chart.
+ * Creates a Chart.js line chart of portfolio equity over time.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {string} label - The dataset label shown in tooltips.
+ * @returns {Chart} The chart instance.
  */
-export function initializeChart() {
-    const ctx = UI.performanceChartCanvas.getContext('2d');
-    performanceChart = new Chart(ctx, {
+function createEquityChart(canvas, label) {
+    const ctx = canvas.getContext('2d');
+    return new Chart(ctx, {
         type: 'line',
         data: {
             datasets: [{
-                label: 'Portfolio Value',
-                data: [], // Initially empty, will be populated by updatePerformanceChart
+                label: label,
+                data: [], // Initially empty, populated by the caller
                 borderColor: '#3b82f6',
                 backgroundColor: 'rgba(59, 130, 246, 0.1)',
                 borderWidth: 2,
@@ -53,6 +78,7 @@ export function initializeChart() {
                 tooltip: {
                     callbacks: {
                         label: function(context) {
+                            if (context.raw && context.raw.label) return context.raw.label; // Trade markers
                             let label = context.dataset.label || '';
                             if (label) {
                                 label += ': ';
@@ -69,13 +95,179 @@ export function initializeChart() {
     });
 }
 
+/**
+ * Initializes the Chart.js performance chart.
+ */
+export function initializeChart() {
+    performanceChart = createEquityChart(UI.performanceChartCanvas, 'Portfolio Value');
+    // Trade entry and exit markers, plotted on the equity curve.
+    performanceChart.data.datasets.push({
+        label: 'Entries',
+        data: [],
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 6,
+        pointBackgroundColor: '#60a5fa',
+        borderColor: '#60a5fa',
+    }, {
+        label: 'Exits',
+        data: [],
+        showLine: false,
+        pointStyle: 'rectRot',
+        pointRadius: 6,
+        pointBackgroundColor: [],
+        borderColor: [],
+    });
+
+    const ctx = UI.drawdownChartCanvas.getContext('2d');
+    drawdownChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [{
+                label: 'Drawdown',
+                data: [],
+                borderColor: '#ef4444',
+                backgroundColor: 'rgba(239, 68, 68, 0.15)',
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: 0.1,
+                fill: true,
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                x: {
+                    type: 'time',
+                    time: { unit: 'day' },
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    ticks: { color: '#94a3b8' }
+                },
+                y: {
+                    max: 0,
+                    grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                    ticks: {
+                        color: '#94a3b8',
+                        callback: function(value) {
+                            return value.toFixed(1) + '%';
+                        }
+                    }
+                }
+            },
+            plugins: {
+                legend: { display: false },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `Drawdown: ${context.parsed.y.toFixed(2)}%`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Updates the performance chart with the latest data.
  */
 export function updatePerformanceChart() {
     if (!performanceChart) return;
-    performanceChart.data.datasets[0].data = state.performanceData;
+    const { ms, unit } = CHART_RANGES[chartRange];
+    const cutoff = Date.now() - ms;
+    const equity = state.performanceData.filter(d => new Date(d.x).getTime() >= cutoff);
+
+    // Plot each marker at the equity sampled at (or just before) the trade's time.
+    const equityAt = (time) => {
+        const t = new Date(time).getTime();
+        let value = equity.length > 0 ? equity[0].y : null;
+        for (const point of equity) {
+            if (new Date(point.x).getTime() > t) break;
+            value = point.y;
+        }
+        return value;
+    };
+    const inRange = (time) => time && new Date(time).getTime() >= cutoff;
+    const entries = state.journal.filter(e => inRange(e.entryTime));
+    const exits = state.journal.filter(e => e.status === 'closed' && inRange(e.exitTime));
+
+    performanceChart.data.datasets[0].data = equity;
+    performanceChart.data.datasets[1].data = entries.map(e => ({
+        x: new Date(e.entryTime),
+        y: equityAt(e.entryTime),
+        label: `Entry: ${e.side === 'sell' ? 'SHORT' : 'BUY'} ${e.qty} ${e.symbol} @ $${e.entryPrice.toFixed(2)}`,
+    }));
+    performanceChart.data.datasets[2].data = exits.map(e => ({
+        x: new Date(e.exitTime),
+        y: equityAt(e.exitTime),
+        label: `Exit: ${e.symbol} ${e.exitReason.replace(/_/g, ' ')} @ $${e.exitPrice.toFixed(2)} (P/L $${e.pnl.toFixed(2)})`,
+    }));
+    const exitColors = exits.map(e => (e.pnl >= 0 ? '#4ade80' : '#f87171'));
+    performanceChart.data.datasets[2].pointBackgroundColor = exitColors;
+    performanceChart.data.datasets[2].borderColor = exitColors;
+    performanceChart.options.scales.x.time.unit = unit;
     performanceChart.update();
+
+    drawdownChart.data.datasets[0].data = computeDrawdown(state.performanceData).series
+        .filter(d => d.x.getTime() >= cutoff);
+    drawdownChart.options.scales.x.time.unit = unit;
+    drawdownChart.update();
+}
+
+/**
+ * Changes the time window shown on the performance and drawdown charts.
+ * @param {string} range - One of '1d', '1w', '1m' or 'all'.
+ */
+export function setChartRange(range) {
+    if (!CHART_RANGES[range]) return;
+    chartRange = range;
+    UI.chartRangeButtons.forEach(btn => {
+        const isActive = btn.dataset.range === range;
+        btn.classList.toggle('bg-blue-600', isActive);
+        btn.classList.toggle('text-white', isActive);
+        btn.classList.toggle('text-gray-400', !isActive);
+    });
+    updatePerformanceChart();
+}
+
+/**
+ * Renders the performance analytics panel from the trade journal and the equity series.
+ */
+export function renderPerformanceStats() {
+    const { trades, daily, drawdown, ratios } = computePerformanceStats(state.journal, state.performanceData);
+
+    const money = (value) => (value === null ? 'N/A' : `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+    const number = (value, digits = 2, suffix = '') => (value === null ? 'N/A' : `${value.toFixed(digits)}${suffix}`);
+    const signColor = (value) => (value === null ? 'text-white' : (value >= 0 ? 'text-green-400' : 'text-red-400'));
+    const duration = (ms) => {
+        if (ms <= 0) return 'N/A';
+        const hours = ms / (60 * 60 * 1000);
+        return hours >= 24 ? `${(hours / 24).toFixed(1)} days` : `${hours.toFixed(1)} hours`;
+    };
+
+    const stats = [
+        ['Closed Trades', `${trades.totalTrades} (${trades.wins}W / ${trades.losses}L)`, 'text-white', 'Trades with a recorded exit in the journal'],
+        ['Win Rate', number(trades.winRate, 1, '%'), 'text-white', 'Share of closed trades with a positive P/L'],
+        ['Average Win', money(trades.avgWin), 'text-green-400', 'Mean P/L of winning trades'],
+        ['Average Loss', money(trades.avgLoss), 'text-red-400', 'Mean P/L of losing trades'],
+        ['Profit Factor', number(trades.profitFactor), 'text-white', 'Gross profit divided by gross loss'],
+        ['Expectancy', `${number(trades.expectancyR, 2, 'R')} / ${money(trades.expectancy)}`, signColor(trades.expectancyR), 'Average result per trade, in multiples of the initial risk (entry to stop) and in dollars'],
+        ['Max Drawdown', number(drawdown.maxDrawdownPct, 2, '%'), 'text-orange-400', 'Largest fall of equity from a previous peak'],
+        ['Longest Drawdown', duration(drawdown.maxDrawdownDurationMs), 'text-orange-400', 'Longest time spent below a previous equity peak'],
+        ['Sharpe Ratio', number(ratios.sharpe), signColor(ratios.sharpe), 'Annualized, from daily equity returns'],
+        ['Sortino Ratio', number(ratios.sortino), signColor(ratios.sortino), 'Annualized, penalizing only downside daily returns'],
+        ['Green / Red Days', `${daily.greenDays} / ${daily.redDays}`, 'text-white', 'Days with positive / negative realized P/L'],
+        ['Best / Worst Day', `${money(daily.bestDay ? daily.bestDay.pnl : null)} / ${money(daily.worstDay ? daily.worstDay.pnl : null)}`, 'text-white', 'Highest and lowest realized P/L in a single day'],
+    ];
+
+    UI.performanceStats.innerHTML = stats.map(([label, value, color, title]) => `
+        <div title="${title}">
+            <p class="text-gray-500 text-xs">${label}</p>
+            <p class="font-semibold ${color}">${value}</p>
+        </div>
+    `).join('');
+    renderPromptVersionStats();
 }
 
 /**
@@ -106,10 +298,11 @@ export function renderPositionsTable() {
         const plColor = pl >= 0 ? 'text-green-400' : 'text-red-400';
         const stopPriceText = pos.stop_price ? `$${parseFloat(pos.stop_price).toFixed(2)}` : 'N/A';
 
+        // Alpaca reports short positions with a negative quantity.
         return `
             <tr class="border-b border-gray-700 hover:bg-slate-800">
-                <td class="px-6 py-4 font-medium text-white">${pos.symbol}</td>
-                <td class="px-6 py-4 text-right">${pos.qty}</td>
+                <td class="px-6 py-4 font-medium text-white">${pos.symbol}${shortBadge(pos.side === 'short')}</td>
+                <td class="px-6 py-4 text-right">${Math.abs(parseFloat(pos.qty))}</td>
                 <td class="px-6 py-4 text-right">$${parseFloat(pos.avg_entry_price).toFixed(2)}</td>
                 <td class="px-6 py-4 text-right">$${parseFloat(pos.current_price).toFixed(2)}</td>
                 <td class="px-6 py-4 text-right ${plColor}">$${pl.toFixed(2)} (${(parseFloat(pos.unrealized_plpc) * 100).toFixed(2)}%)</td>
@@ -120,25 +313,195 @@ export function renderPositionsTable() {
     }).join('');
 }
 
+/**
+ * Renders the Orders tab: open (or open and recent) orders, newest first, each bracket followed by
+ * its legs. Open brackets get a hidden editor row for moving the stop loss and take profit.
+ */
+export function renderOrders() {
+    const showAll = UI.orders.statusFilter.value === 'all';
+    const orders = state.orders.filter(o => showAll || isOrderOpen(o) || (o.legs || []).some(isOrderOpen));
+    UI.orders.cancelAllBtn.disabled = !state.orders.some(o => isOrderOpen(o) || (o.legs || []).some(isOrderOpen));
+    if (orders.length === 0) {
+        UI.orders.tableBody.innerHTML = `<tr><td colspan="7" class="text-center py-8 text-gray-500">No ${showAll ? '' : 'open '}orders.</td></tr>`;
+        return;
+    }
+
+    const statusColors = {
+        filled: 'bg-green-500/20 text-green-300',
+        new: 'bg-blue-500/20 text-blue-300',
+        accepted: 'bg-blue-500/20 text-blue-300',
+        partially_filled: 'bg-blue-500/20 text-blue-300',
+        held: 'bg-slate-500/20 text-slate-300',
+        rejected: 'bg-red-500/20 text-red-300',
+        replaced: 'bg-yellow-500/20 text-yellow-300',
+    };
+    const price = (value) => (value === null || value === undefined ? '-' : `$${parseFloat(value).toFixed(2)}`);
+    const orderRow = (order, isLeg) => {
+        const history = getStatusHistory(order.id).map(h => h.status);
+        const transitions = history.length > 1 ? `<p class="mt-1 text-xs text-gray-500">${history.join(' &rarr; ')}</p>` : '';
+        const orderPrice = order.type === 'limit' ? price(order.limit_price) : order.type === 'market' ? 'Market' : price(order.stop_price);
+        const actions = [];
+        if (!isLeg && order.legs && order.legs.some(isOrderOpen)) {
+            actions.push(`<button data-action="modify" data-order-id="${order.id}" class="text-blue-400 hover:underline">Modify</button>`);
+        }
+        // Held legs only become live when the entry fills; cancelling the entry cancels them.
+        if (isOrderOpen(order) && order.status !== 'held') {
+            actions.push(`<button data-action="cancel" data-order-id="${order.id}" class="text-red-500 hover:underline disabled:text-gray-500">Cancel</button>`);
+        }
+        return `
+            <tr class="border-b border-gray-700 hover:bg-slate-800${isLeg ? ' bg-slate-900/40' : ''}">
+                <td class="px-6 py-4 font-mono text-xs">${isLeg ? '' : new Date(order.submitted_at).toLocaleString()}</td>
+                <td class="px-6 py-4 font-medium text-white">${isLeg ? '<span class="pl-4 text-gray-500">&#8627;</span> ' : ''}${order.symbol}</td>
+                <td class="px-6 py-4">${order.side} ${order.type}${order.order_class === 'bracket' && !isLeg ? ' (bracket)' : ''}</td>
+                <td class="px-6 py-4 text-right">${parseFloat(order.filled_qty || 0)} / ${parseFloat(order.qty)}</td>
+                <td class="px-6 py-4 text-right">${orderPrice}</td>
+                <td class="px-6 py-4"><span class="text-xs font-semibold px-2 py-1 rounded-full ${statusColors[order.status] || 'bg-gray-500/20 text-gray-300'}">${order.status.replace(/_/g, ' ')}</span>${transitions}</td>
+                <td class="px-6 py-4 text-right space-x-3">${actions.join('')}</td>
+            </tr>
+        `;
+    };
+    const editorRow = (order) => {
+        const { stopLeg, takeProfitLeg } = getBracketLegs(order);
+        const input = (field, leg, value) => `<input type="number" step="0.01" data-field="${field}" value="${value ?? ''}" ${leg && isOrderOpen(leg) ? '' : 'disabled'}
+            class="w-28 bg-slate-800 border border-slate-600 text-white rounded-lg p-2 disabled:opacity-50 focus:ring-2 focus:ring-blue-500 focus:outline-none">`;
+        return `
+            <tr data-order-editor="${order.id}" class="hidden border-b border-gray-700 bg-slate-900/40">
+                <td colspan="7" class="px-6 py-4 text-sm text-gray-400">
+                    <div class="flex flex-wrap items-center justify-end gap-4">
+                        <label class="flex items-center gap-2">Stop Loss ${input('stopPrice', stopLeg, stopLeg && stopLeg.stop_price)}</label>
+                        <label class="flex items-center gap-2">Take Profit ${input('takeProfitPrice', takeProfitLeg, takeProfitLeg && takeProfitLeg.limit_price)}</label>
+                        <button data-action="save-bracket" data-order-id="${order.id}" class="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg">Save</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    };
+
+    // Editors that are open keep what was typed into them across refreshes.
+    const openEditors = [...UI.orders.tableBody.querySelectorAll('tr[data-order-editor]:not(.hidden)')].map(row => ({
+        id: row.dataset.orderEditor,
+        values: [...row.querySelectorAll('input[data-field]')].map(input => [input.dataset.field, input.value]),
+    }));
+    UI.orders.tableBody.innerHTML = orders.map(order => orderRow(order, false)
+        + (order.legs || []).map(leg => orderRow(leg, true)).join('')
+        + (order.legs ? editorRow(order) : '')).join('');
+    for (const { id, values } of openEditors) {
+        const row = UI.orders.tableBody.querySelector(`tr[data-order-editor="${id}"]`);
+        if (!row) continue;
+        row.classList.remove('hidden');
+        values.forEach(([field, value]) => { row.querySelector(`input[data-field="${field}"]`).value = value; });
+    }
+}
+
+/**
+ * A small label marking a short position or trade in the tables.
+ * @param {boolean} isShort - Whether the position or trade is short.
+ * @returns {string} The badge HTML, or an empty string for longs.
+ */
+function shortBadge(isShort) {
+    return isShort ? ' <span class="ml-1 text-xs font-semibold px-2 py-0.5 rounded-full bg-red-500/20 text-red-300">Short</span>' : '';
+}
+
+/**
+ * Renders the trade journal table using the filters currently set in the Journal tab.
+ * Each trade has a hidden details row with the AI reasoning and indicator snapshot, toggled by clicking the trade.
+ */
+export function renderJournal() {
+    const entries = filterJournal(state.journal, {
+        symbol: UI.journal.symbolFilter.value,
+        from: UI.journal.fromFilter.value,
+        to: UI.journal.toFilter.value,
+        outcome: UI.journal.outcomeFilter.value,
+    });
+    if (entries.length === 0) {
+        UI.journal.tableBody.innerHTML = '<tr><td colspan="9" class="text-center py-8 text-gray-500">No journal entries match the filters.</td></tr>';
+        return;
+    }
+
+    const outcomeColors = {
+        win: 'bg-green-500/20 text-green-300',
+        loss: 'bg-red-500/20 text-red-300',
+        open: 'bg-blue-500/20 text-blue-300',
+        pending: 'bg-yellow-500/20 text-yellow-300',
+    };
+    const price = (value) => (value === null || value === undefined ? '-' : `$${value.toFixed(2)}`);
+
+    UI.journal.tableBody.innerHTML = entries.map(entry => {
+        const outcome = getJournalOutcome(entry);
+        const plText = entry.pnl === null ? '-' : `$${entry.pnl.toFixed(2)}`;
+        const plColor = entry.pnl === null ? '' : (entry.pnl >= 0 ? 'text-green-400' : 'text-red-400');
+        const ind = entry.indicators || {};
+        const fmt = (value, digits) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+
+        return `
+            <tr data-journal-id="${entry.id}" class="border-b border-gray-700 hover:bg-slate-800 cursor-pointer">
+                <td class="px-6 py-4 font-mono text-xs">${new Date(entry.submittedAt).toLocaleString()}</td>
+                <td class="px-6 py-4 font-medium text-white">${entry.symbol}${shortBadge(entry.side === 'sell')}</td>
+                <td class="px-6 py-4 text-right">${entry.qty}</td>
+                <td class="px-6 py-4 text-right">${price(entry.entryPrice ?? entry.limitPrice)}</td>
+                <td class="px-6 py-4 text-right">${price(entry.exitPrice)}</td>
+                <td class="px-6 py-4">${entry.exitReason ? entry.exitReason.replace(/_/g, ' ') : '-'}</td>
+                <td class="px-6 py-4 text-right ${plColor}">${plText}</td>
+                <td class="px-6 py-4 text-right">${entry.ai.confidence ?? '-'}</td>
+                <td class="px-6 py-4"><span class="text-xs font-semibold px-2 py-1 rounded-full ${outcomeColors[outcome] || 'bg-gray-500/20 text-gray-300'}">${outcome}</span></td>
+            </tr>
+            <tr data-journal-details="${entry.id}" class="hidden border-b border-gray-700 bg-slate-900/40">
+                <td colspan="9" class="px-6 py-4 text-xs text-gray-400">
+                    <p><span class="text-gray-500">Bracket:</span> limit ${price(entry.limitPrice)}, SL ${price(entry.stopPrice)}, TP ${price(entry.takeProfitPrice)}</p>
+                    <p class="mt-1"><span class="text-gray-500">Indicators:</span> price ${fmt(ind.currentPrice, 2)}, RSI(1m) ${fmt(ind.rsi1m, 1)}, RSI(5m) ${fmt(ind.rsi5m, 1)}, ATR ${fmt(ind.atr, 3)}, MACD hist ${fmt(ind.macd && ind.macd.histogram, 4)}</p>
+                    <p class="mt-1"><span class="text-gray-500">AI reasoning:</span> ${entry.ai.reasoning || '-'}</p>
+                    ${entry.ai.provider ? `<p class="mt-1"><span class="text-gray-500">AI source:</span> ${entry.ai.provider}, prompt v${entry.ai.promptVersion}</p>` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
 /**
  * Renders the AI Watchlist based on the latest analysis.
  */
 export function renderAiWatchlist() {
+    renderWatchlistPinsBlocks();
     const container = UI.aiWatchlistContainer;
     if (state.aiWatchlist.length === 0) {
-        container.innerHTML = `<p class="text-gray-500 italic md:col-span-2 lg:col-span-3 xl:col-span-4">No high-confidence BUY signals from AI analysis.</p>`;
+        container.innerHTML = `<p class="text-gray-500 italic md:col-span-2 lg:col-span-3 xl:col-span-4">No high-confidence signals from AI analysis.</p>`;
         return;
     }
 
+    const badge = (text, color) => ` <span class="ml-1 text-xs font-semibold px-2 py-0.5 rounded-full ${color}">${text}</span>`;
     container.innerHTML = state.aiWatchlist.map(stock => `
-        <div class="bg-slate-800/50 p-4 rounded-lg border border-slate-700">
+        <div class="bg-slate-800/50 p-4 rounded-lg border ${isTradeable(stock) ? 'border-slate-700' : 'border-slate-700 opacity-60'}">
             <div class="flex justify-between items-center">
-                <h4 class="text-lg font-bold text-white">${stock.ticker}</h4>
+                <h4 class="text-lg font-bold text-white">${stock.ticker}${shortBadge(stock.decision === 'SHORT')}${isTradeable(stock) ? '' : badge(escapeHtml(stock.decision), 'bg-slate-500/20 text-gray-300')}${isPinned(stock.ticker) ? badge('Pinned', 'bg-sky-500/20 text-sky-300') : stock.source === 'manual' ? badge('Manual', 'bg-purple-500/20 text-purple-300') : ''}</h4>
                 <span class="text-xs font-semibold px-2 py-1 rounded-full ${stock.confidence >= 8 ? 'bg-green-500/20 text-green-300' : 'bg-yellow-500/20 text-yellow-300'}">
                     Confidence: ${stock.confidence}/10
                 </span>
             </div>
+            ${renderSparkline(stock.sparkline)}
             <p class="text-xs text-gray-400 mt-2 h-10 overflow-hidden">${stock.reasoning}</p>
+            ${(stock.news || []).length > 0 ? `
+            <ul class="mt-2 space-y-1 text-xs">
+                ${stock.news.slice(0, 3).map(item => `
+                <li class="truncate" title="${escapeHtml(item.headline)}">
+                    <span class="text-gray-500">${formatNewsAge(item.createdAt)}</span>
+                    ${item.url ? `<a href="${escapeHtml(item.url)}" target="_blank" rel="noopener" class="text-gray-300 hover:text-white">${escapeHtml(item.headline)}</a>` : `<span class="text-gray-300">${escapeHtml(item.headline)}</span>`}
+                </li>`).join('')}
+            </ul>` : '<p class="mt-2 text-xs text-gray-500 italic">No recent news.</p>'}
+            <div class="flex justify-between items-center mt-2 text-xs text-gray-500">
+                <span>${stock.provider ? `${stock.provider}, prompt v${stock.promptVersion}` : ''}</span>
+                <span>
+                    ${stock.analyzedAt ? `<span title="AI analysis: ${new Date(stock.analyzedAt).toLocaleString()}">AI ${formatNewsAge(stock.analyzedAt)}</span>` : ''}
+                    ${stock.indicatorsAt ? `<span title="Indicators: ${new Date(stock.indicatorsAt).toLocaleString()}"> &middot; Tech ${formatNewsAge(stock.indicatorsAt)}</span>` : ''}
+                </span>
+            </div>
+            <div class="flex justify-between items-center mt-2 text-xs">
+                <button data-action="ai-audit" data-symbol="${stock.ticker}" class="text-sky-400 hover:text-sky-300">AI log</button>
+                <span class="flex gap-3">
+                    <button data-action="${isPinned(stock.ticker) ? 'unpin' : 'pin'}" data-symbol="${stock.ticker}" class="text-gray-400 hover:text-white">${isPinned(stock.ticker) ? 'Unpin' : 'Pin'}</button>
+                    <button data-action="block" data-symbol="${stock.ticker}" class="text-gray-400 hover:text-red-400">Block</button>
+                    <button data-action="remove" data-symbol="${stock.ticker}" class="text-gray-400 hover:text-white">Remove</button>
+                </span>
+            </div>
             <div class="mt-3 pt-3 border-t border-slate-700 grid grid-cols-2 gap-2 text-xs">
                 <div title="5-minute Relative Strength Index"><span class="text-gray-500">RSI(5m):</span> <span class="font-mono text-gray-200">${stock.rsi5m.toFixed(1)}</span></div>
                 <div title="1-minute Relative Strength Index"><span class="text-gray-500">RSI(1m):</span> <span class="font-mono text-gray-200">${stock.rsi1m.toFixed(1)}</span></div>
@@ -149,6 +512,227 @@ export function renderAiWatchlist() {
     `).join('');
 }
 
+/**
+ * Draws a sparkline of recent closes, green if the price is up over the period and red if it is down.
+ * @param {number[]} [values] - The closes, oldest first.
+ * @returns {string} The SVG markup, or '' with fewer than two values.
+ */
+function renderSparkline(values) {
+    if (!values || values.length < 2) return '';
+    const width = 120;
+    const height = 28;
+    const min = Math.min(...values);
+    const range = Math.max(...values) - min || 1;
+    const points = values.map((v, i) => `${(i / (values.length - 1) * width).toFixed(1)},${(height - 2 - (v - min) / range * (height - 4)).toFixed(1)}`).join(' ');
+    const color = values[values.length - 1] >= values[0] ? '#4ade80' : '#f87171';
+    return `<svg class="mt-2 w-full h-7" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}"/></svg>`;
+}
+
+/**
+ * Lists the pinned and blocked symbols above the watchlist, each with a button to undo it.
+ */
+function renderWatchlistPinsBlocks() {
+    const chips = (symbols, action, label) => symbols.map(symbol => `
+        <span class="inline-flex items-center gap-1 bg-slate-800 rounded-full px-2 py-0.5 mr-1">${escapeHtml(symbol)}
+            <button data-action="${action}" data-symbol="${escapeHtml(symbol)}" class="text-gray-500 hover:text-white" title="${label} ${escapeHtml(symbol)}">&times;</button>
+        </span>`).join('');
+    const parts = [];
+    if (state.watchlistPins.length > 0) parts.push(`<span class="mr-2">Pinned:</span>${chips(state.watchlistPins, 'unpin', 'Unpin')}`);
+    if (state.watchlistBlocks.length > 0) parts.push(`<span class="mr-2">Blocked:</span>${chips(state.watchlistBlocks, 'unblock', 'Unblock')}`);
+    UI.watchlistPinsBlocks.innerHTML = parts.map(part => `<div class="mb-1">${part}</div>`).join('');
+}
+
+/**
+ * Shows the candidate universe last built: each symbol with its sources and filter metrics, then
+ * the symbols that were filtered out and why.
+ */
+export function renderUniverse() {
+    const universe = state.universe;
+    const container = UI.universeContainer;
+    if (!universe) return;
+    const sourceName = id => (UNIVERSE_SOURCES.find(s => s.id === id) || { name: id }).name;
+    const rows = universe.symbols.map(s => `
+        <tr class="border-b border-gray-700">
+            <td class="px-4 py-2 font-medium text-white">${escapeHtml(s.symbol)}</td>
+            <td class="px-4 py-2 text-gray-400">${s.sources.map(sourceName).join(', ')}</td>
+            <td class="px-4 py-2 text-right font-mono">$${s.price.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right font-mono">${Math.round(s.avgVolume).toLocaleString('en-US')}</td>
+            <td class="px-4 py-2 text-right font-mono">${s.atrPct.toFixed(2)}%</td>
+        </tr>`).join('');
+    container.innerHTML = `
+        <p class="text-gray-400 mb-3">${universe.symbols.length} candidates, built ${new Date(universe.builtAt).toLocaleTimeString()}.</p>
+        ${universe.symbols.length > 0 ? `
+        <div class="overflow-x-auto">
+            <table class="min-w-full text-sm text-left text-gray-300">
+                <thead class="text-xs text-gray-400 uppercase bg-gray-900/30">
+                    <tr>
+                        <th scope="col" class="px-4 py-2">Symbol</th>
+                        <th scope="col" class="px-4 py-2">Sources</th>
+                        <th scope="col" class="px-4 py-2 text-right">Price</th>
+                        <th scope="col" class="px-4 py-2 text-right">Avg Daily Volume</th>
+                        <th scope="col" class="px-4 py-2 text-right">Daily ATR</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>` : ''}
+        ${universe.rejected.length > 0 ? `
+        <details class="mt-3 text-xs text-gray-500">
+            <summary class="cursor-pointer">${universe.rejected.length} filtered out</summary>
+            <ul class="mt-2 space-y-1">${universe.rejected.map(r => `<li>${escapeHtml(r.symbol)}: ${escapeHtml(r.reason)}</li>`).join('')}</ul>
+        </details>` : ''}
+        ${universe.errors.length > 0 ? `<p class="mt-3 text-xs text-red-400">${universe.errors.map(escapeHtml).join('<br>')}</p>` : ''}
+    `;
+}
+
+/**
+ * Escapes text for insertion into HTML.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Shows the audit log of the AI calls about a watchlist symbol below the watchlist.
+ * @param {string} symbol - The symbol.
+ * @param {object[]} calls - Its calls from the audit log, newest first.
+ */
+export function renderAiAuditLog(symbol, calls) {
+    const panel = UI.aiAuditPanel;
+    panel.classList.remove('hidden');
+    const header = `
+        <div class="flex justify-between items-center mb-3">
+            <h4 class="text-lg font-semibold text-white">AI log: ${escapeHtml(symbol)}</h4>
+            <button data-action="close-ai-audit" class="text-sm text-gray-400 hover:text-white">Close</button>
+        </div>`;
+    if (calls.length === 0) {
+        panel.innerHTML = `${header}<p class="text-gray-500 italic text-sm">No AI calls recorded for ${escapeHtml(symbol)}.</p>`;
+        return;
+    }
+    panel.innerHTML = header + calls.map(call => {
+        const decision = call.decision ? `${call.decision.decision} (${call.decision.confidence}/10)` : (call.error ? 'request failed' : 'invalid answer');
+        const tokens = call.usage ? `${call.usage.promptTokens} + ${call.usage.outputTokens} tokens` : 'tokens n/a';
+        const attempts = call.attempts.map((attempt, i) => `
+            <p class="mt-2 text-gray-500">Attempt ${i + 1} (${attempt.latencyMs} ms)${attempt.errors.length ? `: ${escapeHtml(attempt.errors.join('; '))}` : ''}</p>
+            <pre class="whitespace-pre-wrap bg-slate-900/60 p-2 rounded">${escapeHtml(typeof attempt.rawOutput === 'string' ? attempt.rawOutput : JSON.stringify(attempt.rawOutput, null, 2))}</pre>
+        `).join('');
+        return `
+            <details class="bg-slate-800/50 p-3 rounded-lg border border-slate-700 mb-2 text-xs text-gray-300">
+                <summary class="cursor-pointer">
+                    ${new Date(call.time).toLocaleString()} - ${escapeHtml(call.provider)}${call.role === 'comparison' ? ' (comparison)' : ''}, prompt v${call.promptVersion}:
+                    <span class="font-semibold text-white">${escapeHtml(decision)}</span>, ${call.latencyMs} ms, ${tokens}
+                </summary>
+                ${call.decision ? `<p class="mt-2"><span class="text-gray-500">Reasoning:</span> ${escapeHtml(call.decision.reasoning)}</p>` : ''}
+                ${call.error ? `<p class="mt-2 text-red-400">${escapeHtml(call.error)}</p>` : ''}
+                ${attempts}
+                <p class="mt-2 text-gray-500">Prompt (model ${escapeHtml(call.model || 'n/a')})</p>
+                <pre class="whitespace-pre-wrap bg-slate-900/60 p-2 rounded">${escapeHtml(call.prompt)}</pre>
+            </details>
+        `;
+    }).join('');
+}
+
+/**
+ * Shows the dry-run sizing of the watchlist entries below the watchlist.
+ * @param {{model: string, buyingPower: number, rows: object[]}} preview - The output of `previewPositionSizes`.
+ */
+export function renderSizingPreview({ model, buyingPower, rows }) {
+    const panel = UI.sizingPreview;
+    panel.classList.remove('hidden');
+    const header = `
+        <div class="flex justify-between items-center mb-3">
+            <h4 class="text-lg font-semibold text-white">Position sizes: ${escapeHtml(model)}</h4>
+            <button data-action="close-sizing-preview" class="text-sm text-gray-400 hover:text-white">Close</button>
+        </div>
+        <p class="text-xs text-gray-400 mb-3">Dry run, no orders placed. Buying power ${Number.isFinite(buyingPower) ? `$${buyingPower.toFixed(2)}` : 'n/a'}; each entry is sized on its own.</p>`;
+    if (rows.length === 0) {
+        panel.innerHTML = `${header}<p class="text-gray-500 italic text-sm">The watchlist is empty.</p>`;
+        return;
+    }
+    const body = rows.map((row) => {
+        const side = row.side === 'sell' ? 'Short' : 'Long';
+        const symbol = `<td class="px-4 py-2 font-medium text-white">${escapeHtml(row.symbol)}${row.tradeable ? '' : ' <span class="text-xs text-gray-500">(HOLD)</span>'}</td>`;
+        if (row.error) {
+            return `<tr class="border-b border-gray-700">${symbol}<td class="px-4 py-2">${side}</td><td colspan="5" class="px-4 py-2 text-gray-500">${escapeHtml(row.error)}</td></tr>`;
+        }
+        const { entryPrice, bracket, sizing } = row;
+        return `
+        <tr class="border-b border-gray-700">
+            ${symbol}
+            <td class="px-4 py-2">${side}</td>
+            <td class="px-4 py-2 text-right font-mono">$${entryPrice.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right font-mono">${sizing.quantity}${sizing.rawQuantity > sizing.quantity ? ` <span class="text-xs text-gray-500">of ${sizing.rawQuantity.toFixed(2)}</span>` : ''}</td>
+            <td class="px-4 py-2 text-right font-mono">$${sizing.notional.toFixed(2)}</td>
+            <td class="px-4 py-2 text-right font-mono">$${sizing.risk.toFixed(2)} <span class="text-xs text-gray-500">SL $${bracket.stopPrice}</span></td>
+            <td class="px-4 py-2 text-xs text-gray-400">${escapeHtml(sizing.limitedBy.join(', ') || '-')}</td>
+        </tr>`;
+    }).join('');
+    panel.innerHTML = `${header}
+        <div class="overflow-x-auto">
+            <table class="min-w-full text-sm text-left text-gray-300">
+                <thead class="text-xs text-gray-400 uppercase bg-gray-900/30">
+                    <tr>
+                        <th scope="col" class="px-4 py-2">Symbol</th>
+                        <th scope="col" class="px-4 py-2">Side</th>
+                        <th scope="col" class="px-4 py-2 text-right">Entry</th>
+                        <th scope="col" class="px-4 py-2 text-right">Shares</th>
+                        <th scope="col" class="px-4 py-2 text-right">Value</th>
+                        <th scope="col" class="px-4 py-2 text-right">Risk at Stop</th>
+                        <th scope="col" class="px-4 py-2">Limited By</th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Renders the results of a backtest run: summary figures, equity curve and trade list.
+ * @param {{trades: object[], equityCurve: {x: Date, y: number}[], summary: object}} result - The output of `runBacktest`.
+ */
+export function renderBacktestResults({ trades, equityCurve, summary }) {
+    if (!backtestChart) {
+        backtestChart = createEquityChart(UI.backtest.chartCanvas, 'Backtest Equity');
+        backtestChart.options.scales.x.time.unit = undefined; // Let Chart.js pick a unit for intraday data
+    }
+    backtestChart.data.datasets[0].data = equityCurve;
+    backtestChart.update();
+
+    const money = (value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const plColor = summary.netPnl >= 0 ? 'text-green-400' : 'text-red-400';
+    const stats = [
+        ['Trades', summary.totalTrades, 'text-white'],
+        ['Win Rate', `${summary.winRate.toFixed(1)}% (${summary.wins}W / ${summary.losses}L)`, 'text-white'],
+        ['Net P/L', money(summary.netPnl), plColor],
+        ['Return', `${summary.returnPct.toFixed(2)}%`, plColor],
+        ['Final Equity', money(summary.finalEquity), 'text-white'],
+        ['Max Drawdown', `${summary.maxDrawdownPct.toFixed(2)}%`, 'text-orange-400'],
+    ];
+    UI.backtest.summary.innerHTML = stats.map(([label, value, color]) => `
+        <div>
+            <p class="text-gray-500">${label}</p>
+            <p class="text-lg font-semibold ${color}">${value}</p>
+        </div>
+    `).join('');
+
+    if (trades.length === 0) {
+        UI.backtest.tradesTableBody.innerHTML = '<tr><td colspan="7" class="text-center py-8 text-gray-500">No backtest trades.</td></tr>';
+        return;
+    }
+    UI.backtest.tradesTableBody.innerHTML = trades.map(trade => `
+        <tr class="border-b border-gray-700 hover:bg-slate-800">
+            <td class="px-6 py-4 font-medium text-white">${trade.symbol}${shortBadge(trade.side === 'sell')}</td>
+            <td class="px-6 py-4 font-mono text-xs">${new Date(trade.entryTime).toLocaleString()}</td>
+            <td class="px-6 py-4 text-right">${trade.qty}</td>
+            <td class="px-6 py-4 text-right">$${trade.entryPrice.toFixed(2)}</td>
+            <td class="px-6 py-4 text-right">$${trade.exitPrice.toFixed(2)}</td>
+            <td class="px-6 py-4">${trade.exitReason.replace(/_/g, ' ')}</td>
+            <td class="px-6 py-4 text-right ${trade.pnl >= 0 ? 'text-green-400' : 'text-red-400'}">$${trade.pnl.toFixed(2)} (${trade.pnlPct.toFixed(2)}%)</td>
+        </tr>
+    `).join('');
+}
 
 /**
  * Adds a message to the event log.
@@ -186,6 +770,163 @@ export function updateStatus(text, color) {
     UI.statusDot.className = `h-3 w-3 rounded-full ${color} mr-2`;
 }
 
+/**
+ * Shows the Reset Halt button while the risk manager has halted new entries, with the reason as its tooltip.
+ */
+export function updateRiskHaltControls() {
+    UI.resetRiskHaltBtn.classList.toggle('hidden', !state.riskHalt);
+    UI.resetRiskHaltBtn.title = state.riskHalt ? `Halted ${new Date(state.riskHalt.at).toLocaleString()}: ${state.riskHalt.reason}` : '';
+}
+
+/**
+ * Shows the live-trading banner next to the status indicator when the bot is set to trade a live Alpaca account.
+ */
+export function updateEnvironmentBanner() {
+    const isLive = state.settings.environment === 'live' && state.settings.broker !== 'simulator';
+    UI.liveModeBanner.classList.toggle('hidden', !isLive);
+}
+
+/**
+ * Fills the Strategy settings card: the strategy list, the selected strategy's description
+ * and an input for each of its parameters, prefilled with the saved values.
+ * @param {string} strategyId - The strategy to show.
+ */
+export function renderStrategySettings(strategyId) {
+    if (UI.settings.strategy.options.length === 0) {
+        UI.settings.strategy.innerHTML = STRATEGIES.map(s => `<option value="${s.id}">${s.name}</option>`).join('');
+    }
+    const strategy = getStrategy(strategyId);
+    const params = resolveStrategyParams(strategy, (state.settings.strategyParams || {})[strategy.id]);
+    UI.settings.strategy.value = strategy.id;
+    UI.settings.strategyDescription.textContent = strategy.description;
+    UI.settings.strategyParams.innerHTML = Object.entries(strategy.params).map(([key, def]) => `
+        <div>
+            <label for="strategy-param-${key}" class="block mb-2 text-sm font-medium text-gray-400">${def.label}</label>
+            <input type="number" id="strategy-param-${key}" data-param="${key}" value="${params[key]}"
+                min="${def.min}" max="${def.max}" step="${def.step}"
+                class="w-full bg-slate-800 border border-slate-600 text-white rounded-lg p-3 focus:ring-2 focus:ring-blue-500 focus:outline-none">
+        </div>
+    `).join('');
+}
+
+/**
+ * Fills the sizing model select and renders the parameter inputs of the selected model.
+ * @param {string} modelId - The selected sizing model.
+ */
+export function renderSizingSettings(modelId) {
+    if (UI.settings.sizingModel.options.length === 0) {
+        UI.settings.sizingModel.innerHTML = SIZING_MODELS.map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+    }
+    const model = getSizingModel(modelId);
+    const params = resolveStrategyParams(model, (state.settings.sizingParams || {})[model.id]);
+    UI.settings.sizingModel.value = model.id;
+    UI.settings.sizingModelDescription.textContent = model.description;
+    UI.settings.sizingParams.innerHTML = Object.entries(model.params).map(([key, def]) => `
+        <div>
+            <label for="sizing-param-${key}" class="block mb-2 text-sm font-medium text-gray-400">${def.label}</label>
+            <input type="number" id="sizing-param-${key}" data-param="${key}" value="${params[key]}"
+                min="${def.min}" max="${def.max}" step="${def.step}"
+                class="w-full bg-slate-800 border border-slate-600 text-white rounded-lg p-3 focus:ring-2 focus:ring-blue-500 focus:outline-none">
+        </div>
+    `).join('');
+}
+
+/**
+ * Renders a checkbox for each optional indicator that can be added to the AI prompt, checking the selected ones.
+ * @param {string[]} selected - The names of the selected indicators.
+ */
+export function renderAiIndicatorSettings(selected) {
+    UI.settings.aiIndicators.innerHTML = Object.entries(INDICATORS).map(([name, indicator]) => `
+        <label class="flex items-center gap-2 text-sm text-gray-400">
+            <input type="checkbox" data-indicator="${name}" ${selected.includes(name) ? 'checked' : ''}
+                class="h-4 w-4 rounded bg-slate-800 border-slate-600">
+            ${indicator.label}
+        </label>
+    `).join('');
+}
+
+/**
+ * Renders the AI provider select and a comparison checkbox for each provider.
+ * @param {string} providerId - The selected provider.
+ * @param {string[]} compare - The providers also asked for comparison.
+ */
+export function renderAiProviderSettings(providerId, compare) {
+    if (UI.settings.aiProvider.options.length === 0) {
+        UI.settings.aiProvider.innerHTML = AI_PROVIDERS.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+    }
+    UI.settings.aiProvider.value = providerId;
+    UI.settings.aiCompareProviders.innerHTML = AI_PROVIDERS.map(p => `
+        <label class="flex items-center gap-2 text-sm text-gray-400">
+            <input type="checkbox" data-provider="${p.id}" ${compare.includes(p.id) ? 'checked' : ''}
+                class="h-4 w-4 rounded bg-slate-800 border-slate-600">
+            ${p.name}
+        </label>
+    `).join('');
+}
+
+/**
+ * Renders the universe source checkboxes.
+ * @param {string[]} selected - The ids of the selected sources.
+ */
+export function renderUniverseSettings(selected) {
+    UI.settings.universeSources.innerHTML = UNIVERSE_SOURCES.map(s => `
+        <label class="flex items-center gap-2 text-sm text-gray-400">
+            <input type="checkbox" data-source="${s.id}" ${selected.includes(s.id) ? 'checked' : ''}
+                class="h-4 w-4 rounded bg-slate-800 border-slate-600">
+            ${s.name}
+        </label>
+    `).join('');
+}
+
+/**
+ * Shows the AI request and validation counters of each provider used.
+ */
+export function renderAiMetrics() {
+    const entries = Object.entries(state.aiMetrics);
+    UI.settings.aiMetrics.textContent = entries.length === 0
+        ? 'No AI requests yet.'
+        : entries.map(([id, m]) => `${id}: ${m.requests} requests, ${m.validationFailures} invalid answers, ${m.repaired} repaired, ${m.rejected} rejected`).join(' | ');
+}
+
+/**
+ * Fills the prompt version selects from the saved versions and shows the active version's template.
+ */
+export function renderPromptSettings() {
+    const templates = getPromptTemplates();
+    const options = templates.map(t => `<option value="${t.version}">v${t.version}${t.createdAt ? ` (${new Date(t.createdAt).toLocaleDateString()})` : ' (built-in)'}</option>`).join('');
+    UI.settings.aiPromptVersion.innerHTML = options;
+    UI.settings.aiPromptAbVersion.innerHTML = `<option value="0">None</option>${options}`;
+    UI.settings.aiPromptVersion.value = state.settings.aiPromptVersion;
+    UI.settings.aiPromptAbVersion.value = state.settings.aiPromptAbVersion;
+    showPromptTemplate(state.settings.aiPromptVersion);
+    UI.settings.aiPromptPlaceholders.textContent = `Placeholders: ${PROMPT_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}`;
+}
+
+/**
+ * Shows a prompt version's template in the editor.
+ * @param {number} version - The version.
+ */
+export function showPromptTemplate(version) {
+    const templates = getPromptTemplates();
+    UI.settings.aiPromptTemplate.value = (templates.find(t => t.version === version) || templates[0]).template;
+}
+
+/**
+ * Shows the closed trades, win rate and P/L of each prompt version that produced trades.
+ */
+function renderPromptVersionStats() {
+    const byVersion = {};
+    for (const entry of state.journal.filter(e => e.status === 'closed' && e.ai && e.ai.promptVersion)) {
+        const stats = byVersion[entry.ai.promptVersion] || (byVersion[entry.ai.promptVersion] = { trades: 0, wins: 0, pnl: 0 });
+        stats.trades++;
+        if (entry.pnl > 0) stats.wins++;
+        stats.pnl += entry.pnl;
+    }
+    const rows = Object.entries(byVersion).map(([version, s]) =>
+        `<p>v${version}: ${s.trades} trades, ${(s.wins / s.trades * 100).toFixed(1)}% win rate, <span class="${s.pnl >= 0 ? 'text-green-400' : 'text-red-400'}">${s.pnl < 0 ? '-' : ''}$${Math.abs(s.pnl).toFixed(2)}</span> P/L</p>`);
+    UI.settings.aiPromptStats.innerHTML = rows.length > 0 ? rows.join('') : '<p class="text-gray-500">No closed trades from a versioned prompt yet.</p>';
+}
+
 /**
  * Sets the text on the loading overlay.
  * @param {string} text The text to display.
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview The candidate universe builder.
+ * The symbols handed to the AI analysis are gathered from the sources selected in the settings
+ * (the most-actives screener by volume or by trades, the top gainers and losers of the movers
+ * screener, the user's custom list and built-in static lists), merged in turn so every source is
+ * represented, then filtered by price range, average daily volume and daily ATR% (from one
+ * multi-symbol daily bars request), by the exclude list, leveraged ETFs and OTC assets, and capped
+ * at the maximum universe size.
+ */
+
+import { alpacaFetch } from './api.js';
+import { calculateATR, getNewYorkDate } from './utils.js';
+
+const DAILY_LOOKBACK_DAYS = 30; // Calendar days of daily bars, enough for 20 sessions
+const AVG_VOLUME_DAYS = 20;
+const ATR_DAYS = 14;
+const BARS_SYMBOLS_PER_REQUEST = 100;
+
+// Built-in symbol lists that can be added to the universe.
+export const STATIC_LISTS = {
+    megaCaps: { name: 'Mega caps', symbols: ['AAPL', 'MSFT', 'NVDA', 'AMZN', 'GOOGL', 'META', 'TSLA', 'AVGO', 'BRK.B', 'JPM', 'LLY', 'V', 'UNH', 'XOM', 'MA', 'COST', 'HD', 'PG', 'JNJ', 'NFLX'] },
+    semiconductors: { name: 'Semiconductors', symbols: ['NVDA', 'AMD', 'AVGO', 'INTC', 'QCOM', 'MU', 'TXN', 'AMAT', 'LRCX', 'KLAC', 'MRVL', 'ADI', 'ON', 'NXPI', 'SMCI'] },
+    indexEtfs: { name: 'Index ETFs', symbols: ['SPY', 'QQQ', 'IWM', 'DIA', 'XLF', 'XLE', 'XLK', 'SMH'] },
+};
+
+// Leveraged and inverse ETFs, whose daily reset and decay make them poor scalping candidates.
+export const LEVERAGED_ETFS = new Set([
+    'TQQQ', 'SQQQ', 'QLD', 'QID', 'UPRO', 'SPXU', 'SPXL', 'SPXS', 'SSO', 'SDS', 'SH', 'PSQ', 'UDOW', 'SDOW',
+    'TNA', 'TZA', 'SOXL', 'SOXS', 'TECL', 'TECS', 'FNGU', 'FNGD', 'LABU', 'LABD', 'FAS', 'FAZ',
+    'NUGT', 'DUST', 'JNUG', 'JDST', 'UVXY', 'SVXY', 'VXX', 'UCO', 'SCO', 'BOIL', 'KOLD', 'YINN', 'YANG',
+    'TSLL', 'TSLQ', 'NVDL', 'NVDQ', 'CONL', 'MSTU', 'MSTZ', 'BITX', 'TMF', 'TMV',
+]);
+
+/**
+ * @typedef {object} UniverseSource
+ * @property {string} id - Unique identifier stored in the settings.
+ * @property {string} name - Display name.
+ * @property {function(object): Promise<string[]>} load - Gets the source's symbols, best first, from
+ *   a context of `{ settings, request, getMovers }`.
+ */
+
+/**
+ * Gets symbols from the most-actives screener.
+ * @param {string} by - 'volume' or 'trades'.
+ * @param {object} context - The build context.
+ * @returns {Promise<string[]>} The symbols.
+ */
+async function loadMostActives(by, { settings, request }) {
+    const response = await alpacaFetch(`/v1beta1/screener/stocks/most-actives?by=${by}&top=${settings.universeScreenerTop}`, request);
+    return ((response && response.most_actives) || []).map(s => s.symbol);
+}
+
+/** @type {UniverseSource[]} */
+export const UNIVERSE_SOURCES = [
+    { id: 'mostActivesVolume', name: 'Most active by volume', load: context => loadMostActives('volume', context) },
+    { id: 'mostActivesTrades', name: 'Most active by trades', load: context => loadMostActives('trades', context) },
+    { id: 'gainers', name: 'Top gainers', load: async context => ((await context.getMovers()).gainers || []).map(s => s.symbol) },
+    { id: 'losers', name: 'Top losers', load: async context => ((await context.getMovers()).losers || []).map(s => s.symbol) },
+    { id: 'custom', name: 'Custom list', load: async ({ settings }) => settings.universeCustomSymbols },
+    ...Object.entries(STATIC_LISTS).map(([id, list]) => ({ id, name: list.name, load: async () => list.symbols })),
+];
+
+/**
+ * Parses a user-entered list of symbols.
+ * @param {string} text - Symbols separated by commas, spaces or new lines.
+ * @returns {string[]} The unique upper-cased symbols.
+ */
+export function parseSymbolList(text) {
+    return [...new Set(String(text || '').split(/[\s,;]+/).map(s => s.trim().toUpperCase()).filter(Boolean))];
+}
+
+/**
+ * Merges the sources' symbol lists, taking one symbol from each source in turn.
+ * @param {{id: string, symbols: string[]}[]} lists - The lists, in source order.
+ * @returns {Map<string, string[]>} Symbol -> the ids of the sources that listed it, in merge order.
+ */
+function mergeSources(lists) {
+    const merged = new Map();
+    const longest = Math.max(0, ...lists.map(l => l.symbols.length));
+    for (let rank = 0; rank < longest; rank++) {
+        for (const { id, symbols } of lists) {
+            const symbol = symbols[rank];
+            if (!symbol) continue;
+            if (!merged.has(symbol)) merged.set(symbol, []);
+            merged.get(symbol).push(id);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Computes the filter metrics of a symbol from its daily bars.
+ * @param {object[]} bars - Daily bars, oldest first.
+ * @returns {?{price: number, avgVolume: number, atrPct: number}} The metrics, or null without bars.
+ */
+export function computeDailyMetrics(bars) {
+    if (bars.length === 0) return null;
+    const price = bars[bars.length - 1].c;
+    // Today's bar is still forming, so it is left out of the average unless it is all there is.
+    const today = getNewYorkDate(new Date());
+    const complete = bars.filter(b => getNewYorkDate(b.t) !== today);
+    const volumeBars = (complete.length > 0 ? complete : bars).slice(-AVG_VOLUME_DAYS);
+    const avgVolume = volumeBars.reduce((sum, b) => sum + (b.v || 0), 0) / volumeBars.length;
+    const recent = bars.slice(-(ATR_DAYS + 1));
+    const atr = recent.length > 1 ? calculateATR(recent, recent.length - 1) : recent[0].h - recent[0].l;
+    return { price, avgVolume, atrPct: price > 0 ? atr / price * 100 : 0 };
+}
+
+/**
+ * Downloads recent daily bars for many symbols with the multi-symbol bars endpoint.
+ * @param {string[]} symbols - The symbols.
+ * @param {object} [request] - The request priority and cancellation signal.
+ * @returns {Promise<Object<string, object[]>>} Symbol -> daily bars, oldest first.
+ */
+async function fetchDailyBars(symbols, request) {
+    const start = new Date(Date.now() - DAILY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const result = {};
+    for (let i = 0; i < symbols.length; i += BARS_SYMBOLS_PER_REQUEST) {
+        let pageToken = null;
+        do {
+            const params = { symbols: symbols.slice(i, i + BARS_SYMBOLS_PER_REQUEST).join(','), timeframe: '1Day', start, limit: 10000, adjustment: 'raw' };
+            if (pageToken) params.page_token = pageToken;
+            const response = await alpacaFetch(`/v2/stocks/bars?${new URLSearchParams(params).toString()}`, request);
+            for (const [symbol, bars] of Object.entries((response && response.bars) || {})) {
+                result[symbol] = (result[symbol] || []).concat(bars);
+            }
+            pageToken = response && response.next_page_token;
+        } while (pageToken);
+    }
+    return result;
+}
+
+/**
+ * Checks a symbol against the price, volume and volatility filters.
+ * @param {?object} metrics - The symbol's daily metrics.
+ * @param {object} settings - The settings.
+ * @returns {string} Why the symbol is rejected, or '' if it passes.
+ */
+function checkFilters(metrics, settings) {
+    const { universeMinPrice, universeMaxPrice, universeMinAvgVolume, universeMinAtrPct, universeMaxAtrPct } = settings;
+    if (!metrics) return 'no daily bars';
+    if (universeMinPrice > 0 && metrics.price < universeMinPrice) return `price ${metrics.price.toFixed(2)} below ${universeMinPrice}`;
+    if (universeMaxPrice > 0 && metrics.price > universeMaxPrice) return `price ${metrics.price.toFixed(2)} above ${universeMaxPrice}`;
+    if (universeMinAvgVolume > 0 && metrics.avgVolume < universeMinAvgVolume) return `average volume ${Math.round(metrics.avgVolume)} below ${universeMinAvgVolume}`;
+    if (universeMinAtrPct > 0 && metrics.atrPct < universeMinAtrPct) return `ATR ${metrics.atrPct.toFixed(2)}% below ${universeMinAtrPct}%`;
+    if (universeMaxAtrPct > 0 && metrics.atrPct > universeMaxAtrPct) return `ATR ${metrics.atrPct.toFixed(2)}% above ${universeMaxAtrPct}%`;
+    return '';
+}
+
+/**
+ * Builds the candidate universe from the selected sources and filters.
+ * A source that fails is skipped and reported in `errors`.
+ * @param {object} settings - The settings.
+ * @param {object} [request] - The request priority and cancellation signal, e.g. `{ priority: 'low', signal }`.
+ * @returns {Promise<{symbols: object[], rejected: {symbol: string, reason: string}[], errors: string[], builtAt: string}>}
+ *   The candidates (each `{ symbol, sources, price, avgVolume, atrPct }`, in merge order), the rejected
+ *   symbols with the reason, and the sources that failed.
+ */
+export async function buildUniverse(settings, request) {
+    let movers = null;
+    const context = {
+        settings,
+        request,
+        getMovers: () => (movers = movers || alpacaFetch(`/v1beta1/screener/stocks/movers?top=${settings.universeScreenerTop}`, request)),
+    };
+
+    const errors = [];
+    const lists = [];
+    for (const source of UNIVERSE_SOURCES.filter(s => settings.universeSources.includes(s.id))) {
+        try {
+            lists.push({ id: source.id, symbols: await source.load(context) });
+        } catch (e) {
+            if (request && request.signal && request.signal.aborted) throw e;
+            errors.push(`${source.name}: ${e.message}`);
+        }
+    }
+
+    const rejected = [];
+    const excluded = new Set(settings.universeExcludeSymbols);
+    const merged = [...mergeSources(lists).entries()].filter(([symbol]) => {
+        if (excluded.has(symbol)) rejected.push({ symbol, reason: 'on the exclude list' });
+        else if (settings.universeExcludeLeveraged && LEVERAGED_ETFS.has(symbol)) rejected.push({ symbol, reason: 'leveraged ETF' });
+        else return true;
+        return false;
+    });
+
+    const dailyBars = merged.length > 0 ? await fetchDailyBars(merged.map(([symbol]) => symbol), request) : {};
+    const candidates = [];
+    for (const [symbol, sources] of merged) {
+        const metrics = computeDailyMetrics(dailyBars[symbol] || []);
+        const reason = checkFilters(metrics, settings);
+        if (reason) rejected.push({ symbol, reason });
+        else candidates.push({ symbol, sources, ...metrics });
+    }
+
+    // Asset lookups are only made for symbols that passed the cheaper filters, up to the cap.
+    const symbols = [];
+    for (const candidate of candidates) {
+        if (symbols.length >= settings.universeMaxSize) {
+            rejected.push({ symbol: candidate.symbol, reason: 'universe full' });
+            continue;
+        }
+        if (settings.universeExcludeOtc) {
+            const asset = await alpacaFetch(`/v2/assets/${encodeURIComponent(candidate.symbol)}`, request).catch((e) => {
+                if (request && request.signal && request.signal.aborted) throw e;
+                return null;
+            });
+            if (!asset || asset.exchange === 'OTC' || !asset.tradable) {
+                rejected.push({ symbol: candidate.symbol, reason: !asset ? 'asset not found' : asset.exchange === 'OTC' ? 'OTC' : 'not tradable' });
+                continue;
+            }
+        }
+        symbols.push(candidate);
+    }
+
+    return { symbols, rejected, errors, builtAt: new Date().toISOString() };
+}
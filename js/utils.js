@@ -1,133 +1,658 @@
 /**
  * @fileoverview Provides utility functions for the application, including
- * technical indicator calculations (RSI, ATR, MACD) and market status checks.
+ * the technical indicator library, bar data helpers and New York time helpers.
  * These are pure functions that don't depend on the global state.
+ *
+ * Each indicator has a series function (e.g. `rsiSeries`) returning values aligned index for index
+ * with its input, with `null` wherever there is not yet enough data, and a `calculate...` function
+ * returning just the latest value, or `null` when there is not enough data. No indicator substitutes
+ * a neutral default (such as an RSI of 50) for missing data. Where there is enough data but the
+ * formula divides by zero, a fixed value is returned by convention: an RSI without losses is 100, or
+ * 50 if the prices did not move at all; a %K over a flat high-low range is 50; and the +DI, -DI and
+ * DX of bars without any range or direction are 0.
  */
 
+// --- INDICATOR LIBRARY ---
+
 /**
- * Calculates the Relative Strength Index (RSI).
- * @param {number[]} prices - An array of closing prices.
- * @param {number} [period=14] - The lookback period for the RSI calculation.
- * @returns {number} The calculated RSI value.
+ * Gets the last element of a series.
+ * @param {Array} series - The series.
+ * @returns {*} The last element, or null for an empty series.
  */
-export function calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return 50; // Return neutral value if not enough data
+function last(series) {
+    return series.length > 0 ? series[series.length - 1] : null;
+}
 
-    let gains = 0;
-    let losses = 0;
+/**
+ * Simple Moving Average.
+ * @param {(number|null)[]} values - The input values, oldest first. Leading nulls are skipped.
+ * @param {number} period - The averaging period.
+ * @returns {(number|null)[]} The SMA at each index, or null until `period` values are available.
+ */
+export function smaSeries(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] === null) continue;
+        sum += values[i];
+        count++;
+        if (count > period) sum -= values[i - period];
+        if (count >= period) result[i] = sum / period;
+    }
+    return result;
+}
 
-    // Calculate initial average gains and losses
-    for (let i = 1; i <= period; i++) {
-        const diff = prices[i] - prices[i - 1];
-        if (diff >= 0) {
-            gains += diff;
+/**
+ * Exponential Moving Average, seeded with the SMA of the first `period` values.
+ * @param {(number|null)[]} values - The input values, oldest first. Leading nulls are skipped.
+ * @param {number} period - The EMA period; the smoothing factor is 2 / (period + 1).
+ * @returns {(number|null)[]} The EMA at each index, or null until `period` values are available.
+ */
+export function emaSeries(values, period) {
+    const result = new Array(values.length).fill(null);
+    const k = 2 / (period + 1);
+    let ema = null;
+    let seedSum = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] === null) continue;
+        count++;
+        if (count < period) {
+            seedSum += values[i];
+        } else if (count === period) {
+            ema = (seedSum + values[i]) / period;
+            result[i] = ema;
         } else {
-            losses -= diff;
+            ema = values[i] * k + ema * (1 - k);
+            result[i] = ema;
         }
     }
+    return result;
+}
 
-    let avgGain = gains / period;
-    let avgLoss = losses / period;
-
-    // Smooth the averages for the rest of the prices
-    for (let i = period + 1; i < prices.length; i++) {
-        const diff = prices[i] - prices[i - 1];
-        if (diff >= 0) {
-            avgGain = (avgGain * (period - 1) + diff) / period;
-            avgLoss = (avgLoss * (period - 1)) / period;
+/**
+ * Wilder's smoothing (a running moving average with factor 1 / period), seeded with a simple average.
+ * @param {(number|null)[]} values - The input values, oldest first. Leading nulls are skipped.
+ * @param {number} period - The smoothing period.
+ * @returns {(number|null)[]} The smoothed value at each index, or null until `period` values are available.
+ */
+function wilderSeries(values, period) {
+    const result = new Array(values.length).fill(null);
+    let average = null;
+    let seedSum = 0;
+    let count = 0;
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] === null) continue;
+        count++;
+        if (count < period) {
+            seedSum += values[i];
+        } else if (count === period) {
+            average = (seedSum + values[i]) / period;
+            result[i] = average;
         } else {
-            avgGain = (avgGain * (period - 1)) / period;
-            avgLoss = (avgLoss * (period - 1) - diff) / period;
+            average = (average * (period - 1) + values[i]) / period;
+            result[i] = average;
         }
     }
+    return result;
+}
+
+/**
+ * Relative Strength Index with Wilder's smoothing.
+ * @param {number[]} prices - Closing prices, oldest first.
+ * @param {number} [period=14] - The lookback period.
+ * @returns {(number|null)[]} The RSI (0-100) at each index; the first value is at index `period`.
+ *   It is 100 without losses over the period, and 50 if the prices did not move.
+ */
+export function rsiSeries(prices, period = 14) {
+    const changes = prices.map((price, i) => (i === 0 ? null : price - prices[i - 1]));
+    const avgGain = wilderSeries(changes.map(c => (c === null ? null : Math.max(c, 0))), period);
+    const avgLoss = wilderSeries(changes.map(c => (c === null ? null : Math.max(-c, 0))), period);
+    return avgGain.map((gain, i) => {
+        if (gain === null) return null;
+        if (avgLoss[i] === 0) return gain === 0 ? 50 : 100; // No losses; a flat series is neutral
+        return 100 - 100 / (1 + gain / avgLoss[i]);
+    });
+}
 
-    if (avgLoss === 0) return 100; // Prevent division by zero
+/**
+ * Calculates the latest Relative Strength Index (RSI).
+ * @param {number[]} prices - An array of closing prices.
+ * @param {number} [period=14] - The lookback period for the RSI calculation.
+ * @returns {number|null} The RSI, or null with fewer than `period + 1` prices.
+ */
+export function calculateRSI(prices, period = 14) {
+    return last(rsiSeries(prices, period));
+}
 
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+/**
+ * True Range of each bar: the largest of high - low and the gaps from the previous close.
+ * @param {object[]} bars - Bars, oldest first, each with {h, l, c}.
+ * @returns {(number|null)[]} The true range at each index; null for the first bar, which has no previous close.
+ */
+export function trueRangeSeries(bars) {
+    return bars.map((bar, i) => {
+        if (i === 0) return null;
+        const prevClose = bars[i - 1].c;
+        return Math.max(bar.h - bar.l, Math.abs(bar.h - prevClose), Math.abs(bar.l - prevClose));
+    });
+}
+
+/**
+ * Average True Range with Wilder's smoothing.
+ * @param {object[]} bars - Bars, oldest first, each with {h, l, c}.
+ * @param {number} [period=14] - The lookback period.
+ * @returns {(number|null)[]} The ATR at each index; the first value is at index `period`.
+ */
+export function atrSeries(bars, period = 14) {
+    return wilderSeries(trueRangeSeries(bars), period);
 }
 
 /**
- * Calculates the Average True Range (ATR).
+ * Calculates the latest Average True Range (ATR), using Wilder's smoothing.
  * @param {object[]} bars - An array of market bars, each with {h, l, c} properties (high, low, close).
  * @param {number} [period=14] - The lookback period for the ATR calculation.
- * @returns {number} The calculated ATR value.
+ * @returns {number|null} The ATR, or null with fewer than `period + 1` bars.
  */
 export function calculateATR(bars, period = 14) {
-    if (bars.length < period) return 0;
-
-    let trueRanges = [];
-    for (let i = 1; i < bars.length; i++) {
-        const high = bars[i].h;
-        const low = bars[i].l;
-        const prevClose = bars[i - 1].c;
-        const tr = Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
-        trueRanges.push(tr);
-    }
+    return last(atrSeries(bars, period));
+}
 
-    // Simple Moving Average for the ATR
-    const atr = trueRanges.slice(-period).reduce((a, b) => a + b, 0) / period;
-    return atr;
+/**
+ * Moving Average Convergence Divergence.
+ * @param {number[]} prices - Closing prices, oldest first.
+ * @param {number} [shortPeriod=12] - The fast EMA period.
+ * @param {number} [longPeriod=26] - The slow EMA period.
+ * @param {number} [signalPeriod=9] - The signal line EMA period.
+ * @returns {{macd: (number|null)[], signal: (number|null)[], histogram: (number|null)[]}} The MACD line
+ * (from index `longPeriod - 1`), the signal line and the histogram (from index `longPeriod + signalPeriod - 2`).
+ */
+export function macdSeries(prices, shortPeriod = 12, longPeriod = 26, signalPeriod = 9) {
+    const shortEMA = emaSeries(prices, shortPeriod);
+    const longEMA = emaSeries(prices, longPeriod);
+    const macd = longEMA.map((slow, i) => (slow === null ? null : shortEMA[i] - slow));
+    const signal = emaSeries(macd, signalPeriod);
+    const histogram = signal.map((s, i) => (s === null ? null : macd[i] - s));
+    return { macd, signal, histogram };
 }
 
 /**
- * Calculates the Moving Average Convergence Divergence (MACD).
+ * Calculates the latest Moving Average Convergence Divergence (MACD).
  * @param {number[]} prices - An array of closing prices.
  * @param {number} [shortPeriod=12] - The short-term EMA period.
  * @param {number} [longPeriod=26] - The long-term EMA period.
  * @param {number} [signalPeriod=9] - The signal line EMA period.
- * @returns {{macd: number, signal: number, histogram: number}} An object containing the MACD line, signal line, and histogram.
+ * @returns {{macd: number, signal: number, histogram: number}|null} The MACD line, signal line and histogram,
+ * or null with fewer than `longPeriod + signalPeriod - 1` prices.
  */
 export function calculateMACD(prices, shortPeriod = 12, longPeriod = 26, signalPeriod = 9) {
-    if (prices.length < longPeriod) return { macd: 0, signal: 0, histogram: 0 };
+    const series = macdSeries(prices, shortPeriod, longPeriod, signalPeriod);
+    const histogram = last(series.histogram);
+    if (histogram === null) return null;
+    return { macd: last(series.macd), signal: last(series.signal), histogram };
+}
 
-    const calculateEMA = (data, period) => {
-        const k = 2 / (period + 1);
-        let ema = [data[0]];
-        for (let i = 1; i < data.length; i++) {
-            ema.push(data[i] * k + ema[i - 1] * (1 - k));
+/**
+ * Session Volume Weighted Average Price, using each bar's typical price.
+ * The average resets at the start of each New York trading day.
+ * @param {object[]} bars - Bars sorted oldest first, each with {t, h, l, c, v}.
+ * @returns {number[]} The VWAP at each bar, aligned with `bars`.
+ */
+export function vwapSeries(bars) {
+    const vwap = [];
+    let day = null;
+    let cumulativePV = 0;
+    let cumulativeVolume = 0;
+    for (const bar of bars) {
+        const barDay = getNewYorkDate(bar.t);
+        if (barDay !== day) {
+            day = barDay;
+            cumulativePV = 0;
+            cumulativeVolume = 0;
         }
-        return ema;
-    };
+        const typicalPrice = (bar.h + bar.l + bar.c) / 3;
+        cumulativePV += typicalPrice * (bar.v || 0);
+        cumulativeVolume += bar.v || 0;
+        vwap.push(cumulativeVolume > 0 ? cumulativePV / cumulativeVolume : typicalPrice);
+    }
+    return vwap;
+}
 
-    const shortEMA = calculateEMA(prices, shortPeriod);
-    const longEMA = calculateEMA(prices, longPeriod);
-    const macdLine = [];
+/**
+ * Calculates the latest session VWAP.
+ * @param {object[]} bars - Bars sorted oldest first, each with {t, h, l, c, v}.
+ * @returns {number|null} The VWAP, or null without bars.
+ */
+export function calculateVWAP(bars) {
+    return last(vwapSeries(bars));
+}
 
-    // Align the EMAs and calculate the MACD line
-    for (let i = longPeriod - 1; i < prices.length; i++) {
-        macdLine.push(shortEMA[i - (longPeriod - shortPeriod)] - longEMA[i]);
+/**
+ * Bollinger Bands: a simple moving average with bands a number of population standard deviations away.
+ * @param {number[]} prices - Closing prices, oldest first.
+ * @param {number} [period=20] - The moving average period.
+ * @param {number} [stdDevMultiplier=2] - The number of standard deviations for the bands.
+ * @returns {{upper: (number|null)[], middle: (number|null)[], lower: (number|null)[]}} The bands at each index,
+ * null until `period` prices are available.
+ */
+export function bollingerSeries(prices, period = 20, stdDevMultiplier = 2) {
+    const middle = smaSeries(prices, period);
+    const upper = [];
+    const lower = [];
+    middle.forEach((mean, i) => {
+        if (mean === null) {
+            upper.push(null);
+            lower.push(null);
+            return;
+        }
+        let sumSquares = 0;
+        for (let j = i - period + 1; j <= i; j++) sumSquares += (prices[j] - mean) ** 2;
+        const stdDev = Math.sqrt(sumSquares / period);
+        upper.push(mean + stdDevMultiplier * stdDev);
+        lower.push(mean - stdDevMultiplier * stdDev);
+    });
+    return { upper, middle, lower };
+}
+
+/**
+ * Calculates the latest Bollinger Bands.
+ * @param {number[]} prices - An array of closing prices.
+ * @param {number} [period=20] - The moving average period.
+ * @param {number} [stdDevMultiplier=2] - The number of standard deviations for the bands.
+ * @returns {{upper: number, middle: number, lower: number}|null} The latest bands, or null if there is not enough data.
+ */
+export function calculateBollingerBands(prices, period = 20, stdDevMultiplier = 2) {
+    if (prices.length < period) return null;
+    const bands = bollingerSeries(prices.slice(-period), period, stdDevMultiplier);
+    return { upper: last(bands.upper), middle: last(bands.middle), lower: last(bands.lower) };
+}
+
+/**
+ * Stochastic Oscillator (slow %D over a fast %K).
+ * @param {object[]} bars - Bars, oldest first, each with {h, l, c}.
+ * @param {number} [kPeriod=14] - The high/low lookback for %K.
+ * @param {number} [dPeriod=3] - The SMA period of %D.
+ * @returns {{k: (number|null)[], d: (number|null)[]}} %K (0-100) from index `kPeriod - 1`, and %D.
+ *   %K is 50 when the high equals the low over the lookback.
+ */
+export function stochasticSeries(bars, kPeriod = 14, dPeriod = 3) {
+    const k = bars.map((bar, i) => {
+        if (i < kPeriod - 1) return null;
+        let high = -Infinity;
+        let low = Infinity;
+        for (let j = i - kPeriod + 1; j <= i; j++) {
+            high = Math.max(high, bars[j].h);
+            low = Math.min(low, bars[j].l);
+        }
+        return high > low ? (bar.c - low) / (high - low) * 100 : 50; // A flat range sits mid-scale
+    });
+    return { k, d: smaSeries(k, dPeriod) };
+}
+
+/**
+ * Calculates the latest Stochastic Oscillator.
+ * @param {object[]} bars - Bars, oldest first, each with {h, l, c}.
+ * @param {number} [kPeriod=14] - The high/low lookback for %K.
+ * @param {number} [dPeriod=3] - The SMA period of %D.
+ * @returns {{k: number, d: number}|null} The latest %K and %D, or null if there is not enough data.
+ */
+export function calculateStochastic(bars, kPeriod = 14, dPeriod = 3) {
+    const { k, d } = stochasticSeries(bars, kPeriod, dPeriod);
+    return last(d) === null ? null : { k: last(k), d: last(d) };
+}
+
+/**
+ * Average Directional Index with the +DI and -DI lines, using Wilder's smoothing.
+ * @param {object[]} bars - Bars, oldest first, each with {h, l, c}.
+ * @param {number} [period=14] - The smoothing period.
+ * @returns {{adx: (number|null)[], plusDI: (number|null)[], minusDI: (number|null)[]}} The directional lines
+ * from index `period`, and the ADX from index `2 * period - 1`. The lines are 0 when the ATR is 0.
+ */
+export function adxSeries(bars, period = 14) {
+    const plusDM = bars.map((bar, i) => {
+        if (i === 0) return null;
+        const up = bar.h - bars[i - 1].h;
+        const down = bars[i - 1].l - bar.l;
+        return up > down && up > 0 ? up : 0;
+    });
+    const minusDM = bars.map((bar, i) => {
+        if (i === 0) return null;
+        const up = bar.h - bars[i - 1].h;
+        const down = bars[i - 1].l - bar.l;
+        return down > up && down > 0 ? down : 0;
+    });
+    const atr = atrSeries(bars, period);
+    const smoothedPlus = wilderSeries(plusDM, period);
+    const smoothedMinus = wilderSeries(minusDM, period);
+
+    const plusDI = atr.map((a, i) => (a === null ? null : (a > 0 ? smoothedPlus[i] / a * 100 : 0)));
+    const minusDI = atr.map((a, i) => (a === null ? null : (a > 0 ? smoothedMinus[i] / a * 100 : 0)));
+    const dx = plusDI.map((p, i) => {
+        if (p === null) return null;
+        const sum = p + minusDI[i];
+        return sum > 0 ? Math.abs(p - minusDI[i]) / sum * 100 : 0;
+    });
+    return { adx: wilderSeries(dx, period), plusDI, minusDI };
+}
+
+/**
+ * Calculates the latest Average Directional Index.
+ * @param {object[]} bars - Bars, oldest first, each with {h, l, c}.
+ * @param {number} [period=14] - The smoothing period.
+ * @returns {{adx: number, plusDI: number, minusDI: number}|null} The latest values, or null if there is not enough data.
+ */
+export function calculateADX(bars, period = 14) {
+    const series = adxSeries(bars, period);
+    return last(series.adx) === null ? null : { adx: last(series.adx), plusDI: last(series.plusDI), minusDI: last(series.minusDI) };
+}
+
+/**
+ * On-Balance Volume, starting from zero at the first bar.
+ * @param {object[]} bars - Bars, oldest first, each with {c, v}.
+ * @returns {number[]} The cumulative OBV at each bar.
+ */
+export function obvSeries(bars) {
+    let obv = 0;
+    return bars.map((bar, i) => {
+        if (i > 0) obv += Math.sign(bar.c - bars[i - 1].c) * (bar.v || 0);
+        return obv;
+    });
+}
+
+/**
+ * Relative volume: each bar's volume divided by the average volume of the `period` bars before it.
+ * @param {object[]} bars - Bars, oldest first, each with {v}.
+ * @param {number} [period=20] - The number of preceding bars to average.
+ * @returns {(number|null)[]} The relative volume at each bar, null for the first `period` bars
+ * or when the preceding bars had no volume.
+ */
+export function relativeVolumeSeries(bars, period = 20) {
+    const averages = smaSeries(bars.map(b => b.v || 0), period);
+    return bars.map((bar, i) => {
+        const average = i > 0 ? averages[i - 1] : null;
+        return average ? (bar.v || 0) / average : null;
+    });
+}
+
+/**
+ * Calculates the opening range (high and low of the first minutes after the 9:30 AM New York open)
+ * of the most recent session in the bars. It has no series form: there is one range per session.
+ * @param {object[]} bars - 1-minute bars sorted oldest first, each with {t, h, l}.
+ * @param {number} [minutes=15] - The length of the opening range in minutes.
+ * @returns {{high: number, low: number, complete: boolean}|null} The range, whether its window has
+ * fully elapsed, or null if the latest session has no bars inside the window yet.
+ */
+export function calculateOpeningRange(bars, minutes = 15) {
+    if (bars.length === 0) return null;
+    const sessionDay = getNewYorkDate(bars[bars.length - 1].t);
+    const openMinute = 9 * 60 + 30;
+    let high = -Infinity;
+    let low = Infinity;
+    let complete = false;
+
+    for (const bar of bars) {
+        if (getNewYorkDate(bar.t) !== sessionDay) continue;
+        const minuteOfDay = getNewYorkMinuteOfDay(bar.t);
+        if (minuteOfDay >= openMinute + minutes) {
+            complete = true;
+            continue;
+        }
+        if (minuteOfDay < openMinute) continue;
+        high = Math.max(high, bar.h);
+        low = Math.min(low, bar.l);
     }
 
-    if (macdLine.length < signalPeriod) return { macd: 0, signal: 0, histogram: 0 };
+    return high === -Infinity ? null : { high, low, complete };
+}
+
+/**
+ * Formats a number for the AI prompt, or 'n/a' when it is missing.
+ * @param {number|null|undefined} value - The value.
+ * @param {number} digits - Decimal places.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value, digits) {
+    return typeof value === 'number' ? value.toFixed(digits) : 'n/a';
+}
+
+/**
+ * The optional indicators that strategies and the AI prompt can request by name.
+ * `compute` returns the fields merged into the indicator snapshot (null values when there is not
+ * enough data); `describe` renders them as a line of the AI prompt.
+ * Parameters come from the `params` option of `computeIndicators`, with the defaults below.
+ */
+export const INDICATORS = {
+    vwap: {
+        label: 'Session VWAP (1m)',
+        compute: ({ bars1m }) => {
+            const series = vwapSeries(bars1m);
+            return { vwap: series[series.length - 1] ?? null, prevVwap: series[series.length - 2] ?? null };
+        },
+        describe: s => `Session VWAP: ${formatValue(s.vwap, 2)} (price is ${s.currentPrice > s.vwap ? 'above' : 'below'} VWAP)`,
+    },
+    bollinger: {
+        label: 'Bollinger Bands (5m)',
+        compute: ({ prices5m }, { bollingerPeriod = 20, bollingerStdDev = 2 }) => ({
+            bollinger: calculateBollingerBands(prices5m, bollingerPeriod, bollingerStdDev),
+        }),
+        describe: s => (s.bollinger
+            ? `5-min Bollinger Bands: upper ${s.bollinger.upper.toFixed(2)}, middle ${s.bollinger.middle.toFixed(2)}, lower ${s.bollinger.lower.toFixed(2)}`
+            : '5-min Bollinger Bands: n/a'),
+    },
+    openingRange: {
+        label: 'Opening Range (1m)',
+        compute: ({ bars1m }, { openingRangeMinutes = 15 }) => ({
+            openingRange: calculateOpeningRange(bars1m, openingRangeMinutes),
+        }),
+        describe: s => (s.openingRange
+            ? `Opening range: high ${s.openingRange.high.toFixed(2)}, low ${s.openingRange.low.toFixed(2)}${s.openingRange.complete ? '' : ' (still forming)'}`
+            : 'Opening range: n/a'),
+    },
+    ema: {
+        label: 'EMA Fast/Slow (5m)',
+        compute: ({ prices5m }, { emaFastPeriod = 9, emaSlowPeriod = 21 }) => ({
+            emaFast: last(emaSeries(prices5m, emaFastPeriod)),
+            emaSlow: last(emaSeries(prices5m, emaSlowPeriod)),
+        }),
+        describe: s => `5-min EMA fast: ${formatValue(s.emaFast, 2)}, EMA slow: ${formatValue(s.emaSlow, 2)}`,
+    },
+    sma: {
+        label: 'SMA (5m)',
+        compute: ({ prices5m }, { smaPeriod = 50 }) => ({ sma: last(smaSeries(prices5m, smaPeriod)) }),
+        describe: s => `5-min SMA: ${formatValue(s.sma, 2)}`,
+    },
+    stochastic: {
+        label: 'Stochastic (5m)',
+        compute: ({ bars5m }, { stochasticKPeriod = 14, stochasticDPeriod = 3 }) => ({
+            stochastic: calculateStochastic(bars5m, stochasticKPeriod, stochasticDPeriod),
+        }),
+        describe: s => `5-min Stochastic %K: ${formatValue(s.stochastic && s.stochastic.k, 1)}, %D: ${formatValue(s.stochastic && s.stochastic.d, 1)}`,
+    },
+    adx: {
+        label: 'ADX (5m)',
+        compute: ({ bars5m }, { adxPeriod = 14 }) => ({ adx: calculateADX(bars5m, adxPeriod) }),
+        describe: s => `5-min ADX: ${formatValue(s.adx && s.adx.adx, 1)} (+DI ${formatValue(s.adx && s.adx.plusDI, 1)}, -DI ${formatValue(s.adx && s.adx.minusDI, 1)})`,
+    },
+    obv: {
+        label: 'On-Balance Volume (5m)',
+        compute: ({ bars5m }, { obvLookback = 10 }) => {
+            const series = obvSeries(bars5m);
+            const change = series.length > obvLookback ? last(series) - series[series.length - 1 - obvLookback] : null;
+            return { obv: last(series), obvChange: change };
+        },
+        describe: s => `5-min OBV change over the lookback: ${formatValue(s.obvChange, 0)}`,
+    },
+    relativeVolume: {
+        label: 'Relative Volume (1m)',
+        compute: ({ bars1m }, { relativeVolumePeriod = 20 }) => ({
+            relativeVolume: last(relativeVolumeSeries(bars1m, relativeVolumePeriod)),
+        }),
+        describe: s => `1-min relative volume: ${formatValue(s.relativeVolume, 2)}x`,
+    },
+};
+
+/**
+ * Builds the indicator snapshot used by the strategies and the AI prompt from 1-minute and 5-minute bars.
+ * The price, RSI, ATR and MACD are always included; strategies and the AI prompt can ask for
+ * any of the `INDICATORS` by name.
+ * @param {string} symbol - The stock symbol.
+ * @param {object[]} bars1m - 1-minute bars, oldest first, each with {t, o, h, l, c, v}.
+ * @param {object[]} bars5m - 5-minute bars, oldest first.
+ * @param {object} [options]
+ * @param {string[]} [options.include=[]] - Names of extra indicators from `INDICATORS`.
+ * @param {object} [options.params={}] - Extra indicator parameters, e.g. `bollingerPeriod` or `openingRangeMinutes`.
+ * @param {number} [options.minBars=50] - The minimum number of bars required in each timeframe.
+ * @param {number} [options.sparkline=0] - How many of the latest 1-minute closes to add as `sparkline`, for charting.
+ * @returns {object|null} The indicator snapshot, or null if there is not enough data.
+ */
+export function computeIndicators(symbol, bars1m, bars5m, { include = [], params = {}, minBars = 50, sparkline = 0 } = {}) {
+    if (!bars1m || bars1m.length < minBars || !bars5m || bars5m.length < minBars) return null;
+
+    const prices1m = bars1m.map(b => b.c);
+    const prices5m = bars5m.map(b => b.c);
 
-    const signalLine = calculateEMA(macdLine, signalPeriod);
-    const macd = macdLine[macdLine.length - 1];
-    const signal = signalLine[signalLine.length - 1];
+    const snapshot = {
+        symbol: symbol,
+        currentPrice: prices1m[prices1m.length - 1],
+        prevClose: prices1m[prices1m.length - 2],
+        rsi1m: calculateRSI(prices1m),
+        rsi5m: calculateRSI(prices5m),
+        atr: calculateATR(bars5m),
+        macd: calculateMACD(prices5m)
+    };
+    if (snapshot.rsi1m === null || snapshot.rsi5m === null || snapshot.atr === null || snapshot.macd === null) return null;
 
-    return { macd, signal, histogram: macd - signal };
+    const inputs = { bars1m, bars5m, prices1m, prices5m };
+    for (const name of new Set(include)) {
+        const indicator = INDICATORS[name];
+        if (!indicator) throw new Error(`Unknown indicator "${name}".`);
+        Object.assign(snapshot, indicator.compute(inputs, params));
+    }
+    if (sparkline > 0) snapshot.sparkline = prices1m.slice(-sparkline);
+
+    return snapshot;
 }
 
+/**
+ * Describes the optional indicators present in a snapshot, one line each, for the AI prompt.
+ * @param {object} snapshot - An indicator snapshot from `computeIndicators`.
+ * @param {string[]} names - The indicator names to describe.
+ * @returns {string[]} The description lines.
+ */
+export function describeIndicators(snapshot, names) {
+    return [...new Set(names)].filter(name => INDICATORS[name]).map(name => INDICATORS[name].describe(snapshot));
+}
+
+// --- BAR DATA AND NEW YORK TIME ---
 
 /**
- * Checks if the US stock market is currently open.
- * @returns {boolean} True if the market is open, otherwise false.
+ * Aggregates bars into a larger timeframe (e.g. 1-minute bars into 5-minute bars).
+ * Buckets are aligned to multiples of the timeframe, the same way Alpaca aligns its bars.
+ * @param {object[]} bars - Bars sorted oldest first, each with {t, o, h, l, c, v}.
+ * @param {number} minutes - The target timeframe in minutes.
+ * @returns {object[]} The aggregated bars, oldest first.
  */
-export function isMarketOpen() {
-    const now = new Date();
-    // Use a specific time zone to avoid issues with the user's local time
-    const est = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+export function aggregateBars(bars, minutes) {
+    const bucketMs = minutes * 60 * 1000;
+    const result = [];
+    let current = null;
 
-    const day = est.getDay(); // Sunday = 0, Saturday = 6
-    const hour = est.getHours();
-    const minute = est.getMinutes();
+    for (const bar of bars) {
+        const bucketStart = Math.floor(new Date(bar.t).getTime() / bucketMs) * bucketMs;
+        if (!current || current.bucketStart !== bucketStart) {
+            current = { bucketStart, t: new Date(bucketStart).toISOString(), o: bar.o, h: bar.h, l: bar.l, c: bar.c, v: bar.v || 0 };
+            result.push(current);
+        } else {
+            current.h = Math.max(current.h, bar.h);
+            current.l = Math.min(current.l, bar.l);
+            current.c = bar.c;
+            current.v += bar.v || 0;
+        }
+    }
+
+    return result.map(({ bucketStart, ...bar }) => bar);
+}
 
-    // Market is closed on weekends
-    if (day === 0 || day === 6) return false;
+/**
+ * Parses a stored bar file into per-symbol 1-minute and 5-minute series.
+ * Accepted formats:
+ *   { "AAPL": { "1Min": [bars], "5Min": [bars] }, ... } - 5Min is aggregated from 1Min when missing.
+ *   { "bars": { "AAPL": [bars], ... } } - Alpaca's multi-symbol bars response, treated as 1Min bars.
+ * Bars use the same shape as `/v2/stocks/{symbol}/bars`: {t, o, h, l, c, v}.
+ * @param {object|string} data - The parsed JSON object or the raw file contents.
+ * @returns {Object<string, {bars1m: object[], bars5m: object[]}>} The bars keyed by symbol.
+ * @throws {Error} If the file contains no usable bars.
+ */
+export function parseBarFile(data) {
+    const json = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!json || typeof json !== 'object') throw new Error('Bar file must contain a JSON object.');
 
-    // Market is open from 9:30 AM to 4:00 PM EST
-    if (hour < 9 || (hour === 9 && minute < 30)) return false; // Before 9:30 AM
-    if (hour >= 16) return false; // After 4:00 PM
+    const source = (json.bars && !Array.isArray(json.bars))
+        ? Object.fromEntries(Object.entries(json.bars).map(([symbol, bars]) => [symbol, { '1Min': bars }]))
+        : json;
 
-    return true;
+    const normalize = (bars) => (Array.isArray(bars) ? bars : [])
+        .map(b => ({ t: new Date(b.t).toISOString(), o: +b.o, h: +b.h, l: +b.l, c: +b.c, v: +(b.v || 0) }))
+        .filter(b => [b.o, b.h, b.l, b.c].every(Number.isFinite))
+        .sort((a, b) => new Date(a.t) - new Date(b.t));
+
+    const result = {};
+    for (const [symbol, timeframes] of Object.entries(source)) {
+        if (!timeframes || typeof timeframes !== 'object') continue;
+        const bars1m = normalize(timeframes['1Min']);
+        if (bars1m.length === 0) continue;
+        const bars5m = timeframes['5Min'] ? normalize(timeframes['5Min']) : aggregateBars(bars1m, 5);
+        result[symbol.toUpperCase()] = { bars1m, bars5m };
+    }
+
+    if (Object.keys(result).length === 0) throw new Error('Bar file does not contain any 1Min bars.');
+    return result;
+}
+
+// Reused formatters for New York dates and wall-clock times; creating one per call is slow.
+const NEW_YORK_DATE_FORMAT = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York', year: 'numeric', month: '2-digit', day: '2-digit' });
+const NEW_YORK_TIME_FORMAT = new Intl.DateTimeFormat('en-US', { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+// New York's UTC offset only changes on the hour, so the formatted values are cached per UTC hour.
+const HOUR_MS = 60 * 60 * 1000;
+const newYorkHourCache = new Map();
+
+/**
+ * Gets the New York date and wall-clock hour for the UTC hour containing a timestamp.
+ * @param {Date|string|number} time - The timestamp.
+ * @returns {{date: string, startMinute: number}} The date (YYYY-MM-DD) and the minute of the day the hour starts at.
+ */
+function getNewYorkHour(time) {
+    const hour = Math.floor(new Date(time).getTime() / HOUR_MS);
+    let cached = newYorkHourCache.get(hour);
+    if (!cached) {
+        if (newYorkHourCache.size >= 10000) newYorkHourCache.clear();
+        const start = new Date(hour * HOUR_MS);
+        const parts = NEW_YORK_TIME_FORMAT.formatToParts(start);
+        const startMinute = (parseInt(parts.find(p => p.type === 'hour').value, 10) % 24) * 60
+            + parseInt(parts.find(p => p.type === 'minute').value, 10);
+        cached = { date: NEW_YORK_DATE_FORMAT.format(start), startMinute };
+        newYorkHourCache.set(hour, cached);
+    }
+    return cached;
+}
+
+/**
+ * Gets the New York calendar date (YYYY-MM-DD) for a timestamp, used to expire day orders.
+ * @param {Date|string|number} time - The timestamp.
+ * @returns {string} The date in New York time.
+ */
+export function getNewYorkDate(time) {
+    return getNewYorkHour(time).date;
+}
+
+/**
+ * Gets the minute of the day (0-1439) in New York time for a timestamp.
+ * @param {Date|string|number} time - The timestamp.
+ * @returns {number} Minutes since midnight, New York time.
+ */
+export function getNewYorkMinuteOfDay(time) {
+    const minuteOfHour = Math.floor((new Date(time).getTime() % HOUR_MS) / 60000);
+    return getNewYorkHour(time).startMinute + minuteOfHour;
 }
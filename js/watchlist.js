@@ -0,0 +1,189 @@
+/**
+ * @fileoverview The AI watchlist: how each analysis is merged into it, the user's pins and blocks, and expiry.
+ * Entries come from the AI analysis (a BUY, or a SHORT with shorts enabled, at `MIN_AI_CONFIDENCE` or
+ * more) or are added by hand. A new analysis of a symbol replaces its entry; other entries stay until
+ * they are older than the expiry time. Pinned symbols are analyzed in every run and stay listed whatever
+ * the answer; blocked symbols are never analyzed, listed or traded. Only tradeable entries are scanned
+ * by the strategy. Pins and blocks are saved with the data file.
+ *
+ * The AI conviction and the technicals age separately: `analyzedAt` is set by an AI analysis, while
+ * `indicatorsAt` is also moved on by the trade cycle, which recomputes every entry's indicators so the
+ * strategy is never evaluated against the numbers captured by the last AI run.
+ */
+
+import { state, setState } from './state.js';
+import { getIndicators } from './api.js';
+import { runWithConcurrency, isCancellation } from './ratelimit.js';
+import { logMessage } from './ui.js';
+
+export const MIN_AI_CONFIDENCE = 7;
+// The number of 1-minute closes kept on each entry for its sparkline.
+export const SPARKLINE_BARS = 30;
+
+/**
+ * Checks whether a watchlist entry's decision can be traded.
+ * @param {object} entry - The watchlist entry.
+ * @returns {boolean} True for a BUY, or a SHORT with shorts enabled.
+ */
+export function isTradeable(entry) {
+    return entry.decision === 'BUY' || (entry.decision === 'SHORT' && Boolean(state.settings.enableShorts));
+}
+
+/**
+ * Checks whether an analysis is strong enough to join the watchlist on its own.
+ * @param {object} entry - The analysis.
+ * @returns {boolean} True if it is tradeable with enough confidence.
+ */
+export function isHighConfidence(entry) {
+    return isTradeable(entry) && entry.confidence >= MIN_AI_CONFIDENCE;
+}
+
+/**
+ * @param {string} symbol - The stock symbol.
+ * @returns {boolean} True if the user pinned the symbol.
+ */
+export function isPinned(symbol) {
+    return state.watchlistPins.includes(symbol);
+}
+
+/**
+ * @param {string} symbol - The stock symbol.
+ * @returns {boolean} True if the user blocked the symbol.
+ */
+export function isBlocked(symbol) {
+    return state.watchlistBlocks.includes(symbol);
+}
+
+/**
+ * Checks whether an entry is past the expiry time. Pinned entries never expire.
+ * @param {object} entry - The watchlist entry.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {boolean} True if the entry should be dropped.
+ */
+function isExpired(entry, now = Date.now()) {
+    const expiryMinutes = state.settings.watchlistExpiryMinutes;
+    if (!(expiryMinutes > 0) || isPinned(entry.ticker) || !entry.analyzedAt) return false;
+    return now - new Date(entry.analyzedAt).getTime() > expiryMinutes * 60 * 1000;
+}
+
+/**
+ * Orders the watchlist: tradeable entries first, then by confidence.
+ * @param {object[]} entries - The entries.
+ * @returns {object[]} The sorted entries.
+ */
+function sortWatchlist(entries) {
+    return entries.sort((a, b) => Number(isTradeable(b)) - Number(isTradeable(a)) || b.confidence - a.confidence);
+}
+
+/**
+ * Merges new analyses into the watchlist. An analyzed symbol's entry is replaced, or dropped if the
+ * new analysis no longer qualifies and the symbol is neither pinned nor manually added; blocked and
+ * expired entries are dropped.
+ * @param {object[]} watchlist - The current entries.
+ * @param {object[]} analyses - The new analyses, each a recommendation with its indicators and `analyzedAt`.
+ * @param {object} [options]
+ * @param {string} [options.source='ai'] - 'ai', or 'manual' for a symbol the user added.
+ * @returns {object[]} The new watchlist.
+ */
+export function mergeAnalyses(watchlist, analyses, { source = 'ai' } = {}) {
+    const analyzed = new Map(analyses.map(a => [a.ticker, a]));
+    const merged = watchlist.filter(e => !analyzed.has(e.ticker));
+    for (const analysis of analyses) {
+        const previous = watchlist.find(e => e.ticker === analysis.ticker);
+        const entrySource = previous && previous.source === 'manual' ? 'manual' : source;
+        if (entrySource === 'manual' || isPinned(analysis.ticker) || isHighConfidence(analysis)) {
+            merged.push({ ...analysis, source: entrySource });
+        }
+    }
+    return sortWatchlist(merged.filter(e => !isBlocked(e.ticker) && !isExpired(e)));
+}
+
+/**
+ * Drops expired entries from the watchlist.
+ * @returns {string[]} The symbols dropped.
+ */
+export function expireWatchlist() {
+    const now = Date.now();
+    const expired = state.aiWatchlist.filter(e => isExpired(e, now));
+    if (expired.length > 0) setState({ aiWatchlist: state.aiWatchlist.filter(e => !isExpired(e, now)) });
+    return expired.map(e => e.ticker);
+}
+
+/**
+ * Stores freshly computed indicators on a watchlist entry, keeping its AI decision and `analyzedAt`.
+ * @param {string} symbol - The stock symbol.
+ * @param {object} indicators - The indicator snapshot.
+ */
+export function updateWatchlistIndicators(symbol, indicators) {
+    const indicatorsAt = new Date().toISOString();
+    setState({ aiWatchlist: state.aiWatchlist.map(e => (e.ticker === symbol ? { ...e, ...indicators, indicatorsAt } : e)) });
+}
+
+/**
+ * Recomputes the indicators of every watchlist entry. An entry whose indicators cannot be computed
+ * keeps its previous values, and its older `indicatorsAt`.
+ * @param {object} indicatorOptions - The options for `getIndicators`, e.g. what the strategy needs.
+ * @returns {Promise<number>} The number of entries refreshed.
+ */
+export async function refreshWatchlistIndicators(indicatorOptions) {
+    let refreshed = 0;
+    const symbols = state.aiWatchlist.map(e => e.ticker);
+    await runWithConcurrency(symbols, state.settings.analysisConcurrency, async (symbol) => {
+        try {
+            const indicators = await getIndicators(symbol, { ...indicatorOptions, sparkline: SPARKLINE_BARS });
+            if (!indicators) return;
+            updateWatchlistIndicators(symbol, indicators);
+            refreshed++;
+        } catch (e) {
+            if (!isCancellation(e)) logMessage(`Could not refresh the indicators of ${symbol}: ${e.message}`, 'error');
+        }
+    });
+    return refreshed;
+}
+
+/**
+ * Gets the watchlist entries the strategy may enter.
+ * @returns {object[]} The tradeable, unblocked entries, in watchlist order.
+ */
+export function getTradeableWatchlist() {
+    return state.aiWatchlist.filter(e => isTradeable(e) && !isBlocked(e.ticker));
+}
+
+/**
+ * Pins or unpins a symbol. Pinning unblocks it.
+ * @param {string} symbol - The stock symbol.
+ * @param {boolean} pinned - True to pin.
+ */
+export function setPinned(symbol, pinned) {
+    const pins = state.watchlistPins.filter(s => s !== symbol);
+    setState({
+        watchlistPins: pinned ? [...pins, symbol] : pins,
+        watchlistBlocks: pinned ? state.watchlistBlocks.filter(s => s !== symbol) : state.watchlistBlocks,
+    });
+}
+
+/**
+ * Blocks or unblocks a symbol. Blocking unpins it and removes it from the watchlist.
+ * @param {string} symbol - The stock symbol.
+ * @param {boolean} blocked - True to block.
+ */
+export function setBlocked(symbol, blocked) {
+    const blocks = state.watchlistBlocks.filter(s => s !== symbol);
+    if (!blocked) {
+        setState({ watchlistBlocks: blocks });
+        return;
+    }
+    setState({
+        watchlistBlocks: [...blocks, symbol],
+        watchlistPins: state.watchlistPins.filter(s => s !== symbol),
+        aiWatchlist: state.aiWatchlist.filter(e => e.ticker !== symbol),
+    });
+}
+
+/**
+ * Removes a symbol from the watchlist. A pinned symbol returns on the next analysis run.
+ * @param {string} symbol - The stock symbol.
+ */
+export function removeFromWatchlist(symbol) {
+    setState({ aiWatchlist: state.aiWatchlist.filter(e => e.ticker !== symbol) });
+}
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for the indicator library in js/utils.js, against published reference values
+ * (Wilder's RSI example) and values worked out by hand.
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    smaSeries, emaSeries, rsiSeries, calculateRSI, trueRangeSeries, atrSeries, calculateATR, macdSeries,
+    calculateMACD, vwapSeries, calculateVWAP, bollingerSeries, calculateBollingerBands, stochasticSeries,
+    calculateStochastic, adxSeries, calculateADX, obvSeries, relativeVolumeSeries, calculateOpeningRange,
+} from '../js/utils.js';
+
+/**
+ * Asserts that two series are equal, comparing numbers to a number of decimal places.
+ * @param {(number|null)[]} actual - The computed series.
+ * @param {(number|null)[]} expected - The expected series.
+ * @param {number} [digits=6] - Decimal places compared.
+ */
+function assertSeries(actual, expected, digits = 6) {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((value, i) => {
+        if (expected[i] === null) assert.equal(value, null, `index ${i}`);
+        else assert.equal(value.toFixed(digits), expected[i].toFixed(digits), `index ${i}`);
+    });
+}
+
+/**
+ * Builds a bar closing at `c` whose true range (against a previous close of `c`) is `range`.
+ * @param {number} c - The close.
+ * @param {number} range - The high - low range, centred on the close.
+ * @returns {{h: number, l: number, c: number}} The bar.
+ */
+function barWithRange(c, range) {
+    return { h: c + range / 2, l: c - range / 2, c };
+}
+
+// Closes from Wilder's RSI worked example, as published by StockCharts.
+const RSI_PRICES = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+    46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13];
+const RSI_EXPECTED = [70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34, 54.67, 50.39, 40.02, 41.49, 41.90,
+    45.50, 37.32, 33.09, 37.79];
+
+test('smaSeries averages the last period values and skips leading nulls', () => {
+    assertSeries(smaSeries([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    assertSeries(smaSeries([null, 2, 4, 6], 2), [null, null, 3, 5]);
+    assertSeries(smaSeries([1, 2], 3), [null, null]);
+    assert.deepEqual(smaSeries([], 3), []);
+});
+
+test('emaSeries is seeded with the SMA and smoothed by 2 / (period + 1)', () => {
+    // Period 3: seed (1 + 2 + 3) / 3 = 2, then k = 0.5.
+    assertSeries(emaSeries([1, 2, 3, 4, 6], 3), [null, null, 2, 3, 4.5]);
+    assertSeries(emaSeries([1, 2], 3), [null, null]);
+});
+
+test('rsiSeries matches Wilder\'s worked example', () => {
+    const rsi = rsiSeries(RSI_PRICES);
+    assert.deepEqual(rsi.slice(0, 14), new Array(14).fill(null));
+    assert.deepEqual(rsi.slice(14).map(v => Number(v.toFixed(2))), RSI_EXPECTED);
+    assert.equal(calculateRSI(RSI_PRICES).toFixed(2), '37.79');
+});
+
+test('RSI is null without enough prices, 100 without losses and 50 on a flat series', () => {
+    assert.equal(calculateRSI(RSI_PRICES.slice(0, 14)), null);
+    assert.equal(calculateRSI([]), null);
+    assert.equal(calculateRSI(Array.from({ length: 15 }, (_, i) => i)), 100);
+    assert.equal(calculateRSI(new Array(15).fill(10)), 50);
+    assert.equal(calculateRSI(Array.from({ length: 15 }, (_, i) => -i)), 0);
+});
+
+test('trueRangeSeries uses the gaps from the previous close', () => {
+    const bars = [{ h: 11, l: 9, c: 10 }, { h: 13, l: 12, c: 12.5 }, { h: 12, l: 8, c: 9 }];
+    assertSeries(trueRangeSeries(bars), [null, 3, 4.5]);
+});
+
+test('atrSeries applies Wilder\'s smoothing to the true ranges', () => {
+    const bars = [barWithRange(10, 1), barWithRange(10, 2), barWithRange(10, 4), barWithRange(10, 6), barWithRange(10, 3)];
+    // Seed (2 + 4 + 6) / 3 = 4, then (4 * 2 + 3) / 3.
+    assertSeries(atrSeries(bars, 3), [null, null, null, 4, 11 / 3]);
+    assert.equal(calculateATR(bars, 3), 11 / 3);
+    assert.equal(calculateATR(bars.slice(0, 3), 3), null);
+    assert.equal(calculateATR([]), null);
+});
+
+test('MACD of a steadily rising price is the gap between the EMA lags', () => {
+    // On a linear series an SMA-seeded EMA lags by (period - 1) / 2, so the MACD line is 12.5 - 5.5 = 7.
+    const prices = Array.from({ length: 40 }, (_, i) => 100 + i);
+    const series = macdSeries(prices);
+    assert.equal(series.macd[24], null);
+    assert.equal(series.macd[25].toFixed(9), '7.000000000');
+    assert.equal(series.histogram[32], null);
+    assert.equal(series.histogram[33].toFixed(9), '0.000000000');
+    const latest = calculateMACD(prices);
+    assert.equal(latest.macd.toFixed(9), '7.000000000');
+    assert.equal(latest.signal.toFixed(9), '7.000000000');
+    assert.equal(calculateMACD(prices.slice(0, 33)), null);
+});
+
+test('vwapSeries weights typical prices by volume and resets each New York session', () => {
+    const bars = [
+        { t: '2024-01-10T14:30:00Z', h: 11, l: 9, c: 10, v: 100 }, // typical 10
+        { t: '2024-01-10T14:31:00Z', h: 14, l: 10, c: 12, v: 300 }, // typical 12
+        { t: '2024-01-11T14:30:00Z', h: 21, l: 19, c: 20, v: 50 }, // next session
+        { t: '2024-01-11T14:31:00Z', h: 20, l: 20, c: 20, v: 0 }, // no volume
+    ];
+    assertSeries(vwapSeries(bars), [10, 11.5, 20, 20]);
+    assert.equal(calculateVWAP(bars.slice(0, 2)), 11.5);
+    assert.equal(calculateVWAP([]), null);
+});
+
+test('Bollinger Bands use the population standard deviation', () => {
+    // Mean 5, population standard deviation 2.
+    const prices = [2, 4, 4, 4, 5, 5, 7, 9];
+    const bands = bollingerSeries(prices, 8, 2);
+    assert.deepEqual(bands.middle.slice(0, 7), new Array(7).fill(null));
+    assert.deepEqual({ upper: bands.upper[7], middle: bands.middle[7], lower: bands.lower[7] }, { upper: 9, middle: 5, lower: 1 });
+    assert.deepEqual(calculateBollingerBands([0, ...prices], 8, 2), { upper: 9, middle: 5, lower: 1 });
+    assert.equal(calculateBollingerBands(prices.slice(1), 8), null);
+});
+
+test('stochasticSeries places the close in the high-low range and smooths %D', () => {
+    const bars = [{ h: 10, l: 0, c: 5 }, { h: 8, l: 2, c: 8 }, { h: 9, l: 4, c: 4 }, { h: 12, l: 6, c: 11 }];
+    const { k, d } = stochasticSeries(bars, 2, 2);
+    // %K: (8 - 0) / 10, (4 - 2) / 7, (11 - 4) / 8
+    assertSeries(k, [null, 80, 200 / 7, 87.5]);
+    assertSeries(d, [null, null, (80 + 200 / 7) / 2, (200 / 7 + 87.5) / 2]);
+    assert.deepEqual(calculateStochastic(bars.slice(0, 2), 2, 2), null);
+    assert.equal(stochasticSeries([{ h: 5, l: 5, c: 5 }, { h: 5, l: 5, c: 5 }], 2, 1).k[1], 50);
+});
+
+test('ADX of a steady uptrend is 100 with all movement on +DI', () => {
+    // Each bar is one higher: +DM 1, -DM 0 and a true range of 1.5.
+    const bars = Array.from({ length: 10 }, (_, i) => ({ h: i + 1, l: i, c: i + 0.5 }));
+    const series = adxSeries(bars, 3);
+    assert.equal(series.plusDI[2], null);
+    assert.equal(series.plusDI[3].toFixed(6), (100 / 1.5).toFixed(6));
+    assert.equal(series.minusDI[3], 0);
+    assert.equal(series.adx[4], null);
+    assert.equal(series.adx[5], 100);
+    assert.deepEqual(calculateADX(bars, 3), { adx: 100, plusDI: series.plusDI[9], minusDI: 0 });
+    assert.equal(calculateADX(bars.slice(0, 5), 3), null);
+});
+
+test('obvSeries adds volume on up closes and subtracts it on down closes', () => {
+    const bars = [{ c: 10, v: 100 }, { c: 11, v: 200 }, { c: 10.5, v: 50 }, { c: 10.5, v: 70 }, { c: 12 }];
+    assert.deepEqual(obvSeries(bars), [0, 200, 150, 150, 150]);
+    assert.deepEqual(obvSeries([]), []);
+});
+
+test('relativeVolumeSeries compares each bar with the average of the bars before it', () => {
+    const bars = [{ v: 100 }, { v: 300 }, { v: 400 }, { v: 100 }, { v: 0 }];
+    assertSeries(relativeVolumeSeries(bars, 2), [null, null, 2, 100 / 350, 0]);
+    assert.deepEqual(relativeVolumeSeries([{ v: 0 }, { v: 0 }, { v: 10 }], 2), [null, null, null]);
+});
+
+test('calculateOpeningRange covers the first minutes after the New York open of the latest session', () => {
+    const bars = [
+        { t: '2024-01-09T14:35:00Z', h: 50, l: 1 }, // previous session
+        { t: '2024-01-10T14:29:00Z', h: 30, l: 5 }, // 9:29, before the open
+        { t: '2024-01-10T14:30:00Z', h: 10, l: 9 },
+        { t: '2024-01-10T14:34:00Z', h: 12, l: 9.5 },
+    ];
+    assert.deepEqual(calculateOpeningRange(bars, 5), { high: 12, low: 9, complete: false });
+    const complete = [...bars, { t: '2024-01-10T14:35:00Z', h: 20, l: 2 }];
+    assert.deepEqual(calculateOpeningRange(complete, 5), { high: 12, low: 9, complete: true });
+    assert.equal(calculateOpeningRange(bars.slice(0, 2), 5), null);
+    assert.equal(calculateOpeningRange([]), null);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests the journal reconciliation (js/journal.js) against a stubbed Alpaca REST API whose
+ * responses are held until the test releases them, so the journal can change while it is pending.
+ * Run with `npm test`.
+ */
+
+import './mocks/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { state, setState } = await import('../js/state.js');
+const { reconcileJournal, recordJournalEntry } = await import('../js/journal.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** The requests sent to the stubbed API, each with a `respond(body)` that releases it. */
+let requests = [];
+globalThis.fetch = url => new Promise(resolve => {
+    requests.push({ url, respond: body => resolve({ ok: true, status: 200, json: async () => body }) });
+});
+
+/**
+ * Waits until the stubbed API has received a number of requests.
+ * @param {number} count - The number of requests.
+ */
+async function waitForRequests(count) {
+    const deadline = Date.now() + 3000;
+    while (requests.length < count) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for a request.');
+        await wait(5);
+    }
+}
+
+const pendingEntry = { id: 'entry-1', symbol: 'AAPL', side: 'buy', qty: 10, status: 'pending', entryPrice: null, entryTime: null };
+const filledOrder = { id: 'entry-1', status: 'filled', filled_qty: '10', filled_avg_price: '150.25', filled_at: '2026-10-19T14:31:00Z',
+    legs: [{ id: 'leg-1', status: 'new', type: 'limit' }, { id: 'leg-2', status: 'held', type: 'stop' }] };
+
+beforeEach(() => {
+    requests = [];
+    setState({ settings: { ...state.settings, broker: 'alpaca' }, journal: [{ ...pendingEntry }] });
+});
+
+test('an entry recorded while the reconciliation is pending is kept', async () => {
+    const reconciled = reconcileJournal();
+    await waitForRequests(1);
+    assert.match(requests[0].url, /\/v2\/orders\/entry-1\?nested=true$/);
+
+    recordJournalEntry({ id: 'entry-2', symbol: 'MSFT', side: 'buy', qty: '5' }, { ticker: 'MSFT' },
+        { limitPrice: '400', stopPrice: '395', takeProfitPrice: '410' });
+    requests[0].respond(filledOrder);
+
+    assert.equal(await reconciled, true);
+    assert.deepEqual(state.journal.map(e => [e.id, e.status]), [['entry-1', 'open'], ['entry-2', 'pending']]);
+    assert.equal(state.journal[0].entryPrice, 150.25);
+});
+
+test('fields updated while the reconciliation is pending are kept', async () => {
+    const reconciled = reconcileJournal();
+    await waitForRequests(1);
+    setState({ journal: state.journal.map(e => ({ ...e, management: { initialStop: 148 } })) });
+    requests[0].respond(filledOrder);
+
+    await reconciled;
+    assert.equal(state.journal[0].status, 'open');
+    assert.deepEqual(state.journal[0].management, { initialStop: 148 });
+});
+
+test('a call made during a reconciliation shares it', async () => {
+    const first = reconcileJournal();
+    const second = reconcileJournal();
+    assert.equal(first, second);
+    await waitForRequests(1);
+    requests[0].respond(filledOrder);
+    await first;
+    assert.equal(requests.length, 1);
+});
@@ -0,0 +1,19 @@
+/**
+ * Minimal stand-ins for the browser globals the app modules touch when they load (the DOM lookups
+ * in config.js, localStorage), so modules that import the UI can be tested under Node.
+ * Import it before any app module.
+ */
+
+const element = () => new Proxy(function () {}, {
+    get: (target, key) => {
+        if (key === 'querySelectorAll') return () => [];
+        if (key === Symbol.toPrimitive) return () => '';
+        return element();
+    },
+    set: () => true,
+    apply: () => element(),
+});
+
+globalThis.document = { getElementById: () => element(), createElement: () => element(), querySelectorAll: () => [] };
+globalThis.window = globalThis.window || {};
+globalThis.localStorage = { getItem: () => null, setItem() {}, removeItem() {} };
@@ -0,0 +1,106 @@
+/**
+ * An in-process stand-in for Alpaca's WebSocket streams, for testing js/stream.js without a network.
+ * `server.WebSocket` is passed to `startStreaming` as the WebSocket constructor. The server answers
+ * authentication, subscriptions and `listen` requests like Alpaca does, and the test pushes bars,
+ * quotes and trade updates or drops the connections. A socket whose URL ends in '/stream' is the
+ * trading stream, which sends binary frames; any other URL is the market data stream.
+ */
+
+export class MockStreamServer {
+    constructor() {
+        this.sockets = [];
+        this.received = []; // Every message sent by the client, parsed
+        const server = this;
+
+        this.WebSocket = class MockWebSocket {
+            constructor(url) {
+                this.url = url;
+                this.readyState = 0;
+                server.sockets.push(this);
+                setTimeout(() => {
+                    this.readyState = 1;
+                    if (this.onopen) this.onopen();
+                    if (!server.isTradeStream(this)) server.deliver(this, [{ T: 'success', msg: 'connected' }]);
+                }, 0);
+            }
+
+            send(text) {
+                server.handle(this, JSON.parse(text));
+            }
+
+            close() {
+                if (this.readyState === 3) return;
+                this.readyState = 3;
+                setTimeout(() => this.onclose && this.onclose(), 0);
+            }
+        };
+    }
+
+    /**
+     * @param {object} socket - A mock socket.
+     * @returns {boolean} True for the trading stream.
+     */
+    isTradeStream(socket) {
+        return socket.url.endsWith('/stream');
+    }
+
+    /**
+     * @returns {object[]} The sockets still open.
+     */
+    openSockets() {
+        return this.sockets.filter(s => s.readyState === 1);
+    }
+
+    /**
+     * Sends a message to a client socket, as a binary frame on the trading stream.
+     * @param {object} socket - The socket.
+     * @param {object} message - The message.
+     */
+    deliver(socket, message) {
+        if (socket.readyState !== 1 || !socket.onmessage) return;
+        const text = JSON.stringify(message);
+        socket.onmessage({ data: this.isTradeStream(socket) ? new TextEncoder().encode(text).buffer : text });
+    }
+
+    /**
+     * Answers a client message the way Alpaca does.
+     * @param {object} socket - The socket it came from.
+     * @param {object} message - The message.
+     */
+    handle(socket, message) {
+        this.received.push(message);
+        const trade = this.isTradeStream(socket);
+        if (message.action === 'auth') {
+            this.deliver(socket, trade
+                ? { stream: 'authorization', data: { action: 'authenticate', status: 'authorized' } }
+                : [{ T: 'success', msg: 'authenticated' }]);
+        } else if (message.action === 'listen') {
+            this.deliver(socket, { stream: 'listening', data: { streams: message.data.streams } });
+        } else if (message.action === 'subscribe' || message.action === 'unsubscribe') {
+            this.deliver(socket, [{ T: 'subscription', bars: message.bars, updatedBars: message.updatedBars, quotes: message.quotes }]);
+        }
+    }
+
+    /**
+     * Sends market data events to every open market data socket.
+     * @param {object[]} events - Events such as `{ T: 'b', S, t, o, h, l, c, v }` or `{ T: 'q', S, ap, bp, t }`.
+     */
+    pushData(events) {
+        this.openSockets().filter(s => !this.isTradeStream(s)).forEach(s => this.deliver(s, events));
+    }
+
+    /**
+     * Sends a trade update to every open trading socket.
+     * @param {object} data - The event data, e.g. `{ event: 'fill', order, price, qty }`.
+     */
+    pushTradeUpdate(data) {
+        this.openSockets().filter(s => this.isTradeStream(s)).forEach(s => this.deliver(s, { stream: 'trade_updates', data }));
+    }
+
+    /**
+     * Closes every open socket from the server side, as a dropped connection.
+     */
+    dropAll() {
+        this.openSockets().forEach(s => s.close());
+    }
+}
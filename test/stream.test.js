@@ -0,0 +1,92 @@
+/**
+ * Tests the streaming layer (js/stream.js) against the mock stream server, with the simulator as the
+ * broker for the REST history that seeds the bar buffers.
+ * Run with `npm test`.
+ */
+
+import './mocks/browser.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockStreamServer } from './mocks/stream-server.js';
+
+const { state, setState } = await import('../js/state.js');
+const stream = await import('../js/stream.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Waits until a condition holds.
+ * @param {function(): boolean} condition - The condition.
+ * @param {number} [timeoutMs=3000] - How long to wait.
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the stream.');
+        await wait(10);
+    }
+}
+
+const server = new MockStreamServer();
+setState({
+    settings: {
+        ...state.settings,
+        broker: 'simulator',
+        marketDataStreamUrl: 'ws://localhost/v2/iex',
+        tradeStreamUrl: 'ws://localhost/stream',
+    },
+});
+
+after(() => stream.stopStreaming());
+
+test('both streams authenticate and the trading stream listens to trade updates', async () => {
+    stream.startStreaming({ WebSocketImpl: server.WebSocket });
+    await waitFor(() => stream.isStreaming());
+    assert.equal(server.sockets.length, 2);
+    assert.ok(server.received.some(m => m.action === 'auth'));
+    await waitFor(() => server.received.some(m => m.action === 'listen'));
+    assert.deepEqual(server.received.find(m => m.action === 'listen').data.streams, ['trade_updates']);
+});
+
+test('subscribed symbols are seeded from history and extended by streamed bars and quotes', async () => {
+    const bars = [];
+    stream.onStreamBar((symbol, bar) => bars.push({ symbol, bar }));
+    await stream.updateStreamSubscriptions(['AAPL']);
+    assert.deepEqual(server.received.find(m => m.action === 'subscribe').bars, ['AAPL']);
+    const seeded = stream.getStreamBars('AAPL').length;
+    assert.ok(seeded > 0);
+
+    const t = new Date(Math.ceil(Date.now() / 60000) * 60000 + 60000).toISOString();
+    server.pushData([{ T: 'b', S: 'AAPL', t, o: 1, h: 2, l: 0.5, c: 1.5, v: 100 }, { T: 'q', S: 'AAPL', ap: 1.51, bp: 1.49, t }]);
+    await waitFor(() => bars.length === 1);
+    assert.deepEqual(bars[0], { symbol: 'AAPL', bar: { t, o: 1, h: 2, l: 0.5, c: 1.5, v: 100 } });
+    assert.deepEqual(stream.getStreamBars('AAPL').at(-1), bars[0].bar);
+    assert.equal(stream.getStreamBars('AAPL').length, Math.min(seeded + 1, 1000)); // The buffer keeps 1000 bars
+    assert.deepEqual(stream.getStreamQuote('AAPL'), { ap: 1.51, bp: 1.49, t });
+
+    // An updated bar replaces the buffered one without calling the listeners again.
+    server.pushData([{ T: 'u', S: 'AAPL', t, o: 1, h: 2.5, l: 0.5, c: 2, v: 150 }]);
+    await waitFor(() => stream.getStreamBars('AAPL').at(-1).c === 2);
+    assert.equal(bars.length, 1);
+    assert.equal(stream.getStreamBars('MSFT'), null);
+});
+
+test('trade updates are applied to the orders and passed to the listeners', async () => {
+    const updates = [];
+    stream.onTradeUpdate(data => updates.push(data));
+    const order = { id: 'order-1', symbol: 'AAPL', side: 'buy', qty: '10', status: 'filled', order_class: 'bracket' };
+    server.pushTradeUpdate({ event: 'fill', order, price: '1.50', qty: '10' });
+    await waitFor(() => updates.length === 1);
+    assert.equal(updates[0].event, 'fill');
+    assert.equal(state.orders.find(o => o.id === 'order-1').status, 'filled');
+});
+
+test('a dropped connection reconnects, authenticates again and resubscribes', async () => {
+    const subscribes = server.received.filter(m => m.action === 'subscribe').length;
+    server.dropAll();
+    await waitFor(() => !stream.isStreaming());
+    await waitFor(() => stream.isStreaming());
+    assert.equal(server.openSockets().length, 2);
+    await waitFor(() => server.received.filter(m => m.action === 'subscribe').length === subscribes + 1);
+    assert.deepEqual(server.received.filter(m => m.action === 'subscribe').at(-1).bars, ['AAPL']);
+});